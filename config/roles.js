@@ -0,0 +1,58 @@
+// Roles and the permissions they grant
+// Routes check permissions (requirePermission), never role names, so a role's
+// access can be changed here without touching the routes
+
+const PERMISSIONS = [
+  "systems:write", // Create, update and delete systems
+  "selections:write", // Create, edit and delete selections; send the digest
+  "selections:all-systems", // See every system's selections, not just subscribed ones
+  "results:write", // Settle, revert and sync results
+  "courses:write",
+  "plans:write",
+  "promotions:write",
+  "subscriptions:read",
+  "subscriptions:write",
+  "users:read",
+  "users:write", // Including changing roles, blocking and comps
+  "users:impersonate", // Read-only access as another user, for support
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  // Day-to-day content: selections and results only
+  editor: [
+    "selections:write",
+    "selections:all-systems",
+    "results:write",
+    "courses:write",
+  ],
+  // Plans, promotions and customers' subscriptions
+  billing: [
+    "plans:write",
+    "promotions:write",
+    "subscriptions:read",
+    "subscriptions:write",
+    "users:read",
+  ],
+  admin: PERMISSIONS,
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Whether a user's role grants a permission
+ * @param {Object} user - User with a role
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+function hasPermission(user, permission) {
+  if (!user) return false;
+  return (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  hasPermission,
+};
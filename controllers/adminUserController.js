@@ -0,0 +1,519 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const System = require("../models/System");
+const StripeSubscription = require("../models/StripeSubscription");
+const { recordAudit } = require("../services/auditService");
+const {
+  createImpersonationToken,
+  revokeUserSessions,
+  listSessions,
+} = require("../services/sessionService");
+const {
+  getActiveComps,
+  recalculateActiveSystemIds,
+} = require("../services/systemAccessService");
+
+// Longest comp that can be granted in one go
+const MAX_COMP_DAYS = 365;
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+async function findUser(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return User.findById(id);
+}
+
+function userNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: "User not found",
+  });
+}
+
+// @desc    Search users by email or name
+// @route   GET /api/admin/users
+// @access  Private (users:read)
+//
+// Filters: q (every word must match the email, first or last name), role,
+// blocked ("true"/"false"), limit/offset
+const searchUsers = async (req, res) => {
+  try {
+    const { q, role, blocked, limit, offset } = req.query;
+
+    const query = {};
+    const words = String(q || "")
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean);
+    if (words.length > 0) {
+      query.$and = words.map((word) => {
+        const pattern = { $regex: escapeRegex(word), $options: "i" };
+        return {
+          $or: [
+            { email: pattern },
+            { firstName: pattern },
+            { lastName: pattern },
+          ],
+        };
+      });
+    }
+    if (role) query.role = role;
+    if (blocked === "true") query.isBlocked = true;
+    if (blocked === "false") query.isBlocked = { $ne: true };
+
+    // Parse pagination parameters
+    const limitNum = limit ? Math.min(parseInt(limit, 10), 100) : 25;
+    const offsetNum = offset ? parseInt(offset, 10) : 0;
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select(
+          "email firstName lastName role isBlocked blockedReason activeSystemIds createdAt"
+        )
+        .sort({ createdAt: -1 })
+        .skip(offsetNum)
+        .limit(limitNum)
+        .lean(),
+      User.countDocuments(query),
+    ]);
+
+    const hasMore = offsetNum + limitNum < total;
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      total,
+      data: users,
+      hasMore,
+      nextOffset: hasMore ? offsetNum + limitNum : null,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a user with their subscriptions, active systems, comps and sessions
+// @route   GET /api/admin/users/:id
+// @access  Private (users:read)
+const getUserDetails = async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return userNotFound(res);
+
+    const [subscriptions, activeSystems, compSystems, sessions] =
+      await Promise.all([
+        StripeSubscription.find({ userId: user._id })
+          .sort({ createdAt: -1 })
+          .lean(),
+        System.find({ _id: { $in: user.activeSystemIds } })
+          .select("name slug")
+          .lean(),
+        System.find({
+          _id: { $in: (user.systemComps || []).map((c) => c.systemId) },
+        })
+          .select("name slug")
+          .lean(),
+        listSessions(user._id),
+      ]);
+
+    const systemNames = new Map(
+      compSystems.map((system) => [system._id.toString(), system.name])
+    );
+    const now = new Date();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user,
+        subscriptions,
+        activeSystems,
+        comps: (user.systemComps || []).map((comp) => ({
+          ...comp.toObject(),
+          systemName: systemNames.get(comp.systemId.toString()),
+          isActive: comp.expiresAt > now,
+        })),
+        sessions,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Block a user (signs them out everywhere)
+// @route   POST /api/admin/users/:id/block
+// @access  Private (users:write)
+const blockUser = async (req, res) => {
+  try {
+    const reason = String(req.body.reason || "").trim();
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: "A reason is required to block a user",
+      });
+    }
+
+    const user = await findUser(req.params.id);
+    if (!user) return userNotFound(res);
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: "You can't block yourself",
+      });
+    }
+
+    const before = user.toObject();
+    user.isBlocked = true;
+    user.blockedReason = reason;
+    user.blockedAt = new Date();
+    user.blockedBy = req.user._id;
+    await user.save();
+
+    const revokedSessions = await revokeUserSessions(user._id, "blocked");
+
+    await recordAudit(req, {
+      action: "user.block",
+      targetModel: "User",
+      targetId: user._id,
+      before,
+      after: user,
+      metadata: { revokedSessions },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: user,
+      revokedSessions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Unblock a user
+// @route   POST /api/admin/users/:id/unblock
+// @access  Private (users:write)
+const unblockUser = async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return userNotFound(res);
+
+    if (!user.isBlocked) {
+      return res.status(400).json({
+        success: false,
+        error: "User is not blocked",
+      });
+    }
+
+    const before = user.toObject();
+    user.isBlocked = false;
+    user.blockedReason = null;
+    user.blockedAt = null;
+    user.blockedBy = null;
+    await user.save();
+
+    await recordAudit(req, {
+      action: "user.unblock",
+      targetModel: "User",
+      targetId: user._id,
+      before,
+      after: user,
+      metadata: { reason: req.body.reason },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Reset a user's 2FA when they've lost their device and recovery codes
+// @route   POST /api/admin/users/:id/2fa/reset
+// @access  Private (users:write)
+//
+// Signs the user out everywhere; staff must enrol again at their next sign in
+const resetTwoFactor = async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return userNotFound(res);
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: "You can't reset your own 2FA",
+      });
+    }
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: "Two-factor authentication is not enabled for this user",
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { "twoFactor.enabled": false, "twoFactor.enabledAt": null },
+        $unset: {
+          "twoFactor.secret": 1,
+          "twoFactor.pendingSecret": 1,
+          "twoFactor.recoveryCodeHashes": 1,
+          "twoFactor.lastUsedStep": 1,
+        },
+        $inc: { "twoFactor.deviceVersion": 1 },
+      }
+    );
+    const revokedSessions = await revokeUserSessions(
+      user._id,
+      "two_factor_reset"
+    );
+
+    await recordAudit(req, {
+      action: "user.2fa_reset",
+      targetModel: "User",
+      targetId: user._id,
+      metadata: { reason: req.body.reason, revokedSessions },
+    });
+
+    res.status(200).json({
+      success: true,
+      revokedSessions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a read-only access token to see the app as a user, for support
+// @route   POST /api/admin/users/:id/impersonate
+// @access  Private (users:impersonate)
+const impersonateUser = async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return userNotFound(res);
+
+    // Staff accounts can't be impersonated
+    if (user.role !== "user") {
+      return res.status(400).json({
+        success: false,
+        error: "Only customer accounts can be impersonated",
+      });
+    }
+    if (user.isBlocked) {
+      return res.status(400).json({
+        success: false,
+        error: "Blocked users can't be impersonated",
+      });
+    }
+    if (!req.sessionId) {
+      return res.status(400).json({
+        success: false,
+        error: "Impersonation requires a signed-in session",
+      });
+    }
+
+    const { token, tokenExpiresAt } = createImpersonationToken(
+      user,
+      req.user,
+      req.sessionId
+    );
+
+    await recordAudit(req, {
+      action: "user.impersonate",
+      targetModel: "User",
+      targetId: user._id,
+      metadata: { reason: req.body.reason, expiresAt: tokenExpiresAt },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token,
+        tokenExpiresAt,
+        readOnly: true,
+        user: {
+          id: user._id,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          email: user.email,
+          role: user.role,
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Give a user time-limited access to systems
+// @route   POST /api/admin/users/:id/comps
+// @access  Private (users:write)
+//
+// Body: systemIds, expiresAt (date) or days, reason
+// A comp for a system the user already has a comp for replaces it
+const grantSystemComps = async (req, res) => {
+  try {
+    const { systemIds, expiresAt, days, reason } = req.body;
+
+    if (
+      !Array.isArray(systemIds) ||
+      systemIds.length === 0 ||
+      !systemIds.every((id) => mongoose.Types.ObjectId.isValid(id))
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "systemIds must be a non-empty array of system IDs",
+      });
+    }
+
+    const expiry = expiresAt
+      ? new Date(expiresAt)
+      : new Date(Date.now() + Number(days) * 24 * 60 * 60 * 1000);
+    const maxExpiry = new Date(
+      Date.now() + MAX_COMP_DAYS * 24 * 60 * 60 * 1000
+    );
+    if (isNaN(expiry.getTime()) || expiry <= new Date() || expiry > maxExpiry) {
+      return res.status(400).json({
+        success: false,
+        error: `expiresAt (or days) must be in the future and within ${MAX_COMP_DAYS} days`,
+      });
+    }
+
+    const systems = await System.find({ _id: { $in: systemIds } }).select(
+      "_id"
+    );
+    if (systems.length !== new Set(systemIds.map(String)).size) {
+      return res.status(400).json({
+        success: false,
+        error: "One or more systems not found",
+      });
+    }
+
+    const user = await findUser(req.params.id);
+    if (!user) return userNotFound(res);
+
+    const before = user.toObject();
+    const compSystemIds = new Set(systems.map((s) => s._id.toString()));
+    user.systemComps = [
+      ...getActiveComps(user).filter(
+        (comp) => !compSystemIds.has(comp.systemId.toString())
+      ),
+      ...systems.map((system) => ({
+        systemId: system._id,
+        expiresAt: expiry,
+        reason,
+        grantedBy: req.user._id,
+      })),
+    ];
+    await user.save();
+
+    const updated = await recalculateActiveSystemIds(user._id);
+
+    await recordAudit(req, {
+      action: "user.comp_grant",
+      targetModel: "User",
+      targetId: user._id,
+      before,
+      after: updated,
+      metadata: {
+        systemIds: Array.from(compSystemIds),
+        expiresAt: expiry,
+        reason,
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        activeSystemIds: updated.activeSystemIds,
+        comps: updated.systemComps,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    End a comp early
+// @route   DELETE /api/admin/users/:id/comps/:compId
+// @access  Private (users:write)
+const revokeSystemComp = async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return userNotFound(res);
+
+    const comp = user.systemComps.id(req.params.compId);
+    if (!comp) {
+      return res.status(404).json({
+        success: false,
+        error: "Comp not found",
+      });
+    }
+
+    const before = user.toObject();
+    comp.deleteOne();
+    await user.save();
+
+    const updated = await recalculateActiveSystemIds(user._id);
+
+    await recordAudit(req, {
+      action: "user.comp_revoke",
+      targetModel: "User",
+      targetId: user._id,
+      before,
+      after: updated,
+      metadata: { systemId: comp.systemId },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        activeSystemIds: updated.activeSystemIds,
+        comps: updated.systemComps,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  searchUsers,
+  getUserDetails,
+  blockUser,
+  unblockUser,
+  resetTwoFactor,
+  impersonateUser,
+  grantSystemComps,
+  revokeSystemComp,
+};
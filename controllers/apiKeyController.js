@@ -0,0 +1,211 @@
+const mongoose = require("mongoose");
+const ApiKey = require("../models/ApiKey");
+const {
+  API_KEY_SCOPES,
+  MAX_API_KEYS_PER_USER,
+  MAX_RATE_LIMIT,
+  generateApiKey,
+} = require("../services/apiKeyService");
+
+function validateName(name) {
+  if (typeof name !== "string" || !name.trim()) {
+    return "name must be a non-empty string";
+  }
+  return null;
+}
+
+function validateScopes(scopes) {
+  if (
+    !Array.isArray(scopes) ||
+    scopes.length === 0 ||
+    scopes.some((scope) => !API_KEY_SCOPES.includes(scope))
+  ) {
+    return `scopes must be a non-empty list of: ${API_KEY_SCOPES.join(", ")}`;
+  }
+  return null;
+}
+
+function validateRateLimit(rateLimit) {
+  if (
+    !Number.isInteger(rateLimit) ||
+    rateLimit < 1 ||
+    rateLimit > MAX_RATE_LIMIT
+  ) {
+    return `rateLimit must be a whole number of requests per minute from 1 to ${MAX_RATE_LIMIT}`;
+  }
+  return null;
+}
+
+// @desc    List the current user's API keys
+// @route   GET /api/api-keys
+// @access  Private
+const getApiKeys = async (req, res) => {
+  try {
+    const filter = { userId: req.user._id };
+    if (req.query.includeRevoked !== "true") filter.revokedAt = null;
+
+    const apiKeys = await ApiKey.find(filter).sort({ createdAt: -1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys,
+      scopes: API_KEY_SCOPES,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create an API key (the key itself is only returned here)
+// @route   POST /api/api-keys
+// @access  Private
+const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, rateLimit } = req.body;
+
+    const validationError =
+      validateName(name) ||
+      validateScopes(scopes) ||
+      (rateLimit !== undefined && validateRateLimit(rateLimit));
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const activeKeys = await ApiKey.countDocuments({
+      userId: req.user._id,
+      revokedAt: null,
+    });
+    if (activeKeys >= MAX_API_KEYS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        error: `You can have up to ${MAX_API_KEYS_PER_USER} active API keys`,
+      });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      userId: req.user._id,
+      name: name.trim(),
+      prefix,
+      keyHash,
+      scopes: Array.from(new Set(scopes)),
+      rateLimit,
+    });
+
+    const { keyHash: _keyHash, ...data } = apiKey.toObject();
+    res.status(201).json({
+      success: true,
+      data: { ...data, key },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Rename an API key or change its scopes or rate limit
+// @route   PUT /api/api-keys/:id
+// @access  Private
+const updateApiKey = async (req, res) => {
+  try {
+    const { name, scopes, rateLimit } = req.body;
+
+    const validationError =
+      (name !== undefined && validateName(name)) ||
+      (scopes !== undefined && validateScopes(scopes)) ||
+      (rateLimit !== undefined && validateRateLimit(rateLimit));
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: "API key not found",
+      });
+    }
+
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      revokedAt: null,
+    });
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: "API key not found",
+      });
+    }
+
+    if (name !== undefined) apiKey.name = name.trim();
+    if (scopes !== undefined) apiKey.scopes = Array.from(new Set(scopes));
+    if (rateLimit !== undefined) apiKey.rateLimit = rateLimit;
+    await apiKey.save();
+
+    res.status(200).json({
+      success: true,
+      data: apiKey,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Revoke an API key
+// @route   DELETE /api/api-keys/:id
+// @access  Private
+const revokeApiKey = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: "API key not found",
+      });
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: "API key not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "API key revoked",
+      data: apiKey,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey,
+};
@@ -0,0 +1,130 @@
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// @desc    Query the audit log
+// @route   GET /api/admin/audit
+// @access  Admin
+//
+// Filters: actorId, action (exact, or a prefix ending in "." e.g. "selection."),
+// targetModel, targetId, from/to (dates, inclusive), limit/offset
+const getAuditLogs = async (req, res) => {
+  try {
+    const { actorId, action, targetModel, targetId, from, to, limit, offset } =
+      req.query;
+
+    const query = {};
+    for (const [name, value] of [
+      ["actorId", actorId],
+      ["targetId", targetId],
+    ]) {
+      if (value && !mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid ${name}`,
+        });
+      }
+    }
+    if (actorId) query["actor.userId"] = actorId;
+    if (targetId) query.targetId = targetId;
+    if (targetModel) query.targetModel = targetModel;
+    if (action) {
+      query.action = action.endsWith(".")
+        ? { $regex: `^${escapeRegex(action)}` }
+        : action;
+    }
+
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+      if (
+        (fromDate && isNaN(fromDate.getTime())) ||
+        (toDate && isNaN(toDate.getTime()))
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid from/to date",
+        });
+      }
+
+      query.createdAt = {};
+      if (fromDate) query.createdAt.$gte = fromDate;
+      if (toDate) {
+        // A bare date includes the whole day
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+          toDate.setUTCHours(23, 59, 59, 999);
+        }
+        query.createdAt.$lte = toDate;
+      }
+    }
+
+    // Parse pagination parameters
+    const limitNum = limit ? Math.min(parseInt(limit, 10), 500) : 50;
+    const offsetNum = offset ? parseInt(offset, 10) : 0;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip(offsetNum)
+        .limit(limitNum)
+        .lean(),
+      AuditLog.countDocuments(query),
+    ]);
+
+    const hasMore = offsetNum + limitNum < total;
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      data: entries,
+      hasMore,
+      nextOffset: hasMore ? offsetNum + limitNum : null,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get one audit log entry
+// @route   GET /api/admin/audit/:id
+// @access  Admin
+const getAuditLog = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: "Audit log entry not found",
+      });
+    }
+
+    const entry = await AuditLog.findById(req.params.id).lean();
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: "Audit log entry not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: entry,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+  getAuditLog,
+};
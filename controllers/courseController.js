@@ -0,0 +1,206 @@
+const Course = require("../models/Course");
+const { normalizeAliases } = require("../services/courseService");
+
+// Find another course already using one of these aliases
+async function findAliasConflict(aliases, excludeId) {
+  if (!aliases || aliases.length === 0) return null;
+  const query = { aliases: { $in: aliases } };
+  if (excludeId) query._id = { $ne: excludeId };
+  return Course.findOne(query).select("name aliases").lean();
+}
+
+// @desc    Get all courses
+// @route   GET /api/courses
+// @access  Public
+const getCourses = async (req, res) => {
+  try {
+    const { country, search } = req.query;
+    const query = {};
+
+    if (country && country !== "all") query.country = country.toUpperCase();
+    if (search && search.trim()) {
+      const pattern = search.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      query.$or = [
+        { name: { $regex: pattern, $options: "i" } },
+        { aliases: { $regex: pattern, $options: "i" } },
+      ];
+    }
+
+    const courses = await Course.find(query).sort({ country: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: courses.length,
+      data: courses,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get single course
+// @route   GET /api/courses/:id
+// @access  Public
+const getCourse = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: "Course not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: course,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create new course
+// @route   POST /api/courses
+// @access  Private (courses:write)
+const createCourse = async (req, res) => {
+  try {
+    const { name, country, aliases, isActive } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "name is required",
+      });
+    }
+
+    const normalizedAliases = normalizeAliases(aliases || [], name);
+    const conflict = await findAliasConflict(normalizedAliases);
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        error: `Alias already belongs to ${conflict.name}`,
+      });
+    }
+
+    const course = await Course.create({
+      name: name.trim(),
+      country,
+      aliases: normalizedAliases,
+      isActive,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: course,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: "Course already exists",
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update course
+// @route   PUT /api/courses/:id
+// @access  Private (courses:write)
+const updateCourse = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: "Course not found",
+      });
+    }
+
+    const { name, country, aliases, isActive } = req.body;
+
+    if (name !== undefined) course.name = name.trim();
+    if (country !== undefined) course.country = country;
+    if (isActive !== undefined) course.isActive = isActive;
+    if (aliases !== undefined || name !== undefined) {
+      const normalizedAliases = normalizeAliases(
+        aliases !== undefined ? aliases : course.aliases,
+        course.name
+      );
+      const conflict = await findAliasConflict(normalizedAliases, course._id);
+      if (conflict) {
+        return res.status(400).json({
+          success: false,
+          error: `Alias already belongs to ${conflict.name}`,
+        });
+      }
+      course.aliases = normalizedAliases;
+    }
+
+    await course.save();
+
+    res.status(200).json({
+      success: true,
+      data: course,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: "Course already exists",
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete course
+// @route   DELETE /api/courses/:id
+// @access  Private (courses:write)
+const deleteCourse = async (req, res) => {
+  try {
+    const course = await Course.findByIdAndDelete(req.params.id);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: "Course not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getCourses,
+  getCourse,
+  createCourse,
+  updateCourse,
+  deleteCourse,
+};
@@ -0,0 +1,168 @@
+const mongoose = require("mongoose");
+const NotificationLog = require("../models/NotificationLog");
+const {
+  resendNotification,
+  previewNotification,
+  listTemplates,
+} = require("../services/notificationService");
+
+// @desc    List notification templates
+// @route   GET /api/notifications/templates
+// @access  Admin
+const getNotificationTemplates = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: listTemplates(),
+  });
+};
+
+// @desc    Get the notification send log
+// @route   GET /api/notifications
+// @access  Admin
+const getNotifications = async (req, res) => {
+  try {
+    const { template, category, status, to, userId, limit, offset } = req.query;
+
+    const query = {};
+    if (template) query.template = template;
+    if (category) query.category = category;
+    if (status) query.status = status;
+    if (to) query.to = to.toLowerCase().trim();
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid userId",
+        });
+      }
+      query.userId = userId;
+    }
+
+    // Parse pagination parameters
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
+    const offsetNum = offset ? parseInt(offset, 10) : 0;
+
+    const [notifications, total] = await Promise.all([
+      NotificationLog.find(query)
+        .select("-variables")
+        .sort({ createdAt: -1 })
+        .skip(offsetNum)
+        .limit(limitNum)
+        .lean(),
+      NotificationLog.countDocuments(query),
+    ]);
+
+    const hasMore = offsetNum + limitNum < total;
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      total,
+      data: notifications,
+      hasMore,
+      nextOffset: hasMore ? offsetNum + limitNum : null,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Inspect a logged notification, re-rendered from its variables
+// @route   GET /api/notifications/:id
+// @access  Admin
+const getNotification = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: "Notification not found",
+      });
+    }
+
+    const notification = await NotificationLog.findById(req.params.id)
+      .populate("userId", "firstName lastName email")
+      .populate("resentBy", "firstName lastName email")
+      .lean();
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: "Notification not found",
+      });
+    }
+
+    const resends = await NotificationLog.find({ resendOf: notification._id })
+      .select("status error providerMessageId sentAt resentBy createdAt")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    let preview = null;
+    try {
+      preview = previewNotification(notification);
+    } catch (error) {
+      preview = { error: error.message };
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ...notification, preview, resends },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Resend a logged notification
+// @route   POST /api/notifications/:id/resend
+// @access  Admin
+const resendLoggedNotification = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: "Notification not found",
+      });
+    }
+
+    const notification = await NotificationLog.findById(req.params.id).lean();
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: "Notification not found",
+      });
+    }
+
+    let result;
+    try {
+      result = await resendNotification(notification, req.user._id);
+    } catch (error) {
+      // Failed sends are recorded in the log; report them without a 500
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getNotificationTemplates,
+  getNotifications,
+  getNotification,
+  resendLoggedNotification,
+};
@@ -1,5 +1,43 @@
+const mongoose = require("mongoose");
 const System = require("../models/System");
 const SystemSelection = require("../models/SystemSelection");
+const {
+  getStakingSettings,
+  getBetSide,
+  isWinningBet,
+} = require("../services/settlementService");
+const {
+  STAKING_PLANS,
+  simulateStakingPlan,
+} = require("../services/stakingPlanService");
+const {
+  calculateMonthlyBreakdown,
+  calculateMaxDrawdown,
+} = require("../services/performanceService");
+const {
+  isCompletedMonth,
+  sendMonthlyReports,
+} = require("../services/monthlyReportService");
+
+const BREAKDOWN_DIMENSIONS = [
+  "meeting",
+  "country",
+  "dayOfWeek",
+  "hourOfDay",
+  "oddsBand",
+  "year",
+];
+// Upper bounds of the default odds bands (the last band is open-ended)
+const DEFAULT_ODDS_BANDS = [5, 10, 20, 30];
+const DAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
 
 function normalizeString(v) {
   if (v === undefined || v === null) return "";
@@ -13,10 +51,25 @@ function parseNumberOrNull(v) {
   return Number.isFinite(n) ? n : null;
 }
 
+// Race metadata filters: query param -> SystemSelection field (exact match)
+const RACE_FILTER_FIELDS = {
+  going: "going",
+  raceType: "raceType",
+  distance: "distance",
+  raceClass: "raceClass",
+  jockey: "jockey",
+  trainer: "trainer",
+};
+
 function applyCommonFilters(
   dbQuery,
   query,
-  { includeCountry = true, includeMeeting = true, includeOdds = true } = {}
+  {
+    includeCountry = true,
+    includeMeeting = true,
+    includeOdds = true,
+    includeRace = true,
+  } = {}
 ) {
   // Date range filtering
   const startDate = query.startDate;
@@ -60,6 +113,34 @@ function applyCommonFilters(
       if (maxOdds !== null) dbQuery.winBsp.$lte = maxOdds;
     }
   }
+
+  // Race and runner metadata filtering
+  if (includeRace) {
+    for (const [param, field] of Object.entries(RACE_FILTER_FIELDS)) {
+      const value = normalizeString(query[param]);
+      if (value && value.toLowerCase() !== "all") {
+        dbQuery[field] = value;
+      }
+    }
+
+    // Field size range
+    const minRunners = parseNumberOrNull(query.minRunners);
+    const maxRunners = parseNumberOrNull(query.maxRunners);
+    if (minRunners !== null || maxRunners !== null) {
+      dbQuery.runners = {};
+      if (minRunners !== null) dbQuery.runners.$gte = minRunners;
+      if (maxRunners !== null) dbQuery.runners.$lte = maxRunners;
+    }
+
+    // Betfair market rank (e.g. maxBetfairRank=3 for the top three in the market)
+    const minBetfairRank = parseNumberOrNull(query.minBetfairRank);
+    const maxBetfairRank = parseNumberOrNull(query.maxBetfairRank);
+    if (minBetfairRank !== null || maxBetfairRank !== null) {
+      dbQuery.betfairRank = {};
+      if (minBetfairRank !== null) dbQuery.betfairRank.$gte = minBetfairRank;
+      if (maxBetfairRank !== null) dbQuery.betfairRank.$lte = maxBetfairRank;
+    }
+  }
 }
 
 // @desc    Get all systems for dropdown
@@ -109,7 +190,7 @@ const getSystemPerformance = async (req, res) => {
 
     // Get only the fields we need and use lean() for plain JS objects (saves memory)
     const results = await SystemSelection.find(dbQuery)
-      .select("date winPL result winBsp")
+      .select("date winPL result winBsp betSide")
       .sort({ date: 1 })
       .lean();
 
@@ -134,6 +215,8 @@ const getSystemPerformance = async (req, res) => {
       });
     }
 
+    const staking = getStakingSettings(system);
+
     // Calculate basic stats in a single pass
     let totalPL = 0;
     let wins = 0;
@@ -144,7 +227,7 @@ const getSystemPerformance = async (req, res) => {
     for (const r of results) {
       const pl = r.winPL || 0;
       totalPL += pl;
-      if (r.result && r.result.toUpperCase().includes("LOST")) {
+      if (isWinningBet(r.result, getBetSide(r, staking))) {
         wins++;
       }
       // Calculate average odds
@@ -158,20 +241,23 @@ const getSystemPerformance = async (req, res) => {
       }
     }
 
+    const { stake } = staking;
     const strikeRate = totalBets > 0 ? (wins / totalBets) * 100 : 0;
-    const roi = totalBets > 0 ? (totalPL / totalBets) * 100 : 0;
+    // ROI on total stakes (totalBets * stake per bet)
+    const roi =
+      totalBets > 0 && stake > 0 ? (totalPL / (totalBets * stake)) * 100 : 0;
     const averageOdds = oddsCount > 0 ? sumOdds / oddsCount : 0;
 
     // Calculate streaks and max drawdown
-    const longestWinStreak = calculateLongestWinStreak(results);
-    const longestLoseStreak = calculateLongestLoseStreak(results);
+    const longestWinStreak = calculateLongestWinStreak(results, staking);
+    const longestLoseStreak = calculateLongestLoseStreak(results, staking);
     const maxDrawdown = calculateMaxDrawdown(results);
 
     // Calculate monthly cumulative P/L
     const monthlyCumulative = calculateMonthlyCumulative(results);
 
     // Calculate profit by odds range
-    const profitByOddsRange = calculateProfitByOddsRange(results);
+    const profitByOddsRange = calculateProfitByOddsRange(results, staking);
 
     console.log(
       "Math.round(maxDrawdown * 100) / 100",
@@ -259,8 +345,9 @@ function calculateMonthlyCumulative(results) {
 /**
  * Calculate profit by odds range
  * Groups results by odds ranges and calculates total profit for each range
+ * Wins are counted per bet side (lay wins on LOST, back wins on WON)
  */
-function calculateProfitByOddsRange(results) {
+function calculateProfitByOddsRange(results, staking) {
   const ranges = [
     { label: "Odds < 10.0", max: 10.0 },
     { label: "Odds < 20.0", max: 20.0 },
@@ -280,7 +367,7 @@ function calculateProfitByOddsRange(results) {
   // Single pass through results
   for (const r of results) {
     const pl = r.winPL || 0;
-    const isWin = r.result && r.result.toUpperCase().includes("LOST");
+    const isWin = isWinningBet(r.result, getBetSide(r, staking));
     const odds = r.winBsp;
 
     // Process each range
@@ -333,12 +420,12 @@ function calculateProfitByOddsRange(results) {
  * Calculate longest win streak
  * Iterates through results in date order and finds the longest consecutive sequence of wins
  */
-function calculateLongestWinStreak(results) {
+function calculateLongestWinStreak(results, staking) {
   let longestStreak = 0;
   let currentStreak = 0;
 
   for (const r of results) {
-    const isWin = r.result && r.result.toUpperCase().includes("LOST");
+    const isWin = isWinningBet(r.result, getBetSide(r, staking));
     if (isWin) {
       currentStreak++;
       longestStreak = Math.max(longestStreak, currentStreak);
@@ -354,12 +441,12 @@ function calculateLongestWinStreak(results) {
  * Calculate longest lose streak
  * Iterates through results in date order and finds the longest consecutive sequence of losses
  */
-function calculateLongestLoseStreak(results) {
+function calculateLongestLoseStreak(results, staking) {
   let longestStreak = 0;
   let currentStreak = 0;
 
   for (const r of results) {
-    const isWin = r.result && r.result.toUpperCase().includes("LOST");
+    const isWin = isWinningBet(r.result, getBetSide(r, staking));
     if (!isWin) {
       currentStreak++;
       longestStreak = Math.max(longestStreak, currentStreak);
@@ -372,31 +459,390 @@ function calculateLongestLoseStreak(results) {
 }
 
 /**
- * Calculate maximum drawdown
- * Tracks cumulative P/L and finds the maximum peak-to-trough decline
- * Returns the absolute value of the maximum drawdown (positive number)
+ * Parse staking plan options from the query string
+ * Amounts are in currency; percent is the share of the current bank risked per bet
+ */
+function parseStakingPlan(query) {
+  const type = normalizeString(query.plan) || "level";
+  const startingBank = parseNumberOrNull(query.startingBank);
+  const stake = parseNumberOrNull(query.stake);
+  const liability = parseNumberOrNull(query.liability);
+  const percent = parseNumberOrNull(query.percent);
+  const kellyFraction = parseNumberOrNull(query.kellyFraction);
+  const kellyMinBets = parseNumberOrNull(query.kellyMinBets);
+
+  return {
+    type,
+    startingBank: startingBank !== null ? startingBank : 1000,
+    stake: stake !== null ? stake : 10,
+    liability: liability !== null ? liability : 10,
+    percent: percent !== null ? percent : 2,
+    kellyFraction: kellyFraction !== null ? kellyFraction : 0.5,
+    kellyMinBets: kellyMinBets !== null ? Math.max(0, kellyMinBets) : 50,
+  };
+}
+
+/**
+ * Parse a list of system IDs from a comma-separated string or repeated query param
+ */
+function parseSystemIds(value) {
+  const raw = Array.isArray(value) ? value : normalizeString(value).split(",");
+  return [...new Set(raw.map((id) => normalizeString(id)).filter(Boolean))];
+}
+
+/**
+ * Calculate overlap between systems in a portfolio
+ * An overlap is the same horse picked by more than one system on the same day
  */
-function calculateMaxDrawdown(results) {
-  let maxDrawdown = 0;
-  let peak = 0;
-  let cumulativePL = 0;
+function calculatePortfolioOverlap(results, systemNames) {
+  const picks = new Map();
 
   for (const r of results) {
-    cumulativePL += r.winPL || 0;
+    const key = `${r.dateISO}|${(r.horse || "").toLowerCase().trim()}`;
+    if (!picks.has(key)) {
+      picks.set(key, {
+        dateISO: r.dateISO,
+        horse: r.horse,
+        systemIds: new Set(),
+        bets: 0,
+        pl: 0,
+      });
+    }
+    const pick = picks.get(key);
+    pick.systemIds.add(r.systemId.toString());
+    pick.bets += 1;
+    pick.pl += r.winPL || 0;
+  }
 
-    // Update peak if we've reached a new high
-    if (cumulativePL > peak) {
-      peak = cumulativePL;
+  let overlappingSelections = 0;
+  let overlapBets = 0;
+  let overlapPL = 0;
+  const pairCounts = new Map();
+  const overlaps = [];
+
+  for (const pick of picks.values()) {
+    if (pick.systemIds.size < 2) continue;
+
+    overlappingSelections += 1;
+    overlapBets += pick.bets;
+    overlapPL += pick.pl;
+
+    const ids = Array.from(pick.systemIds).sort();
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const pairKey = `${ids[i]}|${ids[j]}`;
+        pairCounts.set(pairKey, (pairCounts.get(pairKey) || 0) + 1);
+      }
     }
 
-    // Calculate drawdown from peak
-    const drawdown = peak - cumulativePL;
-    if (drawdown > maxDrawdown) {
-      maxDrawdown = drawdown;
+    overlaps.push({
+      dateISO: pick.dateISO,
+      horse: pick.horse,
+      systems: ids.map((id) => systemNames.get(id) || id),
+      pl: Math.round(pick.pl * 100) / 100,
+    });
+  }
+
+  return {
+    uniqueSelections: picks.size,
+    overlappingSelections,
+    overlapBets,
+    overlapPL: Math.round(overlapPL * 100) / 100,
+    overlapRate:
+      picks.size > 0
+        ? Math.round((overlappingSelections / picks.size) * 100 * 10) / 10
+        : 0,
+    pairs: Array.from(pairCounts.entries())
+      .map(([pairKey, count]) => {
+        const systemIds = pairKey.split("|");
+        return {
+          systemIds,
+          systemNames: systemIds.map((id) => systemNames.get(id) || id),
+          count,
+        };
+      })
+      .sort((a, b) => b.count - a.count),
+    // Most recent overlaps first
+    recent: overlaps
+      .sort((a, b) => b.dateISO.localeCompare(a.dateISO))
+      .slice(0, 50),
+  };
+}
+
+/**
+ * Build combined performance for a set of systems
+ * Merges settled selections in time order so drawdown reflects the real sequence
+ */
+async function buildPortfolioPerformance(systemIds, query) {
+  const systems = await System.find({ _id: { $in: systemIds } }).sort({
+    name: 1,
+  });
+
+  const stakingBySystem = new Map(
+    systems.map((system) => [system._id.toString(), getStakingSettings(system)])
+  );
+  const systemNames = new Map(
+    systems.map((system) => [system._id.toString(), system.name])
+  );
+
+  const dbQuery = {
+    systemId: { $in: systems.map((system) => system._id) },
+    hasResult: true,
+  };
+  applyCommonFilters(dbQuery, query);
+
+  const results = await SystemSelection.find(dbQuery)
+    .select("systemId date dateISO time horse winPL result winBsp betSide")
+    .sort({ date: 1, time: 1, systemId: 1, rowOrder: 1 })
+    .lean();
+
+  const isWin = (r) => {
+    const staking = stakingBySystem.get(r.systemId.toString());
+    return isWinningBet(r.result, getBetSide(r, staking));
+  };
+
+  let totalPL = 0;
+  let wins = 0;
+  let turnover = 0;
+  const bySystem = new Map(
+    systems.map((system) => [
+      system._id.toString(),
+      { pl: 0, bets: 0, wins: 0 },
+    ])
+  );
+
+  for (const r of results) {
+    const systemIdStr = r.systemId.toString();
+    const pl = r.winPL || 0;
+    const win = isWin(r);
+
+    totalPL += pl;
+    turnover += stakingBySystem.get(systemIdStr).stake;
+    if (win) wins++;
+
+    const systemStats = bySystem.get(systemIdStr);
+    systemStats.pl += pl;
+    systemStats.bets += 1;
+    if (win) systemStats.wins += 1;
+  }
+
+  const totalBets = results.length;
+  const maxDrawdown = calculateMaxDrawdown(results);
+  const monthlyBreakdown = calculateMonthlyBreakdown(results, isWin);
+
+  // Running total across months for the combined curve
+  let cumulative = 0;
+  const monthly = monthlyBreakdown.map((month) => {
+    cumulative += month.monthlyPL;
+    return {
+      ...month,
+      cumulativePL: Math.round(cumulative * 100) / 100,
+    };
+  });
+
+  return {
+    systems: systems.map((system) => {
+      const stats = bySystem.get(system._id.toString());
+      return {
+        systemId: system._id,
+        systemName: system.name,
+        systemSlug: system.slug,
+        totalPL: Math.round(stats.pl * 100) / 100,
+        totalBets: stats.bets,
+        strikeRate:
+          stats.bets > 0
+            ? Math.round((stats.wins / stats.bets) * 100 * 10) / 10
+            : 0,
+      };
+    }),
+    totalPL: Math.round(totalPL * 100) / 100,
+    totalBets,
+    wins,
+    strikeRate:
+      totalBets > 0 ? Math.round((wins / totalBets) * 100 * 10) / 10 : 0,
+    roi: turnover > 0 ? Math.round((totalPL / turnover) * 100 * 10) / 10 : 0,
+    maxDrawdown: 0 - Math.round(maxDrawdown * 100) / 100,
+    monthlyBreakdown: monthly,
+    overlap: calculatePortfolioOverlap(results, systemNames),
+  };
+}
+
+/**
+ * Aggregation expression that is true when a selection is a winning bet
+ * Lay bets win when the horse LOST, back bets win when it WON;
+ * selections without a recorded side use the system's bet type
+ * @param {string} defaultBetSide - The system's bet type
+ */
+function winningBetExpression(defaultBetSide) {
+  return {
+    $and: [
+      { $ne: ["$result", null] },
+      {
+        $regexMatch: {
+          input: "$result",
+          regex: {
+            $cond: [
+              { $eq: [{ $ifNull: ["$betSide", defaultBetSide] }, "back"] },
+              "WON",
+              "LOST",
+            ],
+          },
+          options: "i",
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Parse odds band upper bounds from the query (e.g. oddsBands=3,5,10,20)
+ * Returns null if any value is invalid
+ */
+function parseOddsBands(value) {
+  const raw = normalizeString(value);
+  if (!raw) return DEFAULT_ODDS_BANDS;
+
+  const bands = raw.split(",").map((v) => parseNumberOrNull(v));
+  if (bands.some((band) => band === null || band <= 1)) return null;
+
+  // Sorted and de-duplicated so overlapping input still gives clean bands
+  return [...new Set(bands)].sort((a, b) => a - b);
+}
+
+/**
+ * Aggregation expression for the breakdown group key of a dimension
+ * Odds bands resolve to the band index (null when there's no BSP)
+ */
+function breakdownKeyExpression(by, oddsBands) {
+  switch (by) {
+    case "meeting":
+      return "$meeting";
+    case "country":
+      return "$country";
+    case "dayOfWeek":
+      return { $dayOfWeek: "$date" }; // 1 = Sunday
+    case "year":
+      return { $year: "$date" };
+    case "hourOfDay":
+      // Time is stored as "HH:MM"
+      return {
+        $convert: {
+          input: { $arrayElemAt: [{ $split: ["$time", ":"] }, 0] },
+          to: "int",
+          onError: null,
+          onNull: null,
+        },
+      };
+    case "oddsBand":
+      return {
+        $cond: [
+          { $gt: [{ $ifNull: ["$winBsp", 0] }, 0] },
+          {
+            $switch: {
+              branches: oddsBands.map((upper, i) => ({
+                case: { $lt: ["$winBsp", upper] },
+                then: i,
+              })),
+              default: oddsBands.length,
+            },
+          },
+          null,
+        ],
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Human readable label for a breakdown group key
+ */
+function breakdownLabel(by, key, oddsBands) {
+  if (key === null || key === undefined || key === "") {
+    return by === "oddsBand" ? "No BSP" : "Unknown";
+  }
+  switch (by) {
+    case "dayOfWeek":
+      return DAY_NAMES[key - 1];
+    case "hourOfDay":
+      return `${String(key).padStart(2, "0")}:00`;
+    case "oddsBand": {
+      const lower = key === 0 ? 1 : oddsBands[key - 1];
+      const upper = oddsBands[key];
+      return upper === undefined
+        ? `${lower.toFixed(2)}+`
+        : `${lower.toFixed(2)} - ${upper.toFixed(2)}`;
     }
+    default:
+      return String(key);
   }
+}
+
+/**
+ * Build a performance breakdown for a system grouped by one dimension
+ * Grouping and totals are computed in the database
+ */
+async function buildPerformanceBreakdown(system, by, oddsBands, query) {
+  const staking = getStakingSettings(system);
+
+  const dbQuery = { systemId: system._id, hasResult: true };
+  applyCommonFilters(dbQuery, query);
+
+  const groups = await SystemSelection.aggregate([
+    { $match: dbQuery },
+    {
+      $group: {
+        _id: breakdownKeyExpression(by, oddsBands),
+        bets: { $sum: 1 },
+        wins: {
+          $sum: { $cond: [winningBetExpression(staking.betType), 1, 0] },
+        },
+        totalPL: { $sum: { $ifNull: ["$winPL", 0] } },
+        sumOdds: {
+          $sum: {
+            $cond: [{ $gt: [{ $ifNull: ["$winBsp", 0] }, 0] }, "$winBsp", 0],
+          },
+        },
+        oddsCount: {
+          $sum: {
+            $cond: [{ $gt: [{ $ifNull: ["$winBsp", 0] }, 0] }, 1, 0],
+          },
+        },
+      },
+    },
+  ]);
+
+  const rows = groups.map((group) => ({
+    key: group._id,
+    label: breakdownLabel(by, group._id, oddsBands),
+    bets: group.bets,
+    wins: group.wins,
+    strikeRate:
+      group.bets > 0
+        ? Math.round((group.wins / group.bets) * 100 * 10) / 10
+        : 0,
+    totalPL: Math.round(group.totalPL * 100) / 100,
+    roi:
+      group.bets > 0 && staking.stake > 0
+        ? Math.round(
+            (group.totalPL / (group.bets * staking.stake)) * 100 * 10
+          ) / 10
+        : 0,
+    avgOdds:
+      group.oddsCount > 0
+        ? Math.round((group.sumOdds / group.oddsCount) * 100) / 100
+        : 0,
+  }));
+
+  // Ordered dimensions sort by key, names by volume; unknown groups go last
+  const ordered = ["dayOfWeek", "hourOfDay", "oddsBand", "year"].includes(by);
+  rows.sort((a, b) => {
+    if (a.key === null || a.key === "") return 1;
+    if (b.key === null || b.key === "") return -1;
+    return ordered ? a.key - b.key : b.bets - a.bets;
+  });
 
-  return maxDrawdown;
+  return rows;
 }
 
 // @desc    Get all systems with performance stats
@@ -410,6 +856,8 @@ const getAllSystemsWithStats = async (req, res) => {
     // Calculate stats for each system using aggregation pipeline (much more memory efficient)
     const systemsWithStats = await Promise.all(
       systems.map(async (system) => {
+        const staking = getStakingSettings(system);
+
         // Use aggregation pipeline to calculate stats in database (avoids loading all data)
         const stats = await SystemSelection.aggregate([
           {
@@ -425,21 +873,7 @@ const getAllSystemsWithStats = async (req, res) => {
               totalPL: { $sum: { $ifNull: ["$winPL", 0] } },
               wins: {
                 $sum: {
-                  $cond: [
-                    {
-                      $and: [
-                        { $ne: ["$result", null] },
-                        {
-                          $regexMatch: {
-                            input: "$result",
-                            regex: /LOST/i,
-                          },
-                        },
-                      ],
-                    },
-                    1,
-                    0,
-                  ],
+                  $cond: [winningBetExpression(staking.betType), 1, 0],
                 },
               },
             },
@@ -455,8 +889,12 @@ const getAllSystemsWithStats = async (req, res) => {
         const totalBets = statsData.totalBets;
         const totalPL = statsData.totalPL;
         const wins = statsData.wins;
+        const { stake } = staking;
         const strikeRate = totalBets > 0 ? (wins / totalBets) * 100 : 0;
-        const roi = totalBets > 0 ? (totalPL / totalBets) * 100 : 0;
+        const roi =
+          totalBets > 0 && stake > 0
+            ? (totalPL / (totalBets * stake)) * 100
+            : 0;
 
         const toSend = {
           systemId: system._id,
@@ -525,7 +963,7 @@ const getSystemResults = async (req, res) => {
     // Get results with pagination - only select fields we need and use lean() for memory efficiency
     const results = await SystemSelection.find(query)
       .select(
-        "dateISO country meeting time horse result winBsp winPL runningWinPL"
+        "dateISO country meeting time horse result winBsp winPL runningWinPL betSide"
       )
       .sort(sortObj)
       .skip(offsetNum)
@@ -533,11 +971,19 @@ const getSystemResults = async (req, res) => {
       .lean();
 
     // Map to response format
+    const staking = getStakingSettings(system);
+    const { stake } = staking;
     const mappedResults = results.map((result) => {
-      const stake = 1.0; // Assuming 1pt level stakes
       const bsp = result.winBsp || 0;
+      const betSide = getBetSide(result, staking);
       // For lay bets: liability = (bsp - 1) * stake
-      const liability = bsp > 0 ? (bsp - 1) * stake : 0;
+      // For back bets: liability is the stake itself
+      let liability = 0;
+      if (betSide === "back") {
+        liability = stake;
+      } else if (bsp > 0) {
+        liability = (bsp - 1) * stake;
+      }
 
       return {
         date: result.dateISO,
@@ -547,6 +993,7 @@ const getSystemResults = async (req, res) => {
         selection: result.horse || null,
         result: result.result || null,
         bsp: bsp,
+        betSide,
         stake: stake,
         liability: Math.round(liability * 100) / 100,
         pl: Math.round((result.winPL || 0) * 100) / 100,
@@ -597,57 +1044,16 @@ const getMonthlyBreakdown = async (req, res) => {
 
     // Get only the fields we need and use lean() for plain JS objects (saves memory)
     const results = await SystemSelection.find(query)
-      .select("date winPL result")
+      .select("date winPL result betSide")
       .sort({ date: 1 })
       .lean();
 
-    // Group by month and calculate monthly P/L (non-cumulative)
-    const monthlyData = {};
-
-    for (const result of results) {
-      if (!result.date) continue;
-
-      const date = new Date(result.date);
-      const yearMonth = `${date.getFullYear()}-${String(
-        date.getMonth() + 1
-      ).padStart(2, "0")}`;
-
-      if (!monthlyData[yearMonth]) {
-        monthlyData[yearMonth] = {
-          month: yearMonth,
-          monthName: date.toLocaleString("default", {
-            month: "long",
-            year: "numeric",
-          }),
-          monthlyPL: 0,
-          bets: 0,
-          wins: 0,
-        };
-      }
-
-      monthlyData[yearMonth].monthlyPL += result.winPL || 0;
-      monthlyData[yearMonth].bets += 1;
-
-      // Count wins (for lay bets, "LOST" = win)
-      if (result.result && result.result.toUpperCase().includes("LOST")) {
-        monthlyData[yearMonth].wins += 1;
-      }
-    }
+    const staking = getStakingSettings(system);
 
-    // Convert to array and calculate strike rate
-    const monthlyArray = Object.values(monthlyData)
-      .sort((a, b) => a.month.localeCompare(b.month))
-      .map((month) => ({
-        month: month.month,
-        monthName: month.monthName,
-        monthlyPL: Math.round(month.monthlyPL * 100) / 100,
-        bets: month.bets,
-        wins: month.wins,
-        strikeRate:
-          month.bets > 0
-            ? Math.round((month.wins / month.bets) * 100 * 10) / 10
-            : 0,
-      }));
+    // Count wins per bet side (lay bets win on "LOST", back bets on "WON")
+    const monthlyArray = calculateMonthlyBreakdown(results, (r) =>
+      isWinningBet(r.result, getBetSide(r, staking))
+    );
 
     res.status(200).json({
       success: true,
@@ -672,7 +1078,7 @@ const getMonthlyBreakdown = async (req, res) => {
 //
 // Notes:
 // - Applies date/odds filters (startDate/endDate/minOdds/maxOdds) so dropdowns stay relevant.
-// - Does NOT apply country/meeting filters when building the distinct sets.
+// - Does NOT apply country/meeting/race filters when building the distinct sets.
 const getSystemFilterOptions = async (req, res) => {
   try {
     const { systemId } = req.params;
@@ -686,27 +1092,46 @@ const getSystemFilterOptions = async (req, res) => {
       });
     }
 
-    const query = { systemId, hasResult: true };
+    const query = { systemId: system._id, hasResult: true };
     applyCommonFilters(query, req.query, {
       includeCountry: false,
       includeMeeting: false,
       includeOdds: true,
+      includeRace: false,
     });
 
-    const [countriesRaw, meetingsRaw] = await Promise.all([
-      SystemSelection.distinct("country", query),
-      SystemSelection.distinct("meeting", query),
-    ]);
-
-    const countries = (countriesRaw || [])
-      .map((v) => normalizeString(v))
-      .filter(Boolean)
-      .sort((a, b) => a.localeCompare(b));
-
-    const meetings = (meetingsRaw || [])
-      .map((v) => normalizeString(v))
-      .filter(Boolean)
-      .sort((a, b) => a.localeCompare(b));
+    const raceFields = Object.values(RACE_FILTER_FIELDS);
+    const [countriesRaw, meetingsRaw, runnersRange, ...raceValuesRaw] =
+      await Promise.all([
+        SystemSelection.distinct("country", query),
+        SystemSelection.distinct("meeting", query),
+        SystemSelection.aggregate([
+          { $match: { ...query, runners: { $ne: null } } },
+          {
+            $group: {
+              _id: null,
+              min: { $min: "$runners" },
+              max: { $max: "$runners" },
+            },
+          },
+        ]),
+        ...raceFields.map((field) => SystemSelection.distinct(field, query)),
+      ]);
+
+    const toSortedList = (values) =>
+      (values || [])
+        .map((v) => normalizeString(v))
+        .filter(Boolean)
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+    const countries = toSortedList(countriesRaw);
+    const meetings = toSortedList(meetingsRaw);
+
+    // e.g. { going: [...], raceType: [...], raceClass: [...] }
+    const raceOptions = {};
+    raceFields.forEach((field, i) => {
+      raceOptions[field] = toSortedList(raceValuesRaw[i]);
+    });
 
     res.status(200).json({
       success: true,
@@ -716,6 +1141,15 @@ const getSystemFilterOptions = async (req, res) => {
         systemSlug: system.slug,
         countries,
         meetings,
+        going: raceOptions.going,
+        raceTypes: raceOptions.raceType,
+        distances: raceOptions.distance,
+        raceClasses: raceOptions.raceClass,
+        jockeys: raceOptions.jockey,
+        trainers: raceOptions.trainer,
+        runners: runnersRange[0]
+          ? { min: runnersRange[0].min, max: runnersRange[0].max }
+          : null,
       },
     });
   } catch (error) {
@@ -726,6 +1160,268 @@ const getSystemFilterOptions = async (req, res) => {
   }
 };
 
+// @desc    Simulate a staking plan over a system's settled history
+// @route   GET /api/performance/simulate/:systemId
+// @access  Public
+//
+// Query: plan=level|fixedLiability|percentBank|kelly, startingBank, stake (level),
+// liability (fixedLiability), percent (percentBank), kellyFraction/kellyMinBets (kelly),
+// plus the usual startDate/endDate/country/meeting/minOdds/maxOdds filters.
+const simulateSystemStaking = async (req, res) => {
+  try {
+    const { systemId } = req.params;
+
+    // Verify system exists
+    const system = await System.findById(systemId);
+    if (!system) {
+      return res.status(404).json({
+        success: false,
+        error: "System not found",
+      });
+    }
+
+    const plan = parseStakingPlan(req.query);
+    if (!STAKING_PLANS.includes(plan.type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid plan. Must be one of: ${STAKING_PLANS.join(", ")}`,
+      });
+    }
+    if (
+      plan.startingBank <= 0 ||
+      plan.stake <= 0 ||
+      plan.liability <= 0 ||
+      plan.percent <= 0 ||
+      plan.percent > 100 ||
+      plan.kellyFraction <= 0 ||
+      plan.kellyFraction > 1
+    ) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "startingBank, stake and liability must be positive, percent must be between 0 and 100, and kellyFraction between 0 and 1",
+      });
+    }
+
+    // Build query - only get selections with results
+    const query = { systemId, hasResult: true };
+    applyCommonFilters(query, req.query);
+
+    const results = await SystemSelection.find(query)
+      .select("date dateISO time result winBsp betSide")
+      .sort({ date: 1, time: 1, rowOrder: 1 })
+      .lean();
+
+    const staking = getStakingSettings(system);
+    const simulation = simulateStakingPlan(results, plan, staking);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        systemId,
+        systemName: system.name,
+        systemSlug: system.slug,
+        plan,
+        ...simulation,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get performance broken down by a single dimension
+// @route   GET /api/performance/breakdown/:systemId?by=meeting|country|dayOfWeek|hourOfDay|oddsBand|year
+// @access  Public
+//
+// Query: by (required), oddsBands=5,10,20 (upper bounds for by=oddsBand),
+// plus the usual startDate/endDate/country/meeting/minOdds/maxOdds filters.
+const getPerformanceBreakdown = async (req, res) => {
+  try {
+    const { systemId } = req.params;
+    const by = normalizeString(req.query.by);
+
+    if (!BREAKDOWN_DIMENSIONS.includes(by)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid breakdown. 'by' must be one of: ${BREAKDOWN_DIMENSIONS.join(
+          ", "
+        )}`,
+      });
+    }
+
+    const oddsBands = parseOddsBands(req.query.oddsBands);
+    if (!oddsBands) {
+      return res.status(400).json({
+        success: false,
+        error: "oddsBands must be a comma-separated list of odds above 1.0",
+      });
+    }
+
+    // Verify system exists
+    const system = await System.findById(systemId);
+    if (!system) {
+      return res.status(404).json({
+        success: false,
+        error: "System not found",
+      });
+    }
+
+    const breakdown = await buildPerformanceBreakdown(
+      system,
+      by,
+      oddsBands,
+      req.query
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        systemId,
+        systemName: system.name,
+        systemSlug: system.slug,
+        by,
+        ...(by === "oddsBand" && { oddsBands }),
+        breakdown,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get combined performance for a set of systems
+// @route   GET /api/performance/portfolio?systemIds=id1,id2
+// @access  Public
+const getPortfolioPerformance = async (req, res) => {
+  try {
+    const systemIds = parseSystemIds(req.query.systemIds);
+
+    if (systemIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "systemIds is required",
+      });
+    }
+
+    if (!systemIds.every((id) => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        error: "systemIds must be valid system IDs",
+      });
+    }
+
+    const data = await buildPortfolioPerformance(systemIds, req.query);
+
+    if (data.systems.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "No systems found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get combined performance for the user's subscribed systems
+// @route   GET /api/performance/portfolio/me
+// @access  Private
+const getMyPortfolioPerformance = async (req, res) => {
+  try {
+    const systemIds = req.user.activeSystemIds || [];
+
+    if (systemIds.length === 0) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          systems: [],
+          totalPL: 0,
+          totalBets: 0,
+          wins: 0,
+          strikeRate: 0,
+          roi: 0,
+          maxDrawdown: 0,
+          monthlyBreakdown: [],
+          overlap: null,
+        },
+      });
+    }
+
+    const data = await buildPortfolioPerformance(systemIds, req.query);
+
+    res.status(200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Generate and email monthly performance reports for a past month
+// @route   POST /api/performance/reports/monthly
+// @access  Admin
+const runMonthlyReports = async (req, res) => {
+  try {
+    const { month, userId, resend } = req.body || {};
+
+    if (!isCompletedMonth(month)) {
+      return res.status(400).json({
+        success: false,
+        error: "month must be a completed month in YYYY-MM format",
+      });
+    }
+
+    if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid userId",
+      });
+    }
+
+    const summary = await sendMonthlyReports({
+      month,
+      userId,
+      resend: resend === true || resend === "true",
+    });
+
+    if (summary.skipped) {
+      return res.status(409).json({
+        success: false,
+        error: "Monthly reports are already being sent",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: summary,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   getSystems,
   getSystemPerformance,
@@ -733,4 +1429,9 @@ module.exports = {
   getSystemResults,
   getMonthlyBreakdown,
   getSystemFilterOptions,
+  simulateSystemStaking,
+  getPortfolioPerformance,
+  getMyPortfolioPerformance,
+  getPerformanceBreakdown,
+  runMonthlyReports,
 };
@@ -1,4 +1,5 @@
 const Plan = require("../models/Plan");
+const { recordAudit } = require("../services/auditService");
 
 // @desc    Get all plans
 // @route   GET /api/plans
@@ -47,10 +48,16 @@ const getPlan = async (req, res) => {
 
 // @desc    Create new plan
 // @route   POST /api/plans
-// @access  Public
+// @access  Private (plans:write)
 const createPlan = async (req, res) => {
   try {
     const plan = await Plan.create(req.body);
+    await recordAudit(req, {
+      action: "plan.create",
+      targetModel: "Plan",
+      targetId: plan._id,
+      after: plan,
+    });
 
     res.status(201).json({
       success: true,
@@ -73,9 +80,10 @@ const createPlan = async (req, res) => {
 
 // @desc    Update plan
 // @route   PUT /api/plans/:id
-// @access  Public
+// @access  Private (plans:write)
 const updatePlan = async (req, res) => {
   try {
+    const before = await Plan.findById(req.params.id).lean();
     const plan = await Plan.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -92,6 +100,14 @@ const updatePlan = async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: "plan.update",
+      targetModel: "Plan",
+      targetId: plan._id,
+      before,
+      after: plan,
+    });
+
     res.status(200).json({
       success: true,
       data: plan,
@@ -113,7 +129,7 @@ const updatePlan = async (req, res) => {
 
 // @desc    Delete plan
 // @route   DELETE /api/plans/:id
-// @access  Public
+// @access  Private (plans:write)
 const deletePlan = async (req, res) => {
   try {
     const plan = await Plan.findByIdAndDelete(req.params.id);
@@ -125,6 +141,13 @@ const deletePlan = async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: "plan.delete",
+      targetModel: "Plan",
+      targetId: plan._id,
+      before: plan,
+    });
+
     res.status(200).json({
       success: true,
       data: {},
@@ -1,4 +1,5 @@
 const Promotion = require("../models/Promotion");
+const { recordAudit } = require("../services/auditService");
 
 // @desc    Get all promotions
 // @route   GET /api/promotions
@@ -81,10 +82,16 @@ const getPromotionByCode = async (req, res) => {
 
 // @desc    Create new promotion
 // @route   POST /api/promotions
-// @access  Public
+// @access  Private (promotions:write)
 const createPromotion = async (req, res) => {
   try {
     const promotion = await Promotion.create(req.body);
+    await recordAudit(req, {
+      action: "promotion.create",
+      targetModel: "Promotion",
+      targetId: promotion._id,
+      after: promotion,
+    });
 
     res.status(201).json({
       success: true,
@@ -100,9 +107,10 @@ const createPromotion = async (req, res) => {
 
 // @desc    Update promotion
 // @route   PUT /api/promotions/:id
-// @access  Public
+// @access  Private (promotions:write)
 const updatePromotion = async (req, res) => {
   try {
+    const before = await Promotion.findById(req.params.id).lean();
     const promotion = await Promotion.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -121,6 +129,14 @@ const updatePromotion = async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: "promotion.update",
+      targetModel: "Promotion",
+      targetId: promotion._id,
+      before,
+      after: promotion,
+    });
+
     res.status(200).json({
       success: true,
       data: promotion,
@@ -135,7 +151,7 @@ const updatePromotion = async (req, res) => {
 
 // @desc    Delete promotion
 // @route   DELETE /api/promotions/:id
-// @access  Public
+// @access  Private (promotions:write)
 const deletePromotion = async (req, res) => {
   try {
     const promotion = await Promotion.findByIdAndDelete(req.params.id);
@@ -147,6 +163,13 @@ const deletePromotion = async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: "promotion.delete",
+      targetModel: "Promotion",
+      targetId: promotion._id,
+      before: promotion,
+    });
+
     res.status(200).json({
       success: true,
       data: {},
@@ -1,6 +1,62 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
 const SystemSelection = require("../models/SystemSelection");
 const System = require("../models/System");
+const SettlementBatch = require("../models/SettlementBatch");
 const User = require("../models/User");
+const {
+  calculateWinPL,
+  getStakingSettings,
+  getSelectionStaking,
+  recalculateSystemPL,
+  recalculateRunningPL,
+} = require("../services/settlementService");
+const {
+  normalizeHorseName,
+  scoreMatch,
+  findCandidates,
+  pickAutoMatch,
+} = require("../services/matchingService");
+const { loadCourseResolver } = require("../services/courseService");
+const {
+  sendDailySelectionsDigest,
+  notifySelectionsAdded,
+} = require("../services/selectionDigestService");
+const {
+  notifyResultsSettled,
+} = require("../services/resultsNotificationService");
+const {
+  publishSelections,
+  publishResults,
+  subscribe,
+  createStreamToken,
+} = require("../services/selectionStreamService");
+const { queueWebhookEvent } = require("../services/webhookService");
+const { hasPermission } = require("../config/roles");
+const { recordAudit } = require("../services/auditService");
+const {
+  buildNewSelectionFilter,
+  withViewState,
+  markSelectionsViewedBy,
+  getUnreadCounts,
+} = require("../services/selectionViewService");
+
+const BET_SIDES = ["lay", "back"];
+
+// Optional race/runner columns in the results CSV, stored on the selection at settlement
+const RACE_METADATA_COLUMNS = [
+  { column: "Going", field: "going", type: "string" },
+  { column: "Type", field: "raceType", type: "string" },
+  { column: "Distance", field: "distance", type: "string" },
+  { column: "Class", field: "raceClass", type: "string" },
+  { column: "Jockey", field: "jockey", type: "string" },
+  { column: "Trainer", field: "trainer", type: "string" },
+  { column: "Runners", field: "runners", type: "number" },
+  { column: "Industry SP", field: "industrySp", type: "number" },
+  { column: "IP Min", field: "ipMin", type: "number" },
+  { column: "IP Max", field: "ipMax", type: "number" },
+  { column: "Betfair Rank", field: "betfairRank", type: "number" },
+];
 
 // Helper function to convert UK date format to ISO
 // Convert "10/7/2021" (UK) → "2021-07-10" (ISO)
@@ -35,11 +91,62 @@ function normalizeTime(timeStr) {
   return normalized;
 }
 
+// Key used to match selections to results rows: date, time and normalised horse name
+// Normalising the name means apostrophes, accents and "(IRE)" style suffixes still match
+function buildMatchKey(dateISO, time, horse) {
+  return `${dateISO}|${normalizeTime(time || "")}|${normalizeHorseName(horse)}`;
+}
+
+// Extract race metadata from a results CSV row
+// Empty cells and "-" placeholders are skipped so existing values aren't overwritten
+function parseRaceMetadata(values, metadataColumns) {
+  const metadata = {};
+  for (const { idx, field, type } of metadataColumns) {
+    const raw = (values[idx] || "").trim();
+    if (!raw || raw === "-") continue;
+
+    if (type === "number") {
+      const num = parseFloat(raw);
+      if (!isNaN(num)) metadata[field] = num;
+    } else {
+      metadata[field] = raw;
+    }
+  }
+  return metadata;
+}
+
+// Fields a settlement can overwrite, restored when its batch is reverted
+const SETTLEMENT_FIELDS = [
+  "result",
+  "winBsp",
+  "winPL",
+  "country",
+  "meeting",
+  "settlementBatchId",
+  ...RACE_METADATA_COLUMNS.map((col) => col.field),
+];
+
+// Values a settlement overwrites, stored on the batch so it can be reverted
+function getPreviousSettlement(selection) {
+  const previous = { hasResult: selection.hasResult || false };
+  for (const field of SETTLEMENT_FIELDS) {
+    previous[field] = selection[field];
+  }
+  return previous;
+}
+
+// Error for a write that lost a race with another request, returned as a 409
+function createConflictError(message, details = {}) {
+  const error = new Error(message);
+  error.name = "ConflictError";
+  return Object.assign(error, details);
+}
+
 // Helper function to check if user has access to a system
-// Admins have access to all systems, regular users only to their activeSystemIds
+// Staff (admins, editors) have access to all systems, regular users only to their activeSystemIds
 async function checkSystemAccess(user, systemId) {
-  // Admins have access to all systems
-  if (user.role === "admin") {
+  // Staff have access to all systems
+  if (hasPermission(user, "selections:all-systems")) {
     return true;
   }
 
@@ -55,24 +162,6 @@ async function checkSystemAccess(user, systemId) {
   return userSystemIds.includes(systemIdStr);
 }
 
-// Calculate winPL based on result and BSP
-// Formula: 1 - BSP for WON, 0.98 for LOST, 0 for NR/VOID/CANCELLED
-function calculateWinPL(result, winBsp) {
-  const upperResult = result.toUpperCase();
-  if (upperResult === "WON") {
-    return 1 - winBsp; // Negative value (loss for lay bet)
-  } else if (upperResult === "LOST") {
-    return 0.98; // 1pt - 2% commission
-  } else if (
-    upperResult === "NR" ||
-    upperResult === "VOID" ||
-    upperResult === "CANCELLED"
-  ) {
-    return 0; // No profit/loss for these results
-  }
-  return 0;
-}
-
 // Calculate placePL based on result and placeBSP
 // If horse WON or PLACED, the place lay loses (negative)
 // If horse LOST, the place lay wins (keeps stake minus commission)
@@ -91,6 +180,11 @@ function calculatePlacePL(result, placeBsp) {
   return 0.98;
 }
 
+// API keys with only the results:read scope can see settled selections only
+function canSeeUnsettledSelections(req) {
+  return !req.apiKey || req.apiKey.scopes.includes("selections:read");
+}
+
 // @desc    Get all daily selections
 // @route   GET /api/selections
 // @access  Private (requires subscription to system)
@@ -127,8 +221,8 @@ const getSelections = async (req, res) => {
       query.systemId = systemId;
     } else {
       // If no systemId provided, filter by user's active systems
-      // Admins can see all, regular users only their subscribed systems
-      if (req.user.role !== "admin") {
+      // Staff can see all, regular users only their subscribed systems
+      if (!hasPermission(req.user, "selections:all-systems")) {
         if (
           !req.user.activeSystemIds ||
           req.user.activeSystemIds.length === 0
@@ -147,7 +241,13 @@ const getSelections = async (req, res) => {
     }
 
     if (dateISO) query.dateISO = dateISO;
-    if (isNew !== undefined) query.isNew = isNew === "true";
+    // isNew is per user (not viewed by this user yet)
+    if (isNew !== undefined) {
+      query.$and = [
+        await buildNewSelectionFilter(req.user._id, isNew === "true"),
+      ];
+    }
+    if (!canSeeUnsettledSelections(req)) query.hasResult = true;
 
     if (startDate || endDate) {
       query.date = {};
@@ -206,7 +306,7 @@ const getSelections = async (req, res) => {
       selectionsQuery = selectionsQuery.skip(offsetNum).limit(limitNum);
     }
 
-    const selections = await selectionsQuery;
+    const selections = await withViewState(req.user._id, await selectionsQuery);
 
     // Calculate pagination metadata
     const hasMore = limitNum !== null ? offsetNum + limitNum < total : false;
@@ -256,7 +356,7 @@ const getTodaySelections = async (req, res) => {
       query.systemId = systemId;
     } else {
       // If no systemId provided, filter by user's active systems
-      if (req.user.role !== "admin") {
+      if (!hasPermission(req.user, "selections:all-systems")) {
         if (
           !req.user.activeSystemIds ||
           req.user.activeSystemIds.length === 0
@@ -274,9 +374,12 @@ const getTodaySelections = async (req, res) => {
 
     // console.log("query", query);
 
-    const selections = await SystemSelection.find(query)
-      .populate("systemId", "name slug")
-      .sort({ time: 1 });
+    const selections = await withViewState(
+      req.user._id,
+      await SystemSelection.find(query)
+        .populate("systemId", "name slug")
+        .sort({ time: 1 })
+    );
 
     res.status(200).json({
       success: true,
@@ -310,7 +413,10 @@ const getSelection = async (req, res) => {
 
     // Check if user has access to this selection's system
     const hasAccess = await checkSystemAccess(req.user, selection.systemId._id);
-    if (!hasAccess) {
+    if (
+      !hasAccess ||
+      (!selection.hasResult && !canSeeUnsettledSelections(req))
+    ) {
       return res.status(403).json({
         success: false,
         error: "You do not have access to this selection",
@@ -331,10 +437,10 @@ const getSelection = async (req, res) => {
 
 // @desc    Create new selection
 // @route   POST /api/selections
-// @access  Admin
+// @access  Private (selections:write)
 const createSelection = async (req, res) => {
   try {
-    const { systemId, date, country, meeting, time, horse } = req.body;
+    const { systemId, date, country, meeting, time, horse, betSide } = req.body;
 
     // Validate required fields
     if (!systemId || !date || !horse) {
@@ -344,6 +450,13 @@ const createSelection = async (req, res) => {
       });
     }
 
+    if (betSide !== undefined && !BET_SIDES.includes(betSide)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid betSide. Must be one of: ${BET_SIDES.join(", ")}`,
+      });
+    }
+
     // Verify system exists
     const system = await System.findById(systemId);
     if (!system) {
@@ -379,16 +492,21 @@ const createSelection = async (req, res) => {
         ? lastSelection.rowOrder + 1
         : 1;
 
+    // Resolve the meeting to its canonical course name
+    const courses = await loadCourseResolver();
+    const course = meeting ? courses.resolve(meeting) : null;
+
     // Create selection
     const selection = await SystemSelection.create({
       systemId,
       dateISO,
       date: isoToDate(dateISO),
-      country: country || null,
-      meeting: meeting || null,
+      country: country || (course && course.country) || null,
+      meeting: course ? course.name : meeting || null,
       time: time || null,
       horse,
-      isNew: true,
+      betSide: betSide || getStakingSettings(system).betType,
+      betSideOverride: Boolean(betSide),
       createdBy: req.user.id,
       rowOrder,
     });
@@ -397,8 +515,23 @@ const createSelection = async (req, res) => {
       .populate("systemId", "name slug")
       .populate("createdBy", "firstName lastName email");
 
+    await recordAudit(req, {
+      action: "selection.create",
+      targetModel: "SystemSelection",
+      targetId: selection._id,
+      after: selection,
+    });
+
+    // Push to connected subscribers and webhooks, and email today's selection (skipped for other dates)
+    publishSelections([populatedSelection]);
+    queueWebhookEvent("selections.published", [populatedSelection]);
+    notifySelectionsAdded([dateISO]);
+
+    const unknownMeetings = courses.unknown();
+
     res.status(201).json({
       success: true,
+      unknownMeetings: unknownMeetings.length > 0 ? unknownMeetings : undefined,
       data: populatedSelection,
     });
   } catch (error) {
@@ -411,7 +544,14 @@ const createSelection = async (req, res) => {
 
 // @desc    Upload results from CSV
 // @route   POST /api/selections/upload-results-csv
-// @access  Admin
+// @access  Private (results:write)
+//
+// Pass dryRun=true (query or form field) to preview matched, unmatched and ambiguous
+// rows and the P/L change per system without writing anything.
+// Selections that only match approximately come back as `suggestions`; confirm them by
+// re-uploading with confirmedMatches=[{ "selectionId": "...", "row": 12 }].
+// A file that has already been applied is accepted again only with confirmedMatches,
+// and then only the confirmed selections that are still unsettled are settled.
 const uploadResultsFromCSV = async (req, res) => {
   try {
     // Get CSV file from multer (req.file)
@@ -422,9 +562,57 @@ const uploadResultsFromCSV = async (req, res) => {
       });
     }
 
+    const dryRun =
+      String(req.query.dryRun || (req.body && req.body.dryRun)) === "true";
+
     // Read CSV file content
     const csvText = req.file.buffer.toString("utf-8");
 
+    // Admin-confirmed suggestions from a previous dry run: [{ selectionId, row }]
+    let confirmedMatches = new Map();
+    const confirmedRaw = req.body && req.body.confirmedMatches;
+    if (confirmedRaw) {
+      try {
+        const parsed =
+          typeof confirmedRaw === "string"
+            ? JSON.parse(confirmedRaw)
+            : confirmedRaw;
+        confirmedMatches = new Map(
+          parsed.map((m) => [String(m.selectionId), parseInt(m.row, 10)])
+        );
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error:
+            "confirmedMatches must be a JSON array of { selectionId, row } objects",
+        });
+      }
+    }
+
+    // The same file can only be applied once
+    const fileHash = crypto
+      .createHash("sha256")
+      .update(req.file.buffer)
+      .digest("hex");
+    const existingBatch = await SettlementBatch.findOne({
+      fileHash,
+      status: "applied",
+    }).lean();
+
+    // An applied file can come back with confirmed suggestions; only those
+    // selections are settled, so nothing from the first apply runs twice
+    const isConfirmationOnly =
+      Boolean(existingBatch) && confirmedMatches.size > 0;
+
+    if (existingBatch && !dryRun && !isConfirmationOnly) {
+      return res.status(409).json({
+        success: false,
+        error: "This results file has already been applied",
+        batchId: existingBatch._id,
+        appliedAt: existingBatch.createdAt,
+      });
+    }
+
     // Parse CSV lines
     const lines = csvText
       .split("\n")
@@ -448,6 +636,11 @@ const uploadResultsFromCSV = async (req, res) => {
     const betfairLayReturnIdx = header.indexOf("Betfair Lay Return");
     const betfairPlaceSPIdx = header.indexOf("Betfair Place SP");
     const placeLayReturnIdx = header.indexOf("Place Lay Return");
+    // Race metadata columns are optional - only those present in the header are read
+    const metadataColumns = RACE_METADATA_COLUMNS.map((col) => ({
+      ...col,
+      idx: header.indexOf(col.column),
+    })).filter((col) => col.idx !== -1);
 
     if (
       dateOfRaceIdx === -1 ||
@@ -513,10 +706,18 @@ const uploadResultsFromCSV = async (req, res) => {
 
     // PHASE 2: Query selections for the dateISOs found in CSV
     // Only get selections that don't already have results
-    const allSelections = await SystemSelection.find({
+    const selectionQuery = {
       dateISO: { $in: Array.from(dateISOs) },
       hasResult: { $ne: true }, // Only selections without results
-    }).lean();
+    };
+    if (isConfirmationOnly) {
+      selectionQuery._id = {
+        $in: Array.from(confirmedMatches.keys()).filter((id) =>
+          mongoose.Types.ObjectId.isValid(id)
+        ),
+      };
+    }
+    const allSelections = await SystemSelection.find(selectionQuery).lean();
 
     console.log(
       `Found ${allSelections.length} selections without results for dateISOs:`,
@@ -530,41 +731,51 @@ const uploadResultsFromCSV = async (req, res) => {
     const systems = await System.find({
       _id: { $in: systemIds },
     })
-      .select("_id name")
+      .select("_id name commissionRate stake betType")
       .lean();
     const systemMap = new Map(systems.map((s) => [s._id.toString(), s.name]));
+    // Staking settings per system, used to settle each matched selection
+    const stakingMap = new Map(
+      systems.map((s) => [s._id.toString(), getStakingSettings(s)])
+    );
+
+    // Meetings on both sides are resolved to canonical course names so they can be compared
+    const courses = await loadCourseResolver();
 
-    // PHASE 3: Build selection lookup Map (key: matchKey, value: { selection, matched: false })
+    // PHASE 3: Build selection lookup Map (key: matchKey, value: entries for every system)
+    // The same horse can be selected by several systems, so each key holds a list
     const selectionMap = new Map();
-    const sampleSelectionKeys = [];
     for (const selection of allSelections) {
-      const normalizedHorse = (selection.horse || "").toLowerCase().trim();
-      const normalizedTime = normalizeTime(selection.time || "");
-      const matchKey = `${selection.dateISO}|${normalizedTime}|${normalizedHorse}`;
-      selectionMap.set(matchKey, {
+      const matchKey = buildMatchKey(
+        selection.dateISO,
+        selection.time,
+        selection.horse
+      );
+      if (!selectionMap.has(matchKey)) {
+        selectionMap.set(matchKey, []);
+      }
+      const course = selection.meeting
+        ? courses.resolve(selection.meeting)
+        : null;
+      selectionMap.get(matchKey).push({
         selection,
+        // Canonical course name (null when unknown)
+        course: course ? course.name : null,
         matched: false,
+        suggested: false,
       });
-      // Collect sample keys for debugging
-      if (sampleSelectionKeys.length < 5) {
-        sampleSelectionKeys.push({
-          matchKey,
-          dateISO: selection.dateISO,
-          time: selection.time,
-          normalizedTime,
-          horse: selection.horse,
-          normalizedHorse,
-        });
-      }
     }
 
     console.log(
-      `Built selection map with ${selectionMap.size} selections to match against CSV`
+      `Built selection map with ${selectionMap.size} match keys to match against CSV`
     );
 
-    // PHASE 4: Process CSV line-by-line and match against selections
-    // Collect updates in memory (only ~300 selections will match)
-    const updates = []; // Array of { selectionId, updateData, winPL }
+    // PHASE 4: Process CSV line-by-line
+    // Rows are grouped by match key so conflicting duplicates can be detected,
+    // and indexed by date for fuzzy matching
+    const csvRowsByKey = new Map(); // matchKey -> [{ row, values, result, betfairSP, ... }]
+    const csvKeysByDate = new Map(); // dateISO -> Set of matchKeys
+    const csvKeyByRow = new Map(); // row number -> matchKey
 
     for (let i = 1; i < lines.length; i++) {
       try {
@@ -577,8 +788,6 @@ const uploadResultsFromCSV = async (req, res) => {
         const horse = values[horseIdx];
         const betfairSPStr = values[betfairSPIdx];
         const betfairLayReturnStr = values[betfairLayReturnIdx];
-        const betfairPlaceSPStr = values[betfairPlaceSPIdx];
-        const placeLayReturnStr = values[placeLayReturnIdx];
 
         if (!dateOfRace || !time || !horse) {
           errors.push({
@@ -598,29 +807,8 @@ const uploadResultsFromCSV = async (req, res) => {
           continue;
         }
 
-        // Create match key (case-insensitive horse name, normalized time)
-        const normalizedHorse = horse.toLowerCase().trim();
-        const normalizedTime = normalizeTime(time || "");
-        const matchKey = `${dateISO}|${normalizedTime}|${normalizedHorse}`;
-
-        const entry = selectionMap.get(matchKey);
-
-        // If no selection matches this CSV row, skip it (we don't care about unmatched CSV rows)
-        if (!entry) {
-          continue;
-        }
-
-        // Double-check: Skip if this selection already has a result (safety check)
-        if (entry.selection.hasResult) {
-          console.log(
-            `Skipping selection ${entry.selection._id} - already has result: ${entry.selection.result}`
-          );
-          continue;
-        }
-
-        // Mark selection as matched
-        entry.matched = true;
-        const selection = entry.selection;
+        const matchKey = buildMatchKey(dateISO, time, horse);
+        const course = track ? courses.resolve(track) : null;
 
         // Parse numeric values from CSV row
         const betfairSP =
@@ -629,55 +817,34 @@ const uploadResultsFromCSV = async (req, res) => {
           ? parseFloat(betfairLayReturnStr)
           : null;
 
-        // Check if Betfair SP is valid - if not, race hasn't been settled yet, skip this selection
-        const hasValidBetfairSP =
-          betfairSP !== null && !isNaN(betfairSP) && betfairSP > 0;
-
-        // If no valid Betfair SP, race hasn't been settled - skip this selection
-        if (!hasValidBetfairSP) {
-          console.log(
-            `Skipping selection ${selection._id} (${selection.dateISO} ${selection.time} ${selection.horse}) - no Betfair SP (race not settled)`
-          );
-          continue;
-        }
-
-        // Determine result based on lay returns (only if we have valid Betfair SP)
+        // Determine result based on lay returns
         // If Betfair Lay Return < 0: WON (lay bet lost)
         // If Betfair Lay Return >= 0: LOST
-        let result;
-        if (betfairLayReturn !== null && betfairLayReturn < 0) {
-          result = "WON";
-        } else {
-          result = "LOST";
-        }
+        const result =
+          betfairLayReturn !== null && betfairLayReturn < 0 ? "WON" : "LOST";
 
-        // Calculate winPL using the same logic as migration scripts
-        const winPL = calculateWinPL(result, betfairSP);
-
-        // Prepare update data
-        const updateData = {
-          country: country || selection.country,
-          meeting: track || selection.meeting,
-          result: result.toUpperCase(),
-          hasResult: true,
-          winBsp: betfairSP, // We know betfairSP is valid here (we skip if not)
-          winPL: winPL,
-        };
-
-        // Store update with selection info for running total calculation
-        updates.push({
-          selectionId: selection._id,
-          systemId: selection.systemId,
-          rowOrder: selection.rowOrder || 0,
-          updateData,
-          winPL,
+        if (!csvRowsByKey.has(matchKey)) {
+          csvRowsByKey.set(matchKey, []);
+        }
+        csvRowsByKey.get(matchKey).push({
+          row: i + 1,
+          matchKey,
+          values,
+          country: country || (course && course.country),
+          track: course ? course.name : track,
+          course: course ? course.name : null,
+          horse,
+          dateISO,
+          time,
+          result,
+          betfairSP,
         });
 
-        console.log(
-          `Matched CSV row ${i + 1} to selection ${selection._id} (${
-            selection.dateISO
-          } ${selection.time} ${selection.horse})`
-        );
+        if (!csvKeysByDate.has(dateISO)) {
+          csvKeysByDate.set(dateISO, new Set());
+        }
+        csvKeysByDate.get(dateISO).add(matchKey);
+        csvKeyByRow.set(i + 1, matchKey);
       } catch (error) {
         errors.push({
           row: i + 1,
@@ -686,23 +853,230 @@ const uploadResultsFromCSV = async (req, res) => {
       }
     }
 
-    console.log(`Total updates collected: ${updates.length}`);
+    // PHASE 5: Settle each matched selection
+    // Keys with several CSV rows that disagree on the result or BSP are ambiguous and skipped
+    const updates = []; // Array of { selectionId, systemId, updateData, winPL }
+    const matched = [];
+    const ambiguous = [];
+    const suggestions = [];
+
+    // Returns the row for a match key, or null if its duplicate rows disagree
+    const getConsistentRow = (matchKey, entries) => {
+      const csvRows = csvRowsByKey.get(matchKey);
+      const csvRow = csvRows[0];
+      const isConflicting = csvRows.some(
+        (r) => r.result !== csvRow.result || r.betfairSP !== csvRow.betfairSP
+      );
+      if (!isConflicting) return csvRow;
+
+      for (const entry of entries) entry.matched = true;
+      ambiguous.push({
+        rows: csvRows.map((r) => r.row),
+        dateISO: csvRow.dateISO,
+        time: csvRow.time,
+        horse: csvRow.horse,
+        selectionIds: entries.map((entry) => entry.selection._id),
+        reason: "Multiple CSV rows with different results for this runner",
+      });
+      return null;
+    };
+
+    const settleEntry = (entry, csvRow, matchType, confidence) => {
+      const selection = entry.selection;
+      entry.matched = true;
 
-    // PHASE 5: Find unmatched selections and debug why they don't match
-    const unmatchedSelections = [];
+      // Check if Betfair SP is valid - if not, race hasn't been settled yet, skip
+      const { betfairSP, result } = csvRow;
+      if (betfairSP === null || isNaN(betfairSP) || betfairSP <= 0) {
+        console.log(
+          `Skipping selection ${selection._id} (${selection.dateISO} ${selection.time} ${selection.horse}) - no Betfair SP (race not settled)`
+        );
+        return;
+      }
 
-    for (const [matchKey, entry] of selectionMap.entries()) {
-      if (!entry.matched) {
+      // Calculate winPL using the system's commission, stake and bet type
+      const winPL = calculateWinPL(
+        result,
+        betfairSP,
+        getSelectionStaking(
+          selection,
+          stakingMap.get(selection.systemId.toString())
+        )
+      );
+
+      // Prepare update data
+      const updateData = {
+        country: csvRow.country || selection.country,
+        meeting: csvRow.track || selection.meeting,
+        result: result.toUpperCase(),
+        hasResult: true,
+        winBsp: betfairSP, // We know betfairSP is valid here (we skip if not)
+        winPL: winPL,
+        ...parseRaceMetadata(csvRow.values, metadataColumns),
+      };
+
+      // Store update with selection info for running total calculation
+      updates.push({
+        selectionId: selection._id,
+        systemId: selection.systemId,
+        dateISO: selection.dateISO,
+        rowOrder: selection.rowOrder || 0,
+        updateData,
+        winPL,
+        previous: getPreviousSettlement(selection),
+      });
+
+      matched.push({
+        row: csvRow.row,
+        selectionId: selection._id,
+        systemId: selection.systemId,
+        systemName: systemMap.get(selection.systemId.toString()) || null,
+        dateISO: selection.dateISO,
+        time: selection.time,
+        horse: selection.horse,
+        csvHorse: csvRow.horse,
+        matchType,
+        confidence,
+        result: updateData.result,
+        winBsp: betfairSP,
+        winPL: Math.round(winPL * 100) / 100,
+      });
+
+      console.log(
+        `Matched CSV row ${csvRow.row} to selection ${selection._id} (${selection.dateISO} ${selection.time} ${selection.horse}) [${matchType}]`
+      );
+    };
+
+    // Selection fields used for scoring, with the meeting resolved to its course
+    const getMatchFields = (entry) => ({
+      ...entry.selection,
+      meeting: entry.course || entry.selection.meeting,
+    });
+
+    const buildSuggestion = (entry, candidates) => ({
+      selectionId: entry.selection._id,
+      systemId: entry.selection.systemId,
+      systemName: systemMap.get(entry.selection.systemId.toString()) || null,
+      dateISO: entry.selection.dateISO,
+      time: entry.selection.time,
+      horse: entry.selection.horse,
+      meeting: entry.selection.meeting,
+      candidates: candidates.map(({ csvRow, score }) => ({
+        row: csvRow.row,
+        time: csvRow.time,
+        horse: csvRow.horse,
+        track: csvRow.track,
+        result: csvRow.result,
+        winBsp: csvRow.betfairSP,
+        confidence: score.confidence,
+        score, // Per-field similarity: horse, time, meeting
+      })),
+    });
+
+    // 5a: Exact matches on date, time and normalised horse name
+    const exactKeys = new Set();
+    for (const [matchKey, entries] of selectionMap.entries()) {
+      if (!csvRowsByKey.has(matchKey)) continue;
+      exactKeys.add(matchKey);
+
+      const csvRow = getConsistentRow(matchKey, entries);
+      if (!csvRow) continue;
+
+      for (const entry of entries) {
+        // Same runner name and time but a different course needs an admin to confirm
+        if (entry.course && csvRow.course && entry.course !== csvRow.course) {
+          entry.courseMismatch = csvRow;
+          continue;
+        }
+        settleEntry(entry, csvRow, "exact", 1);
+      }
+    }
+
+    // 5b: Confirmed suggestions, then fuzzy matching for everything left over
+    // Confident, clear-cut matches are applied; the rest come back as suggestions
+    for (const entries of selectionMap.values()) {
+      for (const entry of entries) {
+        if (entry.matched) continue;
         const selection = entry.selection;
-        unmatchedSelections.push({
-          dateISO: selection.dateISO,
-          time: selection.time,
-          horse: selection.horse,
-          meeting: selection.meeting,
-          systemId: selection.systemId,
-          systemName: systemMap.get(selection.systemId.toString()) || null,
-          reason: "No matching CSV row found for this selection",
-        });
+
+        const confirmedRow = confirmedMatches.get(selection._id.toString());
+        if (confirmedRow) {
+          const matchKey = csvKeyByRow.get(confirmedRow);
+          if (!matchKey) {
+            errors.push({
+              row: confirmedRow,
+              error: `Confirmed match for selection ${selection._id} refers to a row that isn't a valid results row`,
+            });
+            continue;
+          }
+          const csvRow = getConsistentRow(matchKey, [entry]);
+          if (csvRow) {
+            settleEntry(
+              entry,
+              csvRow,
+              "confirmed",
+              scoreMatch(getMatchFields(entry), csvRow).confidence
+            );
+          }
+          continue;
+        }
+
+        if (entry.courseMismatch) {
+          entry.suggested = true;
+          const csvRow = entry.courseMismatch;
+          suggestions.push(
+            buildSuggestion(entry, [
+              { csvRow, score: scoreMatch(getMatchFields(entry), csvRow) },
+            ])
+          );
+          continue;
+        }
+
+        // Rows on the same date that weren't an exact match for another selection
+        const candidateRows = Array.from(
+          csvKeysByDate.get(selection.dateISO) || []
+        )
+          .filter((matchKey) => !exactKeys.has(matchKey))
+          .map((matchKey) => csvRowsByKey.get(matchKey)[0]);
+
+        const candidates = findCandidates(getMatchFields(entry), candidateRows);
+        if (candidates.length === 0) continue;
+
+        const autoMatch = pickAutoMatch(candidates);
+        if (autoMatch) {
+          const csvRow = getConsistentRow(autoMatch.csvRow.matchKey, [entry]);
+          if (csvRow) {
+            settleEntry(entry, csvRow, "fuzzy", autoMatch.score.confidence);
+          }
+          continue;
+        }
+
+        entry.suggested = true;
+        suggestions.push(buildSuggestion(entry, candidates));
+      }
+    }
+
+    console.log(
+      `Total updates collected: ${updates.length}, suggestions: ${suggestions.length}`
+    );
+
+    // PHASE 6: Find unmatched selections and debug why they don't match
+    const unmatchedSelections = [];
+
+    for (const entries of selectionMap.values()) {
+      for (const entry of entries) {
+        if (!entry.matched && !entry.suggested) {
+          const selection = entry.selection;
+          unmatchedSelections.push({
+            dateISO: selection.dateISO,
+            time: selection.time,
+            horse: selection.horse,
+            meeting: selection.meeting,
+            systemId: selection.systemId,
+            systemName: systemMap.get(selection.systemId.toString()) || null,
+            reason: "No matching CSV row found for this selection",
+          });
+        }
       }
     }
 
@@ -711,38 +1085,80 @@ const uploadResultsFromCSV = async (req, res) => {
     // Debug: Show unmatched selections with their match keys
     if (unmatchedSelections.length > 0) {
       console.log("\n=== DEBUGGING UNMATCHED SELECTIONS ===");
-      const sampleUnmatched = unmatchedSelections.slice(0, 20).map((s) => {
-        const normalizedHorse = (s.horse || "").toLowerCase().trim();
-        const normalizedTime = normalizeTime(s.time || "");
-        const matchKey = `${s.dateISO}|${normalizedTime}|${normalizedHorse}`;
-        return {
-          matchKey,
-          dateISO: s.dateISO,
-          time: s.time,
-          normalizedTime,
-          horse: s.horse,
-          normalizedHorse,
-          systemName: s.systemName,
-        };
-      });
+      const sampleUnmatched = unmatchedSelections.slice(0, 20).map((s) => ({
+        matchKey: buildMatchKey(s.dateISO, s.time, s.horse),
+        dateISO: s.dateISO,
+        time: s.time,
+        horse: s.horse,
+        systemName: s.systemName,
+      }));
       console.log(
         "First 20 unmatched selections:",
         JSON.stringify(sampleUnmatched, null, 2)
       );
     }
 
+    // Meetings and tracks that aren't a known course or alias
+    const unknownMeetings = courses.unknown();
+    if (unknownMeetings.length > 0) {
+      console.log("Unknown meetings:", unknownMeetings);
+    }
+
+    // P/L added to each system by this upload
+    const systemDeltas = new Map();
+    for (const update of updates) {
+      const systemIdStr = update.systemId.toString();
+      if (!systemDeltas.has(systemIdStr)) {
+        systemDeltas.set(systemIdStr, {
+          systemId: update.systemId,
+          systemName: systemMap.get(systemIdStr) || null,
+          selections: 0,
+          plDelta: 0,
+        });
+      }
+      const delta = systemDeltas.get(systemIdStr);
+      delta.selections += 1;
+      delta.plDelta += update.winPL;
+    }
+    const systemsSummary = Array.from(systemDeltas.values()).map((delta) => ({
+      ...delta,
+      plDelta: Math.round(delta.plDelta * 100) / 100,
+    }));
+
+    // Dry run: report what would happen without writing anything
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        alreadyApplied: existingBatch
+          ? { batchId: existingBatch._id, appliedAt: existingBatch.createdAt }
+          : undefined,
+        wouldUpdate: updates.length,
+        matched,
+        suggestions,
+        unmatched: unmatchedSelections,
+        ambiguous,
+        unknownMeetings,
+        errors,
+        systems: systemsSummary,
+      });
+    }
+
     if (updates.length === 0) {
       return res.status(200).json({
         success: true,
         updated: 0,
+        suggestions: suggestions.length > 0 ? suggestions : undefined,
         unmatched:
           unmatchedSelections.length > 0 ? unmatchedSelections : undefined,
+        ambiguous: ambiguous.length > 0 ? ambiguous : undefined,
+        unknownMeetings:
+          unknownMeetings.length > 0 ? unknownMeetings : undefined,
         errors: errors.length > 0 ? errors : undefined,
         data: [],
       });
     }
 
-    // PHASE 6: Efficiently recalculate running totals
     // Group updates by systemId
     const updatesBySystem = new Map();
     for (const update of updates) {
@@ -753,109 +1169,184 @@ const uploadResultsFromCSV = async (req, res) => {
       updatesBySystem.get(systemIdStr).push(update);
     }
 
-    // For each system with updates, fetch all selections and recalculate running totals
-    const bulkOps = [];
-    const updatedSelectionIds = new Set(
-      updates.map((u) => u.selectionId.toString())
-    );
-
-    for (const [systemIdStr, systemUpdates] of updatesBySystem.entries()) {
-      // Use the original ObjectId from the first update (Mongoose handles string conversion, but ObjectId is safer)
-      const systemId = systemUpdates[0].systemId;
-
-      // Get all selections for this system, sorted by rowOrder
-      const allSystemSelections = await SystemSelection.find({
-        systemId: systemId,
-      })
-        .sort({ rowOrder: 1 })
-        .select("_id rowOrder winPL")
-        .lean();
+    const updatedSelectionIds = updates.map((u) => u.selectionId);
+    let batch;
+
+    // PHASE 7: Apply results, running totals and the batch record in one transaction
+    // so a failure part way through leaves every system untouched
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        [batch] = await SettlementBatch.create(
+          [
+            {
+              source: "csv",
+              // The file's hash stays with the batch that first applied it
+              fileHash: isConfirmationOnly ? undefined : fileHash,
+              fileName: req.file.originalname,
+              uploadedBy: req.user ? req.user._id : undefined,
+              rowCount: lines.length - 1,
+              updatedCount: updates.length,
+              unmatchedCount: unmatchedSelections.length,
+              ambiguousCount: ambiguous.length,
+              suggestionCount: suggestions.length,
+              errorCount: errors.length,
+              systems: systemsSummary,
+              changes: updates.map((u) => ({
+                selectionId: u.selectionId,
+                systemId: u.systemId,
+                previous: u.previous,
+              })),
+            },
+          ],
+          { session }
+        );
 
-      // Create a map of updates by selectionId for quick lookup
-      const updatesMap = new Map();
-      for (const update of systemUpdates) {
-        updatesMap.set(update.selectionId.toString(), update);
-      }
+        const bulkOps = [];
+
+        // For each system with updates, recalculate running totals (read inside the transaction)
+        for (const systemUpdates of updatesBySystem.values()) {
+          const systemId = systemUpdates[0].systemId;
+
+          // Get all selections for this system, sorted by rowOrder
+          const allSystemSelections = await SystemSelection.find({
+            systemId: systemId,
+          })
+            .sort({ rowOrder: 1 })
+            .select("_id rowOrder winPL")
+            .session(session)
+            .lean();
+
+          // Create a map of updates by selectionId for quick lookup
+          const updatesMap = new Map();
+          for (const update of systemUpdates) {
+            updatesMap.set(update.selectionId.toString(), update);
+          }
 
-      // Track if we've encountered any updated selection (to know if subsequent ones need updating)
-      let hasEncounteredUpdate = false;
-
-      // Recalculate running totals from scratch for all selections in this system
-      // This is correct because:
-      // - For selections being updated: we use the new winPL value
-      // - For selections with existing results: we use their existing winPL value
-      // - For selections without results: we use 0 (winPL is null/undefined)
-      // Starting from 0 and accumulating ensures cumulative totals are correct
-      let runningWinPL = 0;
-
-      // Calculate running totals in one pass through all selections (sorted by rowOrder)
-      for (const systemSelection of allSystemSelections) {
-        const selectionIdStr = systemSelection._id.toString();
-        const update = updatesMap.get(selectionIdStr);
-
-        // Use updated winPL if this selection was updated in this CSV,
-        // otherwise use existing winPL (from previous CSV uploads or null/0 if no result yet)
-        const currentWinPL =
-          update !== undefined ? update.winPL : systemSelection.winPL || 0;
-        runningWinPL += currentWinPL;
-
-        // Track if we've encountered an update
-        if (update !== undefined) {
-          hasEncounteredUpdate = true;
-          // This selection was updated - include all update fields
-          bulkOps.push({
-            updateOne: {
-              filter: { _id: systemSelection._id },
-              update: {
-                $set: {
-                  ...update.updateData,
-                  runningWinPL: runningWinPL,
+          // Track if we've encountered any updated selection (to know if subsequent ones need updating)
+          let hasEncounteredUpdate = false;
+
+          // Recalculate running totals from scratch for all selections in this system
+          // - For selections being updated: we use the new winPL value
+          // - For selections with existing results: we use their existing winPL value
+          // - For selections without results: we use 0 (winPL is null/undefined)
+          let runningWinPL = 0;
+
+          for (const systemSelection of allSystemSelections) {
+            const update = updatesMap.get(systemSelection._id.toString());
+
+            const currentWinPL =
+              update !== undefined ? update.winPL : systemSelection.winPL || 0;
+            runningWinPL += currentWinPL;
+
+            if (update !== undefined) {
+              hasEncounteredUpdate = true;
+              // Only settle selections that are still unsettled (guards against concurrent uploads)
+              bulkOps.push({
+                updateOne: {
+                  filter: {
+                    _id: systemSelection._id,
+                    hasResult: { $ne: true },
+                  },
+                  update: {
+                    $set: {
+                      ...update.updateData,
+                      settlementBatchId: batch._id,
+                      runningWinPL: runningWinPL,
+                    },
+                  },
                 },
-              },
-            },
-          });
-        } else if (hasEncounteredUpdate) {
-          // This selection comes after an updated one, so its running total needs updating
-          bulkOps.push({
-            updateOne: {
-              filter: { _id: systemSelection._id },
-              update: {
-                $set: {
-                  runningWinPL: runningWinPL,
+              });
+            } else if (hasEncounteredUpdate) {
+              // This selection comes after an updated one, so its running total needs updating
+              bulkOps.push({
+                updateOne: {
+                  filter: { _id: systemSelection._id },
+                  update: {
+                    $set: {
+                      runningWinPL: runningWinPL,
+                    },
+                  },
                 },
-              },
-            },
-          });
+              });
+            }
+          }
         }
-      }
-    }
 
-    // PHASE 7: Execute bulk updates
-    if (bulkOps.length > 0) {
-      console.log(`Executing ${bulkOps.length} bulk update operations`);
-      const bulkResult = await SystemSelection.bulkWrite(bulkOps, {
-        ordered: false,
-      });
-      console.log(`Bulk update result:`, {
-        matched: bulkResult.matchedCount,
-        modified: bulkResult.modifiedCount,
+        console.log(`Executing ${bulkOps.length} bulk update operations`);
+        const bulkResult = await SystemSelection.bulkWrite(bulkOps, {
+          ordered: true,
+          session,
+        });
+        console.log(`Bulk update result:`, {
+          matched: bulkResult.matchedCount,
+          modified: bulkResult.modifiedCount,
+        });
+
+        if (bulkResult.matchedCount !== bulkOps.length) {
+          throw createConflictError(
+            "Some selections were settled by another upload while this one was running. No changes were made - please try again."
+          );
+        }
       });
-    } else {
-      console.log("No bulk operations to execute");
+    } catch (error) {
+      // Unique index on fileHash: the same file was applied concurrently
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: "This results file has already been applied",
+        });
+      }
+      if (error.name === "ConflictError") {
+        return res.status(409).json({
+          success: false,
+          error: error.message,
+        });
+      }
+      throw error;
+    } finally {
+      await session.endSession();
     }
 
+    await recordAudit(req, {
+      action: "results.upload",
+      targetModel: "SettlementBatch",
+      targetId: batch._id,
+      metadata: {
+        fileName: batch.fileName,
+        updated: updatedSelectionIds.length,
+        systems: systemsSummary,
+      },
+    });
+
+    // Email subscribers a summary of any system/day this upload finished settling
+    notifyResultsSettled(
+      updates.map((u) => ({
+        systemId: u.systemId,
+        dateISO: u.dateISO,
+      }))
+    );
+
     // PHASE 8: Fetch and populate updated selections for response
     const populatedSelections = await SystemSelection.find({
-      _id: { $in: Array.from(updatedSelectionIds) },
+      _id: { $in: updatedSelectionIds },
     })
       .populate("systemId", "name slug")
       .populate("createdBy", "firstName lastName email");
 
+    publishResults(populatedSelections);
+    queueWebhookEvent("selections.settled", populatedSelections);
+
     res.status(200).json({
       success: true,
+      batchId: batch._id,
       updated: populatedSelections.length,
+      systems: systemsSummary,
+      suggestions: suggestions.length > 0 ? suggestions : undefined,
       unmatched:
         unmatchedSelections.length > 0 ? unmatchedSelections : undefined,
+      ambiguous: ambiguous.length > 0 ? ambiguous : undefined,
+      unknownMeetings: unknownMeetings.length > 0 ? unknownMeetings : undefined,
       errors: errors.length > 0 ? errors : undefined,
       data: populatedSelections,
     });
@@ -867,9 +1358,201 @@ const uploadResultsFromCSV = async (req, res) => {
   }
 };
 
+// @desc    Get settlement batches (results uploads and manual result edits)
+// @route   GET /api/selections/settlement-batches
+// @access  Private (results:write)
+const getSettlementBatches = async (req, res) => {
+  try {
+    const { status, source, limit, offset } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (source) query.source = source;
+
+    // Parse pagination parameters
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const offsetNum = offset ? parseInt(offset, 10) : 0;
+
+    const [batches, total] = await Promise.all([
+      SettlementBatch.find(query)
+        .select("-changes")
+        .sort({ createdAt: -1 })
+        .skip(offsetNum)
+        .limit(limitNum)
+        .populate("uploadedBy", "firstName lastName email"),
+      SettlementBatch.countDocuments(query),
+    ]);
+
+    const hasMore = offsetNum + limitNum < total;
+
+    res.status(200).json({
+      success: true,
+      count: batches.length,
+      total,
+      data: batches,
+      hasMore,
+      nextOffset: hasMore ? offsetNum + limitNum : null,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+const RESETTLED_ERROR =
+  "Some selections have been settled again since this batch. Revert the later batches first.";
+
+// @desc    Revert a settlement batch
+// @route   POST /api/selections/settlement-batches/:id/revert
+// @access  Private (results:write)
+//
+// Restores each selection's prior result, BSP and P/L and recomputes running P/L
+// for the affected systems. Refused if a later batch has re-settled any of them.
+const revertSettlementBatch = async (req, res) => {
+  try {
+    const batch = await SettlementBatch.findById(req.params.id);
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: "Settlement batch not found",
+      });
+    }
+
+    if (batch.status !== "applied") {
+      return res.status(400).json({
+        success: false,
+        error: "Settlement batch has already been reverted",
+      });
+    }
+
+    const selectionIds = batch.changes.map((change) => change.selectionId);
+    const systemIds = [
+      ...new Set(batch.changes.map((change) => change.systemId.toString())),
+    ];
+    const recalculations = [];
+    let revertedBatch;
+
+    // Checks run inside the transaction so a concurrent revert or upload
+    // can't slip in between them and the writes
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        recalculations.length = 0;
+
+        // Selections changed again since this batch can't be safely restored
+        const resettled = await SystemSelection.find({
+          _id: { $in: selectionIds },
+          settlementBatchId: { $ne: batch._id },
+        })
+          .select("_id dateISO time horse settlementBatchId")
+          .session(session)
+          .lean();
+
+        if (resettled.length > 0) {
+          throw createConflictError(RESETTLED_ERROR, { selections: resettled });
+        }
+
+        const bulkOps = batch.changes.map((change) => {
+          const previous = change.previous || {};
+          const $set = { hasResult: previous.hasResult || false };
+          const $unset = {};
+
+          // Restore each field, removing ones that didn't exist before
+          for (const field of SETTLEMENT_FIELDS) {
+            if (previous[field] === undefined || previous[field] === null) {
+              $unset[field] = "";
+            } else {
+              $set[field] = previous[field];
+            }
+          }
+
+          const update = { $set };
+          if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+          return {
+            updateOne: {
+              // Only while still settled by this batch
+              filter: { _id: change.selectionId, settlementBatchId: batch._id },
+              update,
+            },
+          };
+        });
+
+        if (bulkOps.length > 0) {
+          const bulkResult = await SystemSelection.bulkWrite(bulkOps, {
+            session,
+          });
+          if (bulkResult.matchedCount !== bulkOps.length) {
+            throw createConflictError(RESETTLED_ERROR);
+          }
+        }
+
+        for (const systemId of systemIds) {
+          recalculations.push(await recalculateRunningPL(systemId, session));
+        }
+
+        revertedBatch = await SettlementBatch.findOneAndUpdate(
+          { _id: batch._id, status: "applied" },
+          {
+            $set: {
+              status: "rolled_back",
+              revertedAt: new Date(),
+              revertedBy: req.user ? req.user._id : undefined,
+            },
+          },
+          { new: true, session }
+        );
+        if (!revertedBatch) {
+          throw createConflictError(
+            "Settlement batch has already been reverted"
+          );
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    await recordAudit(req, {
+      action: "results.revert",
+      targetModel: "SettlementBatch",
+      targetId: batch._id,
+      metadata: { reverted: batch.changes.length, systemIds },
+    });
+
+    // Push the restored (unsettled) values to connected subscribers
+    publishResults(
+      await SystemSelection.find({ _id: { $in: selectionIds } })
+        .populate("systemId", "name slug")
+        .lean()
+    );
+
+    res.status(200).json({
+      success: true,
+      reverted: batch.changes.length,
+      systems: recalculations,
+      data: revertedBatch,
+    });
+  } catch (error) {
+    if (error.name === "ConflictError") {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        selections: error.selections,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
 // @desc    Create selections from CSV upload
 // @route   POST /api/selections/upload-csv
-// @access  Admin
+// @access  Private (selections:write)
 const uploadSelectionsFromCSV = async (req, res) => {
   try {
     // Get systemId from form data (multer adds it to req.body)
@@ -942,6 +1625,8 @@ const uploadSelectionsFromCSV = async (req, res) => {
 
     const createdSelections = [];
     const errors = [];
+    // Meetings are abbreviated in selection sheets ("Sthl") - resolve to course names
+    const courses = await loadCourseResolver();
 
     // Parse data rows
     for (let i = 1; i < lines.length; i++) {
@@ -985,6 +1670,7 @@ const uploadSelectionsFromCSV = async (req, res) => {
         const meeting = raceValue
           ? raceValue.replace(/^\d{1,2}:\d{2}\s*/, "").trim()
           : null;
+        const course = meeting ? courses.resolve(meeting) : null;
 
         // Increment rowOrder
         currentRowOrder += 1;
@@ -994,10 +1680,11 @@ const uploadSelectionsFromCSV = async (req, res) => {
           systemId,
           dateISO,
           date: isoToDate(dateISO),
-          meeting: meeting || null,
+          country: course ? course.country : undefined,
+          meeting: course ? course.name : meeting || null,
           time: timePart || null,
           horse,
-          isNew: true,
+          betSide: getStakingSettings(system).betType,
           createdBy: req.user.id,
           rowOrder: currentRowOrder,
         });
@@ -1018,9 +1705,30 @@ const uploadSelectionsFromCSV = async (req, res) => {
       .populate("systemId", "name slug")
       .populate("createdBy", "firstName lastName email");
 
+    await recordAudit(req, {
+      action: "selection.upload",
+      targetModel: "SystemSelection",
+      metadata: {
+        fileName: req.file.originalname,
+        created: createdSelections.length,
+        errors: errors.length,
+        selectionIds: createdSelections.map((s) => s._id),
+      },
+    });
+
+    // Push to connected subscribers and webhooks, and email today's selections (skipped for other dates)
+    publishSelections(populatedSelections);
+    queueWebhookEvent("selections.published", populatedSelections);
+    notifySelectionsAdded([
+      ...new Set(createdSelections.map((s) => s.dateISO)),
+    ]);
+
+    const unknownMeetings = courses.unknown();
+
     res.status(201).json({
       success: true,
       created: populatedSelections.length,
+      unknownMeetings: unknownMeetings.length > 0 ? unknownMeetings : undefined,
       errors: errors.length > 0 ? errors : undefined,
       data: populatedSelections,
     });
@@ -1034,7 +1742,7 @@ const uploadSelectionsFromCSV = async (req, res) => {
 
 // @desc    Create multiple selections (bulk)
 // @route   POST /api/selections/bulk
-// @access  Admin
+// @access  Private (selections:write)
 const createBulkSelections = async (req, res) => {
   try {
     const { selections } = req.body;
@@ -1051,10 +1759,12 @@ const createBulkSelections = async (req, res) => {
 
     // Group selections by systemId to calculate rowOrder efficiently
     const systemRowOrders = {};
+    const courses = await loadCourseResolver();
 
     for (const [index, selectionData] of selections.entries()) {
       try {
-        const { systemId, date, country, meeting, time, horse } = selectionData;
+        const { systemId, date, country, meeting, time, horse, betSide } =
+          selectionData;
 
         if (!systemId || !date || !horse) {
           errors.push({
@@ -1064,6 +1774,14 @@ const createBulkSelections = async (req, res) => {
           continue;
         }
 
+        if (betSide !== undefined && !BET_SIDES.includes(betSide)) {
+          errors.push({
+            index,
+            error: `Invalid betSide. Must be one of: ${BET_SIDES.join(", ")}`,
+          });
+          continue;
+        }
+
         // Verify system exists
         const system = await System.findById(systemId);
         if (!system) {
@@ -1102,16 +1820,18 @@ const createBulkSelections = async (req, res) => {
         }
         systemRowOrders[systemId] += 1;
         const rowOrder = systemRowOrders[systemId];
+        const course = meeting ? courses.resolve(meeting) : null;
 
         const selection = await SystemSelection.create({
           systemId,
           dateISO,
           date: isoToDate(dateISO),
-          country: country || null,
-          meeting: meeting || null,
+          country: country || (course && course.country) || null,
+          meeting: course ? course.name : meeting || null,
           time: time || null,
           horse,
-          isNew: true,
+          betSide: betSide || getStakingSettings(system).betType,
+          betSideOverride: Boolean(betSide),
           createdBy: req.user.id,
           rowOrder,
         });
@@ -1132,9 +1852,29 @@ const createBulkSelections = async (req, res) => {
       .populate("systemId", "name slug")
       .populate("createdBy", "firstName lastName email");
 
+    await recordAudit(req, {
+      action: "selection.bulk_create",
+      targetModel: "SystemSelection",
+      metadata: {
+        created: createdSelections.length,
+        errors: errors.length,
+        selectionIds: createdSelections.map((s) => s._id),
+      },
+    });
+
+    // Push to connected subscribers and webhooks, and email today's selections (skipped for other dates)
+    publishSelections(populatedSelections);
+    queueWebhookEvent("selections.published", populatedSelections);
+    notifySelectionsAdded([
+      ...new Set(createdSelections.map((s) => s.dateISO)),
+    ]);
+
+    const unknownMeetings = courses.unknown();
+
     res.status(201).json({
       success: true,
       created: populatedSelections.length,
+      unknownMeetings: unknownMeetings.length > 0 ? unknownMeetings : undefined,
       errors: errors.length > 0 ? errors : undefined,
       data: populatedSelections,
     });
@@ -1148,10 +1888,10 @@ const createBulkSelections = async (req, res) => {
 
 // @desc    Update selection
 // @route   PUT /api/selections/:id
-// @access  Admin
+// @access  Private (selections:write)
 const updateSelection = async (req, res) => {
   try {
-    const { date, country, meeting, time, horse, isNew } = req.body;
+    const { date, country, meeting, time, horse, betSide } = req.body;
 
     const selection = await SystemSelection.findById(req.params.id);
 
@@ -1186,9 +1926,18 @@ const updateSelection = async (req, res) => {
     if (meeting !== undefined) updateData.meeting = meeting;
     if (time !== undefined) updateData.time = time;
     if (horse !== undefined) updateData.horse = horse;
-    if (isNew !== undefined) updateData.isNew = isNew;
+    if (betSide !== undefined) {
+      if (!BET_SIDES.includes(betSide)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid betSide. Must be one of: ${BET_SIDES.join(", ")}`,
+        });
+      }
+      updateData.betSide = betSide;
+      updateData.betSideOverride = true;
+    }
 
-    const updatedSelection = await SystemSelection.findByIdAndUpdate(
+    let updatedSelection = await SystemSelection.findByIdAndUpdate(
       req.params.id,
       updateData,
       { new: true, runValidators: true }
@@ -1196,6 +1945,26 @@ const updateSelection = async (req, res) => {
       .populate("systemId", "name slug")
       .populate("createdBy", "firstName lastName email");
 
+    // Changing the side of a settled bet changes its P/L and every running total after it
+    if (
+      betSide !== undefined &&
+      betSide !== selection.betSide &&
+      selection.hasResult
+    ) {
+      await recalculateSystemPL(selection.systemId);
+      updatedSelection = await SystemSelection.findById(req.params.id)
+        .populate("systemId", "name slug")
+        .populate("createdBy", "firstName lastName email");
+    }
+
+    await recordAudit(req, {
+      action: "selection.update",
+      targetModel: "SystemSelection",
+      targetId: selection._id,
+      before: selection,
+      after: updatedSelection,
+    });
+
     res.status(200).json({
       success: true,
       data: updatedSelection,
@@ -1210,7 +1979,7 @@ const updateSelection = async (req, res) => {
 
 // @desc    Delete selection
 // @route   DELETE /api/selections/:id
-// @access  Admin
+// @access  Private (selections:write)
 const deleteSelection = async (req, res) => {
   try {
     const selection = await SystemSelection.findById(req.params.id);
@@ -1230,6 +1999,12 @@ const deleteSelection = async (req, res) => {
 
     // Delete the selection
     await SystemSelection.findByIdAndDelete(req.params.id);
+    await recordAudit(req, {
+      action: "selection.delete",
+      targetModel: "SystemSelection",
+      targetId: selection._id,
+      before: selection,
+    });
 
     // If this selection had results, recalculate running totals for subsequent selections
     if (
@@ -1322,14 +2097,37 @@ const deleteSelection = async (req, res) => {
   }
 };
 
-// @desc    Mark selections as viewed (clear isNew flag)
+// @desc    Stream new selections and results as Server-Sent Events
+// @route   GET /api/selections/stream
+// @access  Private
+//
+// Only systems in the user's activeSystemIds are streamed (all systems for staff).
+// Browsers' EventSource can't send the Authorization header: pass a token from
+// GET /api/selections/stream-token as ?stream_token= instead.
+// Send Last-Event-ID (or ?lastEventId=) to resume; a "reset" event means events
+// were missed and the client should refetch /api/selections/today.
+const streamSelections = (req, res) => {
+  subscribe(req, res);
+};
+
+// @desc    Get a short-lived token for opening the selections stream
+// @route   GET /api/selections/stream-token
+// @access  Private (not API keys, which can send headers)
+const getStreamToken = (req, res) => {
+  res.status(200).json({
+    success: true,
+    ...createStreamToken(req),
+  });
+};
+
+// @desc    Mark selections as viewed by the current user (clears their isNew flag)
 // @route   PUT /api/selections/mark-viewed
 // @access  Private (requires subscription to system)
 const markSelectionsViewed = async (req, res) => {
   try {
     const { selectionIds, systemId, dateISO } = req.body;
 
-    let query = { isNew: true };
+    let query = {};
 
     // If systemId is provided, verify user has access
     if (systemId) {
@@ -1343,7 +2141,7 @@ const markSelectionsViewed = async (req, res) => {
       query.systemId = systemId;
     } else {
       // If no systemId provided, filter by user's active systems
-      if (req.user.role !== "admin") {
+      if (!hasPermission(req.user, "selections:all-systems")) {
         if (
           !req.user.activeSystemIds ||
           req.user.activeSystemIds.length === 0
@@ -1387,13 +2185,51 @@ const markSelectionsViewed = async (req, res) => {
 
     if (dateISO) query.dateISO = dateISO;
 
-    const result = await SystemSelection.updateMany(query, {
-      $set: { isNew: false },
+    const updated = await markSelectionsViewedBy(req.user._id, query);
+
+    res.status(200).json({
+      success: true,
+      updated,
     });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get the number of new (unviewed) selections per system for the current user
+// @route   GET /api/selections/unread-counts
+// @access  Private
+const getUnreadSelectionCounts = async (req, res) => {
+  try {
+    // Staff count every system, regular users their subscribed systems
+    const systemIds = hasPermission(req.user, "selections:all-systems")
+      ? null
+      : req.user.activeSystemIds || [];
+
+    const counts = await getUnreadCounts(req.user._id, systemIds);
+    const systems = await System.find({
+      _id: { $in: Array.from(counts.keys()) },
+    })
+      .select("name slug")
+      .lean();
+    const systemsById = new Map(
+      systems.map((sys) => [sys._id.toString(), sys])
+    );
+
+    const data = Array.from(counts.entries()).map(([id, unread]) => ({
+      systemId: id,
+      name: systemsById.get(id) ? systemsById.get(id).name : null,
+      slug: systemsById.get(id) ? systemsById.get(id).slug : null,
+      unread,
+    }));
 
     res.status(200).json({
       success: true,
-      updated: result.modifiedCount,
+      total: data.reduce((sum, system) => sum + system.unread, 0),
+      data,
     });
   } catch (error) {
     res.status(500).json({
@@ -1405,7 +2241,7 @@ const markSelectionsViewed = async (req, res) => {
 
 // @desc    Update selection results
 // @route   PUT /api/selections/:id/results
-// @access  Admin
+// @access  Private (results:write)
 const updateSelectionResults = async (req, res) => {
   try {
     const { id } = req.params;
@@ -1452,74 +2288,150 @@ const updateSelectionResults = async (req, res) => {
       });
     }
 
-    // Calculate winPL (will be 0 for NR/VOID/CANCELLED)
-    const winPL = calculateWinPL(upperResult, winBsp);
-
-    // Get all previous selections for this system (sorted by rowOrder)
-    // to calculate running totals
-    const previousSelections = await SystemSelection.find({
-      systemId: selection.systemId,
-      rowOrder: { $lte: selection.rowOrder || 0 },
-      _id: { $ne: id }, // Exclude current selection
-    })
-      .sort({ rowOrder: 1 })
-      .select("winPL");
-
-    // Calculate runningWinPL from previous selections
-    // Sum all winPL from selections that come before this one (by rowOrder)
-    let runningWinPL = previousSelections.reduce(
-      (sum, s) => sum + (s.winPL || 0),
-      0
+    // Calculate winPL using the system's staking settings (0 for NR/VOID/CANCELLED)
+    const system = await System.findById(selection.systemId)
+      .select("name commissionRate stake betType")
+      .lean();
+    const winPL = calculateWinPL(
+      upperResult,
+      winBsp,
+      getSelectionStaking(selection, system)
     );
-    runningWinPL += winPL; // Add current selection's winPL (0 for NR/VOID/CANCELLED)
 
-    // Update the current selection
-    const updateData = {
-      result: upperResult,
-      winBsp,
-      winPL,
-      runningWinPL,
-      hasResult: true,
-    };
+    // Record the edit, settle the selection and update running totals in one
+    // transaction, so a failure part way can't leave the batch or totals out of step
+    let batch;
+    let updatedSelection;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // Get all previous selections for this system (sorted by rowOrder)
+        // to calculate running totals
+        const previousSelections = await SystemSelection.find({
+          systemId: selection.systemId,
+          rowOrder: { $lte: selection.rowOrder || 0 },
+          _id: { $ne: id }, // Exclude current selection
+        })
+          .sort({ rowOrder: 1 })
+          .select("winPL")
+          .session(session);
+
+        // Calculate runningWinPL from previous selections
+        // Sum all winPL from selections that come before this one (by rowOrder)
+        let runningWinPL = previousSelections.reduce(
+          (sum, s) => sum + (s.winPL || 0),
+          0
+        );
+        runningWinPL += winPL; // Add current selection's winPL (0 for NR/VOID/CANCELLED)
+
+        // Record the edit as a settlement batch so it can be reverted
+        [batch] = await SettlementBatch.create(
+          [
+            {
+              source: "manual",
+              uploadedBy: req.user ? req.user._id : undefined,
+              updatedCount: 1,
+              systems: [
+                {
+                  systemId: selection.systemId,
+                  systemName: system ? system.name : undefined,
+                  selections: 1,
+                  plDelta:
+                    Math.round(
+                      (winPL -
+                        (selection.hasResult ? selection.winPL || 0 : 0)) *
+                        100
+                    ) / 100,
+                },
+              ],
+              changes: [
+                {
+                  selectionId: selection._id,
+                  systemId: selection.systemId,
+                  previous: getPreviousSettlement(selection),
+                },
+              ],
+            },
+          ],
+          { session }
+        );
 
-    const updatedSelection = await SystemSelection.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    )
-      .populate("systemId", "name slug")
-      .populate("createdBy", "firstName lastName email");
+        // Update the current selection
+        const updateData = {
+          result: upperResult,
+          winBsp,
+          winPL,
+          runningWinPL,
+          hasResult: true,
+          settlementBatchId: batch._id,
+        };
 
-    // Update all subsequent selections' running totals
-    // Get all selections after this one (by rowOrder)
-    const currentRowOrder = updatedSelection.rowOrder;
+        updatedSelection = await SystemSelection.findByIdAndUpdate(
+          id,
+          updateData,
+          { new: true, runValidators: true, session }
+        )
+          .populate("systemId", "name slug")
+          .populate("createdBy", "firstName lastName email");
+
+        // Update all subsequent selections' running totals
+        // Get all selections after this one (by rowOrder)
+        const currentRowOrder = updatedSelection.rowOrder;
+
+        if (currentRowOrder !== null && currentRowOrder !== undefined) {
+          // Get all subsequent selections sorted by rowOrder
+          const subsequentSelections = await SystemSelection.find({
+            systemId: updatedSelection.systemId,
+            rowOrder: { $gt: currentRowOrder },
+          })
+            .sort({ rowOrder: 1 })
+            .select("_id winPL")
+            .session(session);
+
+          // Recalculate running totals for subsequent selections incrementally
+          // Start with the current selection's running totals
+          let currentRunningWinPL = runningWinPL;
+          const bulkOps = [];
+
+          for (const subsequent of subsequentSelections) {
+            // Add this selection's PL to the running totals
+            if (subsequent.winPL !== null && subsequent.winPL !== undefined) {
+              currentRunningWinPL += subsequent.winPL;
+            }
+
+            bulkOps.push({
+              updateOne: {
+                filter: { _id: subsequent._id },
+                update: { $set: { runningWinPL: currentRunningWinPL } },
+              },
+            });
+          }
 
-    if (currentRowOrder !== null && currentRowOrder !== undefined) {
-      // Get all subsequent selections sorted by rowOrder
-      const subsequentSelections = await SystemSelection.find({
-        systemId: updatedSelection.systemId,
-        rowOrder: { $gt: currentRowOrder },
-      })
-        .sort({ rowOrder: 1 })
-        .select("_id winPL");
+          if (bulkOps.length > 0) {
+            await SystemSelection.bulkWrite(bulkOps, { session });
+          }
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
 
-      // Recalculate running totals for subsequent selections incrementally
-      // Start with the current selection's running totals
-      let currentRunningWinPL = runningWinPL;
+    await recordAudit(req, {
+      action: "results.update",
+      targetModel: "SystemSelection",
+      targetId: selection._id,
+      before: selection,
+      after: updatedSelection,
+      metadata: { settlementBatchId: batch._id },
+    });
 
-      // Update each subsequent selection's running totals
-      for (const subsequent of subsequentSelections) {
-        // Add this selection's PL to the running totals
-        if (subsequent.winPL !== null && subsequent.winPL !== undefined) {
-          currentRunningWinPL += subsequent.winPL;
-        }
+    publishResults([updatedSelection]);
+    queueWebhookEvent("selections.settled", [updatedSelection]);
 
-        // Update the subsequent selection
-        await SystemSelection.findByIdAndUpdate(subsequent._id, {
-          runningWinPL: currentRunningWinPL,
-        });
-      }
-    }
+    // Email subscribers if this was the last unsettled selection of the day
+    notifyResultsSettled([
+      { systemId: selection.systemId, dateISO: selection.dateISO },
+    ]);
 
     res.status(200).json({
       success: true,
@@ -1535,7 +2447,7 @@ const updateSelectionResults = async (req, res) => {
 
 // @desc    Delete selections by date range or system
 // @route   DELETE /api/selections
-// @access  Admin
+// @access  Private (selections:write)
 const deleteSelections = async (req, res) => {
   try {
     const { systemId, dateISO, startDate, endDate } = req.query;
@@ -1560,6 +2472,11 @@ const deleteSelections = async (req, res) => {
     }
 
     const result = await SystemSelection.deleteMany(query);
+    await recordAudit(req, {
+      action: "selection.bulk_delete",
+      targetModel: "SystemSelection",
+      metadata: { filters: req.query, deleted: result.deletedCount },
+    });
 
     res.status(200).json({
       success: true,
@@ -1587,11 +2504,11 @@ const getSelectionFilters = async (req, res) => {
       });
     }
 
-    // Verify user has access (admin check)
-    if (req.user.role !== "admin") {
+    // Verify user has access (staff only)
+    if (!hasPermission(req.user, "selections:all-systems")) {
       return res.status(403).json({
         success: false,
-        error: "Only admins can access filter options",
+        error: "Only staff can access filter options",
       });
     }
 
@@ -1634,6 +2551,45 @@ const getSelectionFilters = async (req, res) => {
   }
 };
 
+// @desc    Send the daily selections email now
+// @route   POST /api/selections/send-digest
+// @access  Private (selections:write)
+//
+// Only selections each user hasn't already been emailed are sent.
+const sendSelectionsDigest = async (req, res) => {
+  try {
+    const { dateISO } = req.body || {};
+
+    if (dateISO && !/^\d{4}-\d{2}-\d{2}$/.test(dateISO)) {
+      return res.status(400).json({
+        success: false,
+        error: "dateISO must be in YYYY-MM-DD format",
+      });
+    }
+
+    const summary = await sendDailySelectionsDigest(
+      dateISO ? { dateISO } : undefined
+    );
+
+    if (summary.skipped) {
+      return res.status(409).json({
+        success: false,
+        error: "A selections digest is already being sent",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: summary,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   getSelections,
   getTodaySelections,
@@ -1648,4 +2604,10 @@ module.exports = {
   markSelectionsViewed,
   deleteSelections,
   getSelectionFilters,
+  getSettlementBatches,
+  revertSettlementBatch,
+  sendSelectionsDigest,
+  streamSelections,
+  getStreamToken,
+  getUnreadSelectionCounts,
 };
@@ -1,71 +1,21 @@
 const StripeSubscription = require("../models/StripeSubscription");
 const WebHookEvent = require("../models/WebHookEvent");
 const User = require("../models/User");
-const System = require("../models/System");
-const { Resend } = require("resend");
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
-
-const resend = new Resend(process.env.RESEND_API_KEY);
+const { notify } = require("../services/notificationService");
+const { getPortalLink } = require("../services/billingService");
+const {
+  recalculateActiveSystemIds,
+} = require("../services/systemAccessService");
 
 /**
  * Recalculate and update user's activeSystemIds based on all active subscriptions
- * This ensures activeSystemIds is accurate even if user has multiple subscriptions
+ * (and any admin comps). This ensures activeSystemIds is accurate even if user
+ * has multiple subscriptions
  */
 async function updateUserActiveSystemIds(userId) {
   try {
-    // Find all active subscriptions for the user
-    const activeSubscriptions = await StripeSubscription.find({
-      userId,
-      status: { $in: ["active", "trialing"] },
-    });
-
-    if (activeSubscriptions.length === 0) {
-      // No active subscriptions, clear activeSystemIds
-      const user = await User.findById(userId);
-      if (user) {
-        user.activeSystemIds = [];
-        await user.save();
-        console.log(
-          `User ${userId} activeSystemIds cleared (no active subscriptions)`
-        );
-      }
-      return;
-    }
-
-    // Collect all system slugs from all active subscriptions
-    const allSystemSlugs = new Set();
-    for (const sub of activeSubscriptions) {
-      if (sub.metadata && sub.metadata.systemSlugs) {
-        try {
-          const parsed = JSON.parse(sub.metadata.systemSlugs);
-          if (Array.isArray(parsed)) {
-            parsed.forEach((slug) => allSystemSlugs.add(slug));
-          }
-        } catch (e) {
-          // If parsing fails, skip this subscription's systems
-          console.error(
-            `Error parsing systemSlugs for subscription ${sub.stripeSubscriptionId}:`,
-            e
-          );
-        }
-      }
-    }
-
-    // Look up all systems by their slugs
-    const systems = await System.find({
-      slug: { $in: Array.from(allSystemSlugs) },
-    });
-
-    // Update user's activeSystemIds
-    const user = await User.findById(userId);
-    if (user) {
-      user.activeSystemIds = systems.map((system) => system._id);
-      await user.save();
-      console.log(
-        `User ${userId} activeSystemIds recalculated:`,
-        user.activeSystemIds
-      );
-    }
+    await recalculateActiveSystemIds(userId);
   } catch (error) {
     console.error(`Error updating activeSystemIds for user ${userId}:`, error);
     throw error;
@@ -320,23 +270,14 @@ const handleInvoicePaymentFailed = async (invoice) => {
       return;
     }
 
-    // 3. Send the email notification using Resend
-    await resend.emails.send({
-      from: "Bunker Digital <mail@bunkerdigital.co.uk>",
-      to: user.email,
-      subject: "Action Required: Your Subscription Payment Failed",
-      html: `
-        <h1>Payment Issue with Your Bunker Digital Subscription</h1>
-        <p>Hi ${user.firstName || "there"},</p>
-        <p>We're writing to let you know that the latest payment for your subscription failed. This can happen for a number of reasons, such as an expired card or insufficient funds.</p>
-        <p>To ensure your service continues without interruption, please update your payment details as soon as possible.</p>
-        <p>You can do this by logging into your account and visiting the billing management page:</p>
-        <p><a href="https://www.bunkerdigital.co.uk/login"><strong>Log in to Update Payment Method</strong></a></p>
-        <p>Once you've updated your details, Stripe will automatically retry the payment.</p>
-        <p>If you have any questions, please don't hesitate to contact us.</p>
-        <p>Thanks,<br>Paul</p>
-        <p>Bunker Digital</p>
-      `,
+    // 3. Send the email notification
+    await notify({
+      template: "paymentFailed",
+      user,
+      variables: {
+        firstName: user.firstName,
+        portalLink: getPortalLink(user._id),
+      },
     });
 
     console.log(`Payment failed email sent to: ${user.email}`);
@@ -2,7 +2,7 @@ const Subscription = require("../models/Subscription");
 
 // @desc    Get all subscriptions
 // @route   GET /api/subscriptions
-// @access  Public
+// @access  Private (subscriptions:read)
 const getSubscriptions = async (req, res) => {
   try {
     const subscriptions = await Subscription.find()
@@ -23,7 +23,7 @@ const getSubscriptions = async (req, res) => {
 
 // @desc    Get single subscription
 // @route   GET /api/subscriptions/:id
-// @access  Public
+// @access  Private (subscriptions:read)
 const getSubscription = async (req, res) => {
   try {
     const subscription = await Subscription.findById(req.params.id)
@@ -51,7 +51,7 @@ const getSubscription = async (req, res) => {
 
 // @desc    Get subscriptions by user
 // @route   GET /api/subscriptions/user/:userId
-// @access  Public
+// @access  Private (subscriptions:read)
 const getSubscriptionsByUser = async (req, res) => {
   try {
     const subscriptions = await Subscription.find({
@@ -73,7 +73,7 @@ const getSubscriptionsByUser = async (req, res) => {
 
 // @desc    Create new subscription
 // @route   POST /api/subscriptions
-// @access  Public
+// @access  Private (subscriptions:write)
 const createSubscription = async (req, res) => {
   try {
     const subscription = await Subscription.create(req.body);
@@ -99,7 +99,7 @@ const createSubscription = async (req, res) => {
 
 // @desc    Update subscription
 // @route   PUT /api/subscriptions/:id
-// @access  Public
+// @access  Private (subscriptions:write)
 const updateSubscription = async (req, res) => {
   try {
     const subscription = await Subscription.findByIdAndUpdate(
@@ -141,7 +141,7 @@ const updateSubscription = async (req, res) => {
 
 // @desc    Delete subscription
 // @route   DELETE /api/subscriptions/:id
-// @access  Public
+// @access  Private (subscriptions:write)
 const deleteSubscription = async (req, res) => {
   try {
     const subscription = await Subscription.findByIdAndDelete(
@@ -1,4 +1,13 @@
 const System = require("../models/System");
+const {
+  getStakingSettings,
+  applySystemBetType,
+  recalculateSystemPL,
+} = require("../services/settlementService");
+const { recordAudit } = require("../services/auditService");
+
+// Fields that change how selections are settled
+const STAKING_FIELDS = ["commissionRate", "stake", "betType"];
 
 // @desc    Get all systems
 // @route   GET /api/systems
@@ -47,10 +56,16 @@ const getSystem = async (req, res) => {
 
 // @desc    Create new system
 // @route   POST /api/systems
-// @access  Public
+// @access  Private (systems:write)
 const createSystem = async (req, res) => {
   try {
     const system = await System.create(req.body);
+    await recordAudit(req, {
+      action: "system.create",
+      targetModel: "System",
+      targetId: system._id,
+      after: system,
+    });
 
     res.status(201).json({
       success: true,
@@ -73,9 +88,18 @@ const createSystem = async (req, res) => {
 
 // @desc    Update system
 // @route   PUT /api/systems/:id
-// @access  Public
+// @access  Private (systems:write)
 const updateSystem = async (req, res) => {
   try {
+    const existingSystem = await System.findById(req.params.id);
+
+    if (!existingSystem) {
+      return res.status(404).json({
+        success: false,
+        error: "System not found",
+      });
+    }
+
     const system = await System.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -85,16 +109,35 @@ const updateSystem = async (req, res) => {
       }
     );
 
-    if (!system) {
-      return res.status(404).json({
-        success: false,
-        error: "System not found",
-      });
+    // Re-settle historical selections if the staking model changed
+    const stakingChanged = STAKING_FIELDS.some(
+      (field) =>
+        req.body[field] !== undefined &&
+        existingSystem[field] !== system[field]
+    );
+    let recalculation;
+    if (stakingChanged) {
+      // Selections that inherited the old bet type follow the new one
+      const betType = getStakingSettings(system).betType;
+      if (betType !== getStakingSettings(existingSystem).betType) {
+        await applySystemBetType(system._id, betType);
+      }
+      recalculation = await recalculateSystemPL(system._id);
     }
 
+    await recordAudit(req, {
+      action: "system.update",
+      targetModel: "System",
+      targetId: system._id,
+      before: existingSystem,
+      after: system,
+      metadata: recalculation ? { recalculated: true } : undefined,
+    });
+
     res.status(200).json({
       success: true,
       data: system,
+      recalculation,
     });
   } catch (error) {
     if (error.code === 11000) {
@@ -113,7 +156,7 @@ const updateSystem = async (req, res) => {
 
 // @desc    Delete system
 // @route   DELETE /api/systems/:id
-// @access  Public
+// @access  Private (systems:write)
 const deleteSystem = async (req, res) => {
   try {
     const system = await System.findByIdAndDelete(req.params.id);
@@ -125,6 +168,13 @@ const deleteSystem = async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: "system.delete",
+      targetModel: "System",
+      targetId: system._id,
+      before: system,
+    });
+
     res.status(200).json({
       success: true,
       data: {},
@@ -137,11 +187,45 @@ const deleteSystem = async (req, res) => {
   }
 };
 
+// @desc    Recalculate historical P/L using the system's staking settings
+// @route   POST /api/systems/:id/recalculate-pl
+// @access  Private (results:write)
+const recalculateSystem = async (req, res) => {
+  try {
+    const system = await System.findById(req.params.id);
+
+    if (!system) {
+      return res.status(404).json({
+        success: false,
+        error: "System not found",
+      });
+    }
+
+    const result = await recalculateSystemPL(system._id);
+    await recordAudit(req, {
+      action: "results.recalculate",
+      targetModel: "System",
+      targetId: system._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   getSystems,
   getSystem,
   createSystem,
   updateSystem,
   deleteSystem,
+  recalculateSystem,
 };
 
@@ -1,5 +1,6 @@
 const SystemResult = require("../models/SystemResult");
 const { syncSystemResults, syncAllSystems } = require("../services/syncService");
+const { recordAudit } = require("../services/auditService");
 
 // @desc    Get all system results
 // @route   GET /api/system-results
@@ -65,10 +66,15 @@ const getSystemResult = async (req, res) => {
 
 // @desc    Sync system results from Google Sheets
 // @route   POST /api/system-results/sync/:systemId
-// @access  Public
+// @access  Private (results:write)
 const syncSystem = async (req, res) => {
   try {
     const result = await syncSystemResults(req.params.systemId);
+    await recordAudit(req, {
+      action: "results.sync",
+      targetModel: "System",
+      targetId: req.params.systemId,
+    });
 
     res.status(200).json({
       success: true,
@@ -84,10 +90,11 @@ const syncSystem = async (req, res) => {
 
 // @desc    Sync all systems from Google Sheets
 // @route   POST /api/system-results/sync-all
-// @access  Public
+// @access  Private (results:write)
 const syncAll = async (req, res) => {
   try {
     const results = await syncAllSystems();
+    await recordAudit(req, { action: "results.sync_all" });
 
     res.status(200).json({
       success: true,
@@ -103,7 +110,7 @@ const syncAll = async (req, res) => {
 
 // @desc    Delete system result
 // @route   DELETE /api/system-results/:id
-// @access  Public
+// @access  Private (results:write)
 const deleteSystemResult = async (req, res) => {
   try {
     const result = await SystemResult.findByIdAndDelete(req.params.id);
@@ -115,6 +122,13 @@ const deleteSystemResult = async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: "results.delete",
+      targetModel: "SystemResult",
+      targetId: result._id,
+      before: result,
+    });
+
     res.status(200).json({
       success: true,
       data: {},
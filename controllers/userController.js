@@ -1,10 +1,62 @@
 const User = require("../models/User");
 const crypto = require("crypto");
-const jwt = require("jsonwebtoken");
 const StripeCustomer = require("../models/StripeCustomer");
 const StripeSubscription = require("../models/StripeSubscription");
 const System = require("../models/System");
-const { Resend } = require("resend");
+const {
+  getPlanDescription,
+  createPortalSessionUrl,
+  verifyPortalLinkToken,
+} = require("../services/billingService");
+const {
+  notify,
+  notifyAdmins,
+  verifyUnsubscribeToken,
+} = require("../services/notificationService");
+const { escapeHtml } = require("../services/emailService");
+const { recordAudit } = require("../services/auditService");
+const {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  listSessions,
+} = require("../services/sessionService");
+const {
+  recalculateActiveSystemIds,
+} = require("../services/systemAccessService");
+const {
+  encryptSecret,
+  generateSecret,
+  getOtpauthUrl,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  verifyEnrolmentCode,
+  createLoginChallenge,
+  createSetupToken,
+  verifyTwoFactorToken,
+  createDeviceToken,
+  isRememberedDevice,
+  isTwoFactorRequired,
+} = require("../services/twoFactorService");
+
+// Brevo newsletter list (see subscribeToNewsletter)
+const NEWSLETTER_LIST_ID = 5;
+
+// Brevo lists that mirror an email preference category
+const PREFERENCE_BREVO_LISTS = {
+  marketingEmails: NEWSLETTER_LIST_ID,
+};
+
+// How each email preference category is described to users
+const EMAIL_CATEGORY_LABELS = {
+  dailySelections: "daily selection emails",
+  resultsUpdates: "results emails",
+  monthlyPerformanceReport: "monthly performance reports",
+  systemUpdates: "system update emails",
+  billingReminders: "billing reminders",
+  marketingEmails: "newsletter and marketing emails",
+};
 const brevo = require("@getbrevo/brevo");
 
 const getBrevoApiInstance = () => {
@@ -48,6 +100,21 @@ const addContactToList = async (listId, emails) => {
   }
 };
 
+const removeContactFromList = async (listId, emails) => {
+  try {
+    const apiInstance = getBrevoApiInstance();
+    const contactEmails = new brevo.RemoveContactFromList();
+    contactEmails.emails = emails;
+
+    const res = await apiInstance.removeContactFromList(listId, contactEmails);
+    return res;
+  } catch (error) {
+    console.log("removeContactFromList error statusCode", error.statusCode);
+    console.log("removeContactFromList error body", error.body);
+    throw error;
+  }
+};
+
 const updateContactAttributes = async (email, attributes) => {
   try {
     const apiInstance = getBrevoApiInstance();
@@ -82,40 +149,45 @@ const createBrevoContact = async (email, attributes = {}, listIds = []) => {
     console.error("Error creating Brevo contact:", errorMessage);
     console.log("error object", error);
 
-    try {
-      await resend.emails.send({
-        from: "Fortis Sports Trading <noreply@mail.fortissportstrading.com>",
-        to: "mckennapaul27@gmail.com",
-        subject: "Error in createBrevoContact",
-        html: `
-          <h1>Error occurred in createBrevoContact</h1>
-          <p><strong>Email:</strong> ${email}</p>
-          <p><strong>Error Message:</strong></p>
-          <pre>${errorMessage}</pre>
-          <p><strong>Full Error:</strong></p>
-          <pre>${JSON.stringify(error, null, 2)}</pre>
-        `,
-      });
-      console.log(
-        "Resend error notification sent successfully for createBrevoContact."
-      );
-    } catch (resendError) {
-      console.error(
-        "Failed to send Resend error notification for createBrevoContact:",
-        resendError
-      );
-    }
+    await notifyAdmins(
+      "Error in createBrevoContact",
+      { Email: email, "Error Message": errorMessage },
+      JSON.stringify(error, null, 2)
+    );
 
     throw error;
   }
 };
 
+// Keep the Brevo list for an email preference category in line with the preference
+// Failures are logged, not thrown: the stored preference is what our emails use
+const syncPreferenceList = async (user, category, subscribed) => {
+  const listId = PREFERENCE_BREVO_LISTS[category];
+  if (!listId) return;
+
+  try {
+    if (!subscribed) {
+      await removeContactFromList(listId, [user.email]);
+    } else if (await getContactInfo(user.email)) {
+      await addContactToList(listId, [user.email]);
+    } else {
+      await createBrevoContact(
+        user.email,
+        { FIRSTNAME: user.firstName || "", LASTNAME: user.lastName || "" },
+        [listId]
+      );
+    }
+  } catch (error) {
+    console.error(
+      `Failed to sync Brevo list ${listId} for ${user.email}:`,
+      error.message
+    );
+  }
+};
+
 // Initialize Stripe
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
 
-// Initialize Resend
-const resend = new Resend(process.env.RESEND_API_KEY);
-
 // Promotion configuration
 const ALL_SYSTEMS_YEARLY_PRODUCT_IDS = {
   test: "prod_TZZdcgHBZ13uZ9",
@@ -213,13 +285,9 @@ const getPromotionInfo = (productId) => {
   };
 };
 
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: "365d" });
-};
-
 // @desc    Get all users
 // @route   GET /api/users
-// @access  Public
+// @access  Private (users:read)
 const getUsers = async (req, res) => {
   try {
     const users = await User.find();
@@ -238,7 +306,7 @@ const getUsers = async (req, res) => {
 
 // @desc    Get single user
 // @route   GET /api/users/:id
-// @access  Public
+// @access  Private (users:read)
 const getUser = async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
@@ -325,7 +393,9 @@ const createUser = async (req, res) => {
 const loginUser = async (req, res) => {
   try {
     const { email, password } = req.body;
-    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    const user = await User.findOne({
+      email: email.toLowerCase().trim(),
+    }).select("+password");
 
     if (!user || !(await user.comparePassword(password))) {
       return res.status(401).json({ message: "Invalid credentials" });
@@ -334,30 +404,190 @@ const loginUser = async (req, res) => {
     if (user.isBlocked) {
       return res.status(403).json({ message: "Account is blocked" });
     }
-    const token = generateToken(user._id);
 
-    res.json({
-      token,
-      user: {
-        id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role,
-      },
-    });
+    // Second step: a code, unless this device was remembered
+    if (user.twoFactor.enabled) {
+      if (!isRememberedDevice(user, req.body.deviceToken)) {
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: createLoginChallenge(user),
+        });
+      }
+    } else if (isTwoFactorRequired(user)) {
+      // Staff must enrol before they get a session (see enableTwoFactor)
+      return res.json({
+        twoFactorSetupRequired: true,
+        setupToken: createSetupToken(user),
+      });
+    }
+
+    res.json(await buildLoginResponse(user, req));
   } catch (error) {
     console.log("error in exports.login ", error);
     res.status(500).json({ message: error.message });
   }
 };
 
+// Start a session and build the response for a successful sign in
+const buildLoginResponse = async (user, req) => {
+  const tokens = await createSession(user, req);
+
+  return {
+    ...tokens,
+    user: {
+      id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      role: user.role,
+    },
+  };
+};
+
+// @desc    Complete sign in with a 2FA code or recovery code
+// @route   POST /api/users/login/2fa
+// @access  Public (challenge token from login)
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode, rememberDevice } = req.body;
+
+    const userId = verifyTwoFactorToken("2fa-login", challengeToken);
+    const user = userId
+      ? await User.findById(userId).select(
+          "+twoFactor.secret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep"
+        )
+      : null;
+    if (!user || !user.twoFactor.enabled) {
+      return res
+        .status(401)
+        .json({ message: "Verification expired, please sign in again" });
+    }
+    if (user.isBlocked) {
+      return res.status(403).json({ message: "Account is blocked" });
+    }
+
+    const check = await verifySecondFactor(user, { code, recoveryCode });
+    if (check.lockedOut) {
+      return res.status(429).json({
+        message: "Too many incorrect codes, please try again in a few minutes",
+      });
+    }
+    if (!check.valid) {
+      return res.status(401).json({ message: "Invalid verification code" });
+    }
+
+    const response = await buildLoginResponse(user, req);
+    if (rememberDevice) Object.assign(response, createDeviceToken(user));
+    if (check.usedRecoveryCode) {
+      response.recoveryCodesRemaining = check.recoveryCodesRemaining;
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error("Error verifying 2FA code:", error);
+    res.status(500).json({ message: "Failed to verify code" });
+  }
+};
+
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/users/refresh-token
+// @access  Public
+const refreshAccessToken = async (req, res) => {
+  try {
+    const result = await refreshSession(req.body.refreshToken, req);
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error refreshing token:", error);
+    res.status(500).json({ message: "Failed to refresh token" });
+  }
+};
+
+// @desc    Sign out (revoke the current session)
+// @route   POST /api/users/logout
+// @access  Private
+const logoutUser = async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, "logout");
+    res.json({ message: "Signed out" });
+  } catch (error) {
+    console.error("Error signing out:", error);
+    res.status(500).json({ message: "Failed to sign out" });
+  }
+};
+
+// @desc    List the current user's active sessions
+// @route   GET /api/users/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session._id.toString() === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error("Error listing sessions:", error);
+    res.status(500).json({ message: "Failed to list sessions" });
+  }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/users/sessions/:sessionId
+// @access  Private
+const revokeUserSession = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+    const session = sessions.find(
+      (s) => s._id.toString() === req.params.sessionId
+    );
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    await revokeSession(session._id, "revoked_by_user");
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    res.status(500).json({ message: "Failed to revoke session" });
+  }
+};
+
+// @desc    Revoke all of the current user's other sessions
+// @route   DELETE /api/users/sessions
+// @access  Private
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, "revoked_by_user", {
+      exceptSessionId: req.sessionId,
+    });
+    res.json({ message: "Other sessions revoked", revoked });
+  } catch (error) {
+    console.error("Error revoking sessions:", error);
+    res.status(500).json({ message: "Failed to revoke sessions" });
+  }
+};
+
 // @desc    Update user
 // @route   PUT /api/users/:id
-// @access  Public
+// @access  Private (users:write)
 const updateUser = async (req, res) => {
   try {
-    const user = await User.findByIdAndUpdate(req.params.id, req.body, {
+    // Only profile fields and the role; passwords, 2FA, comps and blocking
+    // each have their own endpoint
+    const updates = {};
+    for (const field of ["firstName", "lastName", "email", "role"]) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    const before = await User.findById(req.params.id).lean();
+    const user = await User.findByIdAndUpdate(req.params.id, updates, {
       new: true,
       runValidators: true,
     });
@@ -369,6 +599,24 @@ const updateUser = async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: "user.update",
+      targetModel: "User",
+      targetId: user._id,
+      before,
+      after: user,
+    });
+
+    if (
+      before &&
+      before.role !== user.role &&
+      isTwoFactorRequired(user) &&
+      !user.twoFactor.enabled
+    ) {
+      // e.g. promoted to a staff role: they must enrol in 2FA when they next sign in
+      await revokeUserSessions(user._id, "two_factor_required");
+    }
+
     res.status(200).json({
       success: true,
       data: user,
@@ -390,7 +638,7 @@ const updateUser = async (req, res) => {
 
 // @desc    Delete user
 // @route   DELETE /api/users/:id
-// @access  Public
+// @access  Private (users:write)
 const deleteUser = async (req, res) => {
   try {
     const user = await User.findByIdAndDelete(req.params.id);
@@ -402,6 +650,13 @@ const deleteUser = async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: "user.delete",
+      targetModel: "User",
+      targetId: user._id,
+      before: user,
+    });
+
     res.status(200).json({
       success: true,
       data: {},
@@ -790,23 +1045,6 @@ const getBillingDetails = async (req, res) => {
     res.status(500).json({ message: "Failed to fetch billing data" });
   }
 };
-// Helper function
-function getPlanDescription(subscription, systems) {
-  // Check metadata for system slugs
-  const systemSlugs = subscription.metadata?.systemSlugs
-    ? JSON.parse(subscription.metadata.systemSlugs)
-    : [];
-
-  if (systemSlugs.length === systems.length) {
-    return `Access to all ${systems.length} trading systems`;
-  } else if (systemSlugs.length === 1) {
-    const system = systems.find((s) => s.slug === systemSlugs[0]);
-    return `Access to ${system?.name || "1 system"}`;
-  } else {
-    return `Access to ${systemSlugs.length} systems`;
-  }
-}
-
 // @desc    Cancel subscription
 // @route   POST /api/users/cancel-subscription
 // @access  Private
@@ -938,21 +1176,15 @@ const createPortalSession = async (req, res) => {
   try {
     const userId = req.user.id;
 
-    // Get Stripe customer
-    const stripeCustomer = await StripeCustomer.findOne({ userId });
+    // Create Stripe Customer Portal session
+    const url = await createPortalSessionUrl(userId);
 
-    if (!stripeCustomer) {
+    if (!url) {
       return res.status(404).json({ message: "No Stripe customer found" });
     }
 
-    // Create Stripe Customer Portal session
-    const portalSession = await stripe.billingPortal.sessions.create({
-      customer: stripeCustomer.stripeCustomerId,
-      return_url: `${process.env.FRONTEND_URL}/dashboard/billings`,
-    });
-
     res.json({
-      url: portalSession.url,
+      url,
     });
   } catch (error) {
     console.error("Error creating portal session:", error);
@@ -960,6 +1192,31 @@ const createPortalSession = async (req, res) => {
   }
 };
 
+// @desc    Open the Stripe Customer Portal from a signed email link
+// @route   GET /api/users/billing-portal?token=
+// @access  Public (signed token)
+const openBillingPortal = async (req, res) => {
+  const billingPage = `${process.env.FRONTEND_URL}/dashboard/billings`;
+
+  try {
+    const userId = verifyPortalLinkToken(req.query.token);
+    const user = userId
+      ? await User.findById(userId).select("isBlocked")
+      : null;
+
+    // Expired or invalid links fall back to the billing page (requires login)
+    if (!user || user.isBlocked) {
+      return res.redirect(303, billingPage);
+    }
+
+    const url = await createPortalSessionUrl(user._id);
+    res.redirect(303, url || billingPage);
+  } catch (error) {
+    console.error("Error opening billing portal:", error);
+    res.redirect(303, billingPage);
+  }
+};
+
 // @desc    Change subscription (upgrade/downgrade)
 // @route   POST /api/users/change-subscription
 // @access  Private
@@ -1135,49 +1392,7 @@ const changeSubscription = async (req, res) => {
     // This ensures we aggregate all subscriptions if user has multiple
     // The webhook will also update this, but we update now for immediate effect
     try {
-      const StripeSubscription = require("../models/StripeSubscription");
-      const System = require("../models/System");
-
-      // Find all active subscriptions for the user
-      const activeSubscriptions = await StripeSubscription.find({
-        userId,
-        status: { $in: ["active", "trialing"] },
-      });
-
-      // Collect all system slugs from all active subscriptions
-      const allSystemSlugs = new Set();
-      for (const sub of activeSubscriptions) {
-        if (sub.metadata && sub.metadata.systemSlugs) {
-          try {
-            const parsed = JSON.parse(sub.metadata.systemSlugs);
-            if (Array.isArray(parsed)) {
-              parsed.forEach((slug) => allSystemSlugs.add(slug));
-            }
-          } catch (e) {
-            // If parsing fails, skip this subscription's systems
-            console.error(
-              `Error parsing systemSlugs for subscription ${sub.stripeSubscriptionId}:`,
-              e
-            );
-          }
-        }
-      }
-
-      // Look up all systems by their slugs
-      const systems = await System.find({
-        slug: { $in: Array.from(allSystemSlugs) },
-      });
-
-      // Update user's activeSystemIds
-      const user = await User.findById(userId);
-      if (user) {
-        user.activeSystemIds = systems.map((system) => system._id);
-        await user.save();
-        console.log(
-          `User ${userId} activeSystemIds updated in changeSubscription:`,
-          user.activeSystemIds
-        );
-      }
+      await recalculateActiveSystemIds(userId);
     } catch (error) {
       console.error(
         "Error updating user activeSystemIds in changeSubscription:",
@@ -1341,6 +1556,13 @@ const updateEmailPreferences = async (req, res) => {
           : true,
     };
 
+    const previous = await User.findById(req.user.id).select(
+      "email firstName lastName emailPreferences"
+    );
+    if (!previous) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
     // Update user
     const user = await User.findByIdAndUpdate(
       req.user.id,
@@ -1352,6 +1574,18 @@ const updateEmailPreferences = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
+    // Sync Brevo lists for any category that changed
+    for (const category of Object.keys(PREFERENCE_BREVO_LISTS)) {
+      const wasSubscribed = previous.emailPreferences?.[category] !== false;
+      if (wasSubscribed !== validPreferences[category]) {
+        await syncPreferenceList(
+          previous,
+          category,
+          validPreferences[category]
+        );
+      }
+    }
+
     res.json({
       message: "Email preferences updated successfully",
       emailPreferences: user.emailPreferences,
@@ -1362,6 +1596,99 @@ const updateEmailPreferences = async (req, res) => {
   }
 };
 
+// Minimal standalone page for unsubscribe links opened in a browser
+function renderUnsubscribePage(title, body) {
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="font-family: sans-serif; max-width: 480px; margin: 60px auto; padding: 0 16px;">
+    <h1>${escapeHtml(title)}</h1>
+    ${body}
+    <p><a href="${process.env.FRONTEND_URL}">Fortis Sports Trading</a></p>
+  </body>
+</html>`;
+}
+
+// @desc    Confirm page for an unsubscribe link from an email
+// @route   GET /api/users/unsubscribe?token=
+// @access  Public (signed token)
+//
+// Doesn't unsubscribe by itself: mail scanners follow links in emails,
+// so the change is made by the form's POST (or a List-Unsubscribe one-click POST)
+const getUnsubscribePage = (req, res) => {
+  const link = verifyUnsubscribeToken(req.query.token);
+  if (!link) {
+    return res
+      .status(400)
+      .send(
+        renderUnsubscribePage(
+          "Invalid unsubscribe link",
+          "<p>This link is invalid. You can manage your email preferences from your account settings.</p>"
+        )
+      );
+  }
+
+  res.send(
+    renderUnsubscribePage(
+      "Unsubscribe",
+      `<p>Stop receiving ${EMAIL_CATEGORY_LABELS[link.category]}?</p>
+    <form method="post" action="/api/users/unsubscribe?token=${encodeURIComponent(
+      req.query.token
+    )}">
+      <button type="submit">Unsubscribe</button>
+    </form>`
+    )
+  );
+};
+
+// @desc    Turn off an email preference from a signed unsubscribe link
+// @route   POST /api/users/unsubscribe?token=
+// @access  Public (signed token)
+const unsubscribeFromEmails = async (req, res) => {
+  try {
+    const link = verifyUnsubscribeToken(req.query.token || req.body.token);
+    if (!link) {
+      return res.status(400).json({ message: "Invalid unsubscribe link" });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      link.userId,
+      { $set: { [`emailPreferences.${link.category}`]: false } },
+      { new: true }
+    ).select("email firstName lastName emailPreferences");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    await syncPreferenceList(user, link.category, false);
+
+    const label = EMAIL_CATEGORY_LABELS[link.category];
+    res.format({
+      html: () =>
+        res.send(
+          renderUnsubscribePage(
+            "You've been unsubscribed",
+            `<p>You won't receive ${label} any more. You can turn them back on from your account settings.</p>`
+          )
+        ),
+      default: () =>
+        res.json({
+          message: `Unsubscribed from ${label}`,
+          category: link.category,
+          emailPreferences: user.emailPreferences,
+        }),
+    });
+  } catch (error) {
+    console.error("Error unsubscribing:", error);
+    res.status(500).json({ message: "Failed to unsubscribe" });
+  }
+};
+
 // @desc    Change user password
 // @route   PUT /api/users/change-password
 // @access  Private
@@ -1384,7 +1711,7 @@ const changePassword = async (req, res) => {
     }
 
     // Get user with password
-    const user = await User.findById(req.user.id);
+    const user = await User.findById(req.user.id).select("+password");
 
     if (!user) {
       return res.status(404).json({ message: "User not found" });
@@ -1409,13 +1736,217 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
-    res.json({ message: "Password changed successfully" });
+    // Sign out every other device; this one stays signed in
+    const revokedSessions = await revokeUserSessions(
+      user._id,
+      "password_changed",
+      { exceptSessionId: req.sessionId }
+    );
+
+    res.json({ message: "Password changed successfully", revokedSessions });
   } catch (error) {
     console.error("Error changing password:", error);
     res.status(500).json({ message: "Failed to change password" });
   }
 };
 
+// @desc    Get the current user's 2FA status
+// @route   GET /api/users/2fa
+// @access  Private
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+twoFactor.recoveryCodeHashes"
+    );
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: isTwoFactorRequired(user),
+      recoveryCodesRemaining: (user.twoFactor.recoveryCodeHashes || []).length,
+    });
+  } catch (error) {
+    console.error("Error getting 2FA status:", error);
+    res.status(500).json({ message: "Failed to get 2FA status" });
+  }
+};
+
+// @desc    Start 2FA enrolment: a new secret for the authenticator app
+// @route   POST /api/users/2fa/setup
+// @access  Private (or setup token from login)
+const startTwoFactorSetup = async (req, res) => {
+  try {
+    const user = req.user;
+    if (user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    // Not active until confirmed with a code (enableTwoFactor)
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUrl: getOtpauthUrl(user.email, secret),
+    });
+  } catch (error) {
+    console.error("Error starting 2FA setup:", error);
+    res.status(500).json({ message: "Failed to start 2FA setup" });
+  }
+};
+
+// @desc    Confirm 2FA enrolment with a code; returns recovery codes (once)
+// @route   POST /api/users/2fa/enable
+// @access  Private (or setup token from login, which also signs in)
+const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+twoFactor.pendingSecret"
+    );
+    if (user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: "Start 2FA setup first" });
+    }
+
+    const { step, lockedOut } = verifyEnrolmentCode(user, req.body.code);
+    if (lockedOut) {
+      return res.status(429).json({
+        message: "Too many incorrect codes, please try again in a few minutes",
+      });
+    }
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    const { codes, hashes } = await generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodeHashes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.deviceVersion = (user.twoFactor.deviceVersion || 0) + 1;
+    await user.save();
+
+    // Other sessions were signed in without a code
+    await revokeUserSessions(user._id, "two_factor_enabled", {
+      exceptSessionId: req.sessionId,
+    });
+
+    const response = {
+      message: "Two-factor authentication enabled",
+      recoveryCodes: codes,
+    };
+    // Staff enrolling at login are signed in now
+    if (req.twoFactorSetup) {
+      Object.assign(response, await buildLoginResponse(user, req));
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error("Error enabling 2FA:", error);
+    res.status(500).json({ message: "Failed to enable 2FA" });
+  }
+};
+
+// @desc    Turn off 2FA (not allowed where it is mandatory)
+// @route   POST /api/users/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user._id).select(
+      "+password +twoFactor.secret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep"
+    );
+    if (!user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        message: "Two-factor authentication is required for your account",
+      });
+    }
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({ message: "Password is incorrect" });
+    }
+
+    const check = await verifySecondFactor(user, { code, recoveryCode });
+    if (check.lockedOut) {
+      return res.status(429).json({
+        message: "Too many incorrect codes, please try again in a few minutes",
+      });
+    }
+    if (!check.valid) {
+      return res.status(401).json({ message: "Invalid verification code" });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { "twoFactor.enabled": false, "twoFactor.enabledAt": null },
+        $unset: {
+          "twoFactor.secret": 1,
+          "twoFactor.recoveryCodeHashes": 1,
+          "twoFactor.lastUsedStep": 1,
+        },
+        $inc: { "twoFactor.deviceVersion": 1 },
+      }
+    );
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("Error disabling 2FA:", error);
+    res.status(500).json({ message: "Failed to disable 2FA" });
+  }
+};
+
+// @desc    Replace the recovery codes; returns the new codes (once)
+// @route   POST /api/users/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+twoFactor.secret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep"
+    );
+    if (!user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    const check = await verifySecondFactor(user, { code: req.body.code });
+    if (check.lockedOut) {
+      return res.status(429).json({
+        message: "Too many incorrect codes, please try again in a few minutes",
+      });
+    }
+    if (!check.valid) {
+      return res.status(401).json({ message: "Invalid verification code" });
+    }
+
+    const { codes, hashes } = await generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { "twoFactor.recoveryCodeHashes": hashes } }
+    );
+
+    res.json({ recoveryCodes: codes });
+  } catch (error) {
+    console.error("Error regenerating recovery codes:", error);
+    res.status(500).json({ message: "Failed to regenerate recovery codes" });
+  }
+};
+
 // @desc    Forgot password - send reset token via email
 // @route   POST /api/users/forgot-password
 // @access  Public
@@ -1452,23 +1983,12 @@ const forgotPassword = async (req, res) => {
     // Create reset URL
     const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
 
-    // Send email via Resend
+    // Send reset email
     try {
-      await resend.emails.send({
-        from: "Fortis Sports Trading <noreply@mail.fortissportstrading.com>",
-        to: user.email,
-        subject: "Password Reset Request",
-        html: `
-          <h1>Password Reset Request</h1>
-          <p>Hi ${user.firstName || "there"},</p>
-          <p>You requested to reset your password. Click the link below to reset it:</p>
-          <p><a href="${resetUrl}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px;">Reset Password</a></p>
-          <p>Or copy and paste this URL into your browser:</p>
-          <p>${resetUrl}</p>
-          <p>This link will expire in 1 hour.</p>
-          <p>If you didn't request this, please ignore this email.</p>
-          <p>Thanks,<br>Fortis Sports Trading</p>
-        `,
+      await notify({
+        template: "passwordReset",
+        user,
+        variables: { firstName: user.firstName, resetUrl },
       });
 
       res.json({
@@ -1533,6 +2053,9 @@ const resetPassword = async (req, res) => {
     user.resetTokenExpiry = null;
     await user.save();
 
+    // Sign out everywhere
+    await revokeUserSessions(user._id, "password_reset");
+
     res.json({ message: "Password has been reset successfully" });
   } catch (error) {
     console.error("Error in resetPassword:", error);
@@ -1567,7 +2090,9 @@ const subscribeToNewsletter = async (req, res) => {
 
     try {
       // Try to create the contact
-      await createBrevoContact(normalizedEmail, attributes, [5]);
+      await createBrevoContact(normalizedEmail, attributes, [
+        NEWSLETTER_LIST_ID,
+      ]);
       res.json({
         success: true,
         message: "Successfully subscribed to newsletter",
@@ -1585,7 +2110,7 @@ const subscribeToNewsletter = async (req, res) => {
       if (isDuplicateError) {
         try {
           // Contact already exists, just add them to list 5
-          await addContactToList(5, [normalizedEmail]);
+          await addContactToList(NEWSLETTER_LIST_ID, [normalizedEmail]);
 
           // Optionally update attributes if provided
           if (firstName || lastName) {
@@ -1767,18 +2292,32 @@ module.exports = {
   updateUser,
   deleteUser,
   loginUser,
+  verifyTwoFactorLogin,
+  refreshAccessToken,
+  logoutUser,
+  getSessions,
+  revokeUserSession,
+  revokeOtherSessions,
   registerAndSubscribe,
   existingUserSubscribe,
   getBillingDetails,
   cancelSubscription,
   resumeSubscription,
   createPortalSession,
+  openBillingPortal,
   changeSubscription,
   getUserProfile,
   updateUserProfile,
   getEmailPreferences,
   updateEmailPreferences,
+  getUnsubscribePage,
+  unsubscribeFromEmails,
   changePassword,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   forgotPassword,
   resetPassword,
   subscribeToNewsletter,
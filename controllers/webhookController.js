@@ -0,0 +1,373 @@
+const mongoose = require("mongoose");
+const WebhookEndpoint = require("../models/WebhookEndpoint");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const {
+  EVENT_TYPES,
+  MAX_ENDPOINTS_PER_USER,
+  generateSecret,
+  validateEndpointUrl,
+  redeliver,
+  sendPing,
+} = require("../services/webhookService");
+
+// Fields of a delivery shown in the log
+const DELIVERY_SUMMARY_FIELDS =
+  "event eventId status attempts nextAttemptAt deliveredAt responseStatus error redeliveryOf createdAt";
+
+function validateEvents(events) {
+  if (events === undefined) return null;
+  if (
+    !Array.isArray(events) ||
+    events.length === 0 ||
+    events.some((event) => !EVENT_TYPES.includes(event))
+  ) {
+    return `events must be a non-empty list of: ${EVENT_TYPES.join(", ")}`;
+  }
+  return null;
+}
+
+// Load one of the current user's endpoints, or send a 404
+async function findOwnEndpoint(req, res, select) {
+  const notFound = () =>
+    res.status(404).json({
+      success: false,
+      error: "Webhook endpoint not found",
+    });
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    notFound();
+    return null;
+  }
+
+  const query = WebhookEndpoint.findOne({
+    _id: req.params.id,
+    userId: req.user._id,
+  });
+  if (select) query.select(select);
+  const endpoint = await query;
+  if (!endpoint) notFound();
+  return endpoint;
+}
+
+// @desc    List the current user's webhook endpoints
+// @route   GET /api/webhooks
+// @access  Private
+const getWebhookEndpoints = async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({ userId: req.user._id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: endpoints.length,
+      data: endpoints,
+      events: EVENT_TYPES,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Register a webhook endpoint (the signing secret is only returned here)
+// @route   POST /api/webhooks
+// @access  Private
+const createWebhookEndpoint = async (req, res) => {
+  try {
+    const { url, description, events } = req.body;
+
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        error: "url is required",
+      });
+    }
+    const validationError = validateEndpointUrl(url) || validateEvents(events);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const existing = await WebhookEndpoint.countDocuments({
+      userId: req.user._id,
+    });
+    if (existing >= MAX_ENDPOINTS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        error: `You can register up to ${MAX_ENDPOINTS_PER_USER} webhook endpoints`,
+      });
+    }
+
+    const endpoint = await WebhookEndpoint.create({
+      userId: req.user._id,
+      url,
+      description,
+      events,
+      secret: generateSecret(),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: endpoint.toObject(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update a webhook endpoint's URL, description, events or active flag
+// @route   PUT /api/webhooks/:id
+// @access  Private
+const updateWebhookEndpoint = async (req, res) => {
+  try {
+    const { url, description, events, isActive } = req.body;
+
+    const validationError =
+      (url !== undefined && validateEndpointUrl(url)) || validateEvents(events);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const endpoint = await findOwnEndpoint(req, res);
+    if (!endpoint) return;
+
+    if (url !== undefined) endpoint.url = url;
+    if (description !== undefined) endpoint.description = description;
+    if (events !== undefined) endpoint.events = events;
+    if (isActive !== undefined) endpoint.isActive = Boolean(isActive);
+    await endpoint.save();
+
+    res.status(200).json({
+      success: true,
+      data: endpoint,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Replace a webhook endpoint's signing secret
+// @route   POST /api/webhooks/:id/rotate-secret
+// @access  Private
+const rotateWebhookSecret = async (req, res) => {
+  try {
+    const endpoint = await findOwnEndpoint(req, res, "+secret");
+    if (!endpoint) return;
+
+    endpoint.secret = generateSecret();
+    await endpoint.save();
+
+    res.status(200).json({
+      success: true,
+      data: endpoint.toObject(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete a webhook endpoint
+// @route   DELETE /api/webhooks/:id
+// @access  Private
+const deleteWebhookEndpoint = async (req, res) => {
+  try {
+    const endpoint = await findOwnEndpoint(req, res);
+    if (!endpoint) return;
+
+    await endpoint.deleteOne();
+    // Stop any pending retries
+    await WebhookDelivery.updateMany(
+      { endpointId: endpoint._id, status: "pending" },
+      {
+        $set: { status: "failed", error: "Endpoint deleted" },
+        $unset: { nextAttemptAt: "" },
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Webhook endpoint deleted",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Send a test "ping" event to a webhook endpoint
+// @route   POST /api/webhooks/:id/ping
+// @access  Private
+const pingWebhookEndpoint = async (req, res) => {
+  try {
+    const endpoint = await findOwnEndpoint(req, res, "+secret");
+    if (!endpoint) return;
+
+    const delivery = await sendPing(endpoint.toObject());
+
+    res.status(200).json({
+      success: delivery.status === "succeeded",
+      data: delivery,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get the delivery log for a webhook endpoint
+// @route   GET /api/webhooks/:id/deliveries
+// @access  Private
+const getWebhookDeliveries = async (req, res) => {
+  try {
+    const endpoint = await findOwnEndpoint(req, res);
+    if (!endpoint) return;
+
+    const { status, event, limit, offset } = req.query;
+    const query = { endpointId: endpoint._id };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    // Parse pagination parameters
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
+    const offsetNum = offset ? parseInt(offset, 10) : 0;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .select(DELIVERY_SUMMARY_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip(offsetNum)
+        .limit(limitNum)
+        .lean(),
+      WebhookDelivery.countDocuments(query),
+    ]);
+
+    const hasMore = offsetNum + limitNum < total;
+
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      total,
+      data: deliveries,
+      hasMore,
+      nextOffset: hasMore ? offsetNum + limitNum : null,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a webhook delivery with its payload and attempts
+// @route   GET /api/webhooks/deliveries/:deliveryId
+// @access  Private
+const getWebhookDelivery = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.deliveryId)) {
+      return res.status(404).json({
+        success: false,
+        error: "Delivery not found",
+      });
+    }
+
+    const delivery = await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      userId: req.user._id,
+    }).lean();
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: "Delivery not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: delivery,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Redeliver a logged webhook delivery
+// @route   POST /api/webhooks/deliveries/:deliveryId/redeliver
+// @access  Private
+const redeliverWebhook = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.deliveryId)) {
+      return res.status(404).json({
+        success: false,
+        error: "Delivery not found",
+      });
+    }
+
+    const original = await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      userId: req.user._id,
+    });
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        error: "Delivery not found",
+      });
+    }
+
+    let delivery;
+    try {
+      delivery = await redeliver(original);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(200).json({
+      success: delivery.status === "succeeded",
+      data: delivery,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getWebhookEndpoints,
+  createWebhookEndpoint,
+  updateWebhookEndpoint,
+  rotateWebhookSecret,
+  deleteWebhookEndpoint,
+  pingWebhookEndpoint,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  redeliverWebhook,
+};
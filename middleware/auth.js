@@ -1,31 +1,136 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const { hasPermission } = require("../config/roles");
+const { recordAudit } = require("../services/auditService");
+const { isSessionActive } = require("../services/sessionService");
+const { verifyTwoFactorToken } = require("../services/twoFactorService");
+const { verifyStreamToken } = require("../services/selectionStreamService");
+const {
+  isApiKey,
+  findActiveApiKey,
+  consumeRateLimit,
+  touchApiKey,
+} = require("../services/apiKeyService");
+
+// Authenticate a personal API key (see allowApiKey)
+const authenticateApiKey = async (req, res, next, key) => {
+  const apiKey = await findActiveApiKey(key);
+  if (!apiKey) {
+    return res.status(401).json({ message: "Invalid API key" });
+  }
+
+  const allowedScopes = req.apiKeyScopes || [];
+  if (!apiKey.scopes.some((scope) => allowedScopes.includes(scope))) {
+    return res.status(403).json({
+      message: allowedScopes.length
+        ? `API key requires one of these scopes: ${allowedScopes.join(", ")}`
+        : "API keys can't be used for this route",
+    });
+  }
+
+  // Only requests the key may make count towards its limit
+  const rate = consumeRateLimit(apiKey);
+  res.set({
+    "X-RateLimit-Limit": rate.limit,
+    "X-RateLimit-Remaining": rate.remaining,
+    "X-RateLimit-Reset": Math.ceil(rate.resetAt / 1000),
+  });
+  if (!rate.allowed) {
+    res.set("Retry-After", Math.ceil((rate.resetAt - Date.now()) / 1000));
+    return res.status(429).json({ message: "Rate limit exceeded" });
+  }
+
+  const user = await User.findById(apiKey.userId);
+  if (!user) {
+    return res.status(401).json({ message: "User not found" });
+  }
+  if (user.isBlocked) {
+    return res.status(403).json({ message: "Account is blocked" });
+  }
+
+  touchApiKey(apiKey, req.ip);
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+};
+
+// Authenticate the session and user behind an access token (or stream token)
+const authenticateSession = async (req, res, next, decoded) => {
+  // Access tokens belong to a session (tokens from before sessions have none)
+  // Impersonation tokens belong to the admin's session
+  const sessionUserId = decoded.impersonatorId || decoded.userId;
+  if (!decoded.sid || !(await isSessionActive(decoded.sid, sessionUserId))) {
+    return res
+      .status(401)
+      .json({ message: "Session expired, please sign in again" });
+  }
+
+  if (decoded.impersonatorId) {
+    const impersonator = await User.findById(decoded.impersonatorId);
+    if (
+      !impersonator ||
+      impersonator.isBlocked ||
+      !hasPermission(impersonator, "users:impersonate")
+    ) {
+      return res
+        .status(401)
+        .json({ message: "Session expired, please sign in again" });
+    }
+    // Support can look, not touch
+    if (!["GET", "HEAD", "OPTIONS"].includes(req.method)) {
+      return res
+        .status(403)
+        .json({ message: "Impersonation sessions are read-only" });
+    }
+    req.impersonator = impersonator;
+  }
+
+  const user = await User.findById(decoded.userId);
+
+  if (!user) {
+    return res.status(401).json({ message: "User not found" });
+  }
+
+  if (user.isBlocked) {
+    return res.status(403).json({ message: "Account is blocked" });
+  }
+
+  req.user = user;
+  req.sessionId = decoded.sid;
+  next();
+};
+
 const auth = async (req, res, next) => {
   try {
-    const token = req.header("Authorization")?.replace("Bearer ", "");
+    const token =
+      req.header("X-API-Key") ||
+      req.header("Authorization")?.replace("Bearer ", "");
     if (!token) {
       return res.status(401).json({ message: "Authentication required" });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-
-    if (!user) {
-      return res.status(401).json({ message: "User not found" });
+    if (isApiKey(token)) {
+      return await authenticateApiKey(req, res, next, token);
     }
 
-    if (user.isBlocked) {
-      return res.status(403).json({ message: "Account is blocked" });
-    }
-
-    req.user = user;
-    next();
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return await authenticateSession(req, res, next, decoded);
   } catch (error) {
     console.log("error", error);
     res.status(401).json({ message: "Invalid authentication token" });
   }
 };
 
+// Record a request refused for lack of permission (console and audit log)
+const logAccessDenied = (req, reason) => {
+  console.warn(
+    `🚫 Access denied: ${req.method} ${req.originalUrl} user=${
+      req.user ? req.user._id : "anonymous"
+    } role=${req.user ? req.user.role : "-"} ip=${req.ip} (${reason})`
+  );
+  recordAudit(req, { action: "access.denied", metadata: { reason } });
+};
+
 // Admin middleware - must be used after auth middleware
 const admin = async (req, res, next) => {
   try {
@@ -34,6 +139,7 @@ const admin = async (req, res, next) => {
     }
 
     if (req.user.role !== "admin") {
+      logAccessDenied(req, "admin required");
       return res.status(403).json({ message: "Admin access required" });
     }
 
@@ -44,4 +150,78 @@ const admin = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, admin };
+// Permission middleware (see config/roles.js) - must be used after auth middleware
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: "Authentication required" });
+  }
+
+  if (!hasPermission(req.user, permission)) {
+    logAccessDenied(req, `missing ${permission}`);
+    return res
+      .status(403)
+      .json({ message: `Permission required: ${permission}` });
+  }
+
+  next();
+};
+
+// 2FA enrolment routes also accept the setup token given at login to staff who
+// haven't enrolled yet, as they can't get a session until they have
+const authOrTwoFactorSetup = async (req, res, next) => {
+  if (!req.body || !req.body.setupToken) return auth(req, res, next);
+
+  try {
+    const userId = verifyTwoFactorToken("2fa-setup", req.body.setupToken);
+    const user = userId ? await User.findById(userId) : null;
+    if (!user || user.isBlocked || user.twoFactor.enabled) {
+      return res
+        .status(401)
+        .json({ message: "Setup expired, please sign in again" });
+    }
+
+    req.user = user;
+    req.twoFactorSetup = true;
+    next();
+  } catch (error) {
+    console.log("error", error);
+    res.status(401).json({ message: "Invalid setup token" });
+  }
+};
+
+// EventSource can't set headers, so the stream also accepts a short-lived
+// ?stream_token= (see createStreamToken) in place of the Authorization header
+const authOrStreamToken = async (req, res, next) => {
+  if (!req.query.stream_token) return auth(req, res, next);
+
+  try {
+    const decoded = verifyStreamToken(req.query.stream_token);
+    if (!decoded) {
+      return res
+        .status(401)
+        .json({ message: "Invalid or expired stream token" });
+    }
+    return await authenticateSession(req, res, next, decoded);
+  } catch (error) {
+    console.log("error", error);
+    res.status(401).json({ message: "Invalid stream token" });
+  }
+};
+
+// Let personal API keys with any of these scopes use a route
+// API keys are rejected on routes without it; must be used before auth middleware
+const allowApiKey =
+  (...scopes) =>
+  (req, res, next) => {
+    req.apiKeyScopes = scopes;
+    next();
+  };
+
+module.exports = {
+  auth,
+  admin,
+  requirePermission,
+  authOrTwoFactorSetup,
+  authOrStreamToken,
+  allowApiKey,
+};
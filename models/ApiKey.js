@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+const { Schema, model } = mongoose;
+
+// Personal API key for scripts and bots; only a hash of the key is stored
+const apiKeySchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Start of the key, shown so users can tell their keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 of the full key
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [String],
+      enum: ["selections:read", "results:read"],
+      required: true,
+    },
+    // Requests allowed per minute
+    rateLimit: {
+      type: Number,
+      default: 60,
+      min: 1,
+    },
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = model("ApiKey", apiKeySchema);
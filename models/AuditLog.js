@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+const { Schema, model } = mongoose;
+
+// Append-only record of staff actions; entries can't be updated or deleted
+const auditLogSchema = new Schema(
+  {
+    // Who did it (copied so entries survive the user being deleted)
+    actor: {
+      userId: { type: Schema.Types.ObjectId, ref: "User" },
+      email: String,
+      role: String,
+    },
+    // e.g. "selection.update", "plan.delete", "access.denied"
+    action: { type: String, required: true },
+    targetModel: String,
+    targetId: Schema.Types.ObjectId,
+    // Changed fields: { field: { before, after } }
+    changes: { type: Schema.Types.Mixed, default: {} },
+    // Extra context, e.g. counts for bulk operations
+    metadata: { type: Schema.Types.Mixed, default: {} },
+    request: {
+      method: String,
+      path: String,
+      ip: String,
+      userAgent: String,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, minimize: false }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ "actor.userId": 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+
+// Enforce append-only
+function rejectChange() {
+  throw new Error("Audit log entries are append-only");
+}
+
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error("Audit log entries are append-only"));
+  next();
+});
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectChange
+);
+
+module.exports = model("AuditLog", auditLogSchema);
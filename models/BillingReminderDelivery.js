@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+const { Schema, model } = mongoose;
+
+// One record per renewal reminder, so each offset is sent once per billing period
+const billingReminderDeliverySchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    stripeSubscriptionId: { type: String, required: true },
+    periodEnd: { type: Date, required: true }, // Renewal date reminded about
+    offsetDays: { type: Number, required: true },
+    interval: String, // "month" / "year"
+    amount: Number,
+    currency: String,
+    messageId: String, // Provider message ID once sent
+    sentAt: Date,
+  },
+  { timestamps: true }
+);
+
+billingReminderDeliverySchema.index(
+  { stripeSubscriptionId: 1, periodEnd: 1, offsetDays: 1 },
+  { unique: true }
+);
+
+module.exports = model(
+  "BillingReminderDelivery",
+  billingReminderDeliverySchema
+);
@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+const { Schema, model } = mongoose;
+
+const courseSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true }, // Canonical name e.g. "Southwell"
+    country: { type: String, trim: true, uppercase: true }, // e.g. "GB", "IRE"
+    // Other spellings and abbreviations e.g. "Sthl", "SOUTHWELL (AW)"
+    // Stored as lookup keys (see normalizeCourseKey)
+    aliases: { type: [String], default: [] },
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+courseSchema.index({ name: 1, country: 1 }, { unique: true });
+courseSchema.index({ aliases: 1 });
+
+module.exports = model("Course", courseSchema);
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+const { Schema, model } = mongoose;
+
+// One record per monthly performance report emailed to a user,
+// so the scheduled job never sends the same month twice
+const monthlyReportDeliverySchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    month: { type: String, required: true }, // "YYYY-MM"
+    // Run that claimed this month for the user
+    runId: { type: String, index: true },
+    systemIds: [{ type: Schema.Types.ObjectId, ref: "System" }],
+    totalPL: Number,
+    messageId: String, // Provider message ID once sent
+    sentAt: Date,
+  },
+  { timestamps: true }
+);
+
+monthlyReportDeliverySchema.index({ userId: 1, month: 1 }, { unique: true });
+
+module.exports = model("MonthlyReportDelivery", monthlyReportDeliverySchema);
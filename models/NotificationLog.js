@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+const { Schema, model } = mongoose;
+
+// Every email sent (or skipped) through the notification service
+const notificationLogSchema = new Schema(
+  {
+    template: { type: String, required: true },
+    category: { type: String, required: true },
+    to: { type: [String], required: true },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    subject: String,
+    // Template variables (minus sensitive ones) so the message can be re-rendered
+    variables: { type: Schema.Types.Mixed, default: {} },
+    status: {
+      type: String,
+      enum: ["queued", "sent", "failed", "skipped"],
+      default: "queued",
+    },
+    error: String, // Failure or skip reason
+    transport: String,
+    providerMessageId: String,
+    sentAt: Date,
+    // Set when an admin resends a logged message
+    resendOf: {
+      type: Schema.Types.ObjectId,
+      ref: "NotificationLog",
+    },
+    resentBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true, minimize: false }
+);
+
+notificationLogSchema.index({ createdAt: -1 });
+notificationLogSchema.index({ userId: 1, createdAt: -1 });
+notificationLogSchema.index({ template: 1, status: 1, createdAt: -1 });
+
+module.exports = model("NotificationLog", notificationLogSchema);
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+const { Schema, model } = mongoose;
+
+// One record per system/day results summary emailed to a user,
+// so re-settling a day doesn't email the same results again
+const resultsEmailDeliverySchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    systemId: {
+      type: Schema.Types.ObjectId,
+      ref: "System",
+      required: true,
+    },
+    dateISO: { type: String, required: true },
+    // Run that claimed this system/day for the user
+    runId: { type: String, index: true },
+    messageId: String, // Provider message ID once sent
+    sentAt: Date,
+  },
+  { timestamps: true }
+);
+
+resultsEmailDeliverySchema.index(
+  { userId: 1, systemId: 1, dateISO: 1 },
+  { unique: true }
+);
+
+module.exports = model("ResultsEmailDelivery", resultsEmailDeliverySchema);
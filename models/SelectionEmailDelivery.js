@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+const { Schema, model } = mongoose;
+
+// One record per selection emailed to a user, so a selection is never sent twice
+const selectionEmailDeliverySchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    selectionId: {
+      type: Schema.Types.ObjectId,
+      ref: "SystemSelection",
+      required: true,
+    },
+    systemId: {
+      type: Schema.Types.ObjectId,
+      ref: "System",
+    },
+    dateISO: String,
+    // Digest run that claimed this selection for the user
+    runId: { type: String, index: true },
+    messageId: String, // Provider message ID once sent
+    sentAt: Date,
+  },
+  { timestamps: true }
+);
+
+selectionEmailDeliverySchema.index(
+  { userId: 1, selectionId: 1 },
+  { unique: true }
+);
+
+module.exports = model("SelectionEmailDelivery", selectionEmailDeliverySchema);
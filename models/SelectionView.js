@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+const { Schema, model } = mongoose;
+
+// A user has seen a selection (drives the per-user "new" badge)
+const selectionViewSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  selectionId: {
+    type: Schema.Types.ObjectId,
+    ref: "SystemSelection",
+    required: true,
+  },
+  systemId: {
+    type: Schema.Types.ObjectId,
+    ref: "System",
+  },
+  viewedAt: { type: Date, default: Date.now },
+});
+
+selectionViewSchema.index({ userId: 1, selectionId: 1 }, { unique: true });
+selectionViewSchema.index({ userId: 1, viewedAt: -1 });
+// Views only matter while a selection can still be new, so old ones are dropped
+selectionViewSchema.index(
+  { viewedAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 }
+);
+
+module.exports = model("SelectionView", selectionViewSchema);
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+const { Schema, model } = mongoose;
+
+// A signed-in device: holds the current refresh token (hashed) and is
+// referenced by the access tokens issued for it, so revoking it logs the device out
+const sessionSchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // SHA-256 of the current refresh token; replaced on every refresh
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // The token it replaced, so reuse of an old token can be detected
+    previousRefreshTokenHash: {
+      type: String,
+      index: true,
+      select: false,
+    },
+    userAgent: String,
+    ip: String,
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    // e.g. "logout", "password_changed", "password_reset", "blocked", "token_reuse"
+    revokedReason: String,
+  },
+  { timestamps: true }
+);
+
+// Remove sessions a while after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = model("Session", sessionSchema);
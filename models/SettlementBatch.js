@@ -0,0 +1,101 @@
+// models/SettlementBatch.js
+const mongoose = require("mongoose");
+const { Schema, model } = mongoose;
+
+// One record per settlement operation (results CSV upload or manual result edit)
+// Stores the prior values of every selection it changed so it can be reverted
+const settlementBatchSchema = new Schema(
+  {
+    source: {
+      type: String,
+      enum: ["csv", "manual"],
+      required: true,
+    },
+
+    // SHA-256 of the uploaded file, used to stop the same file being applied twice
+    fileHash: String,
+    fileName: String,
+
+    uploadedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    status: {
+      type: String,
+      enum: ["applied", "rolled_back"],
+      default: "applied",
+      index: true,
+    },
+    revertedAt: Date,
+    revertedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    // Counts from the upload
+    rowCount: { type: Number, default: 0 },
+    updatedCount: { type: Number, default: 0 },
+    unmatchedCount: { type: Number, default: 0 },
+    ambiguousCount: { type: Number, default: 0 },
+    suggestionCount: { type: Number, default: 0 },
+    errorCount: { type: Number, default: 0 },
+
+    // P/L added to each system by this batch
+    systems: [
+      {
+        _id: false,
+        systemId: { type: Schema.Types.ObjectId, ref: "System" },
+        systemName: String,
+        selections: Number,
+        plDelta: Number,
+      },
+    ],
+
+    // Selections settled by this batch, with their values beforehand
+    changes: [
+      {
+        _id: false,
+        selectionId: { type: Schema.Types.ObjectId, ref: "SystemSelection" },
+        systemId: { type: Schema.Types.ObjectId, ref: "System" },
+        previous: {
+          result: String,
+          winBsp: Number,
+          winPL: Number,
+          hasResult: Boolean,
+          country: String,
+          meeting: String,
+          settlementBatchId: { type: Schema.Types.ObjectId },
+          // Race metadata written from the results CSV
+          going: String,
+          raceType: String,
+          distance: String,
+          raceClass: String,
+          jockey: String,
+          trainer: String,
+          runners: Number,
+          industrySp: Number,
+          ipMin: Number,
+          ipMax: Number,
+          betfairRank: Number,
+        },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// Only one applied batch per file (a rolled back file can be uploaded again)
+settlementBatchSchema.index(
+  { fileHash: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      status: "applied",
+      fileHash: { $exists: true },
+    },
+  }
+);
+settlementBatchSchema.index({ createdAt: -1 });
+
+module.exports = model("SettlementBatch", settlementBatchSchema);
@@ -16,6 +16,11 @@ const systemSchema = new Schema(
     description: String,
     isActive: { type: Boolean, default: true },
 
+    // Staking model used when settling selections and reporting performance
+    commissionRate: { type: Number, default: 0.02, min: 0, max: 1 }, // e.g. 0.02 = 2% Betfair commission
+    stake: { type: Number, default: 1, min: 0 }, // Points staked per bet (level stakes)
+    betType: { type: String, enum: ["lay", "back"], default: "lay" },
+
     sheets: {
       selections: { type: googleSheetConfigSchema, required: false },
       results: { type: googleSheetConfigSchema, required: false },
@@ -19,8 +19,13 @@ const systemSelectionSchema = new Schema(
     time: String,
     horse: { type: String, required: true },
 
-    // Flag to mark new selections for frontend notifications
-    isNewSelection: { type: Boolean, default: true, index: true },
+    // Side of the bet; set from the system's bet type when the selection is
+    // created and kept in step with it unless chosen for this selection
+    betSide: { type: String, enum: ["lay", "back"] },
+    // Whether betSide was chosen for this selection rather than inherited
+    betSideOverride: { type: Boolean, default: false },
+
+    // Whether a selection is new is tracked per user (see SelectionView)
 
     // Track who created this selection (admin user)
     createdBy: {
@@ -37,6 +42,25 @@ const systemSelectionSchema = new Schema(
     placePL: Number,
     runningPlacePL: Number,
     hasResult: { type: Boolean, default: false, index: true }, // Quick filter for selections with results
+    // Settlement batch that last set this selection's result
+    settlementBatchId: {
+      type: Schema.Types.ObjectId,
+      ref: "SettlementBatch",
+      index: true,
+    },
+
+    // Race and runner metadata (stored from the results CSV at settlement)
+    going: String, // e.g. "GTS", "GD"
+    raceType: String, // e.g. "Novice Hurdle"
+    distance: String, // e.g. "2m4f"
+    raceClass: String,
+    runners: Number, // Field size
+    jockey: String,
+    trainer: String,
+    industrySp: Number,
+    ipMin: Number,
+    ipMax: Number,
+    betfairRank: Number, // Position in the Betfair market (1 = favourite)
 
     // Row order from Google Sheets to maintain original order (for backward compatibility)
     rowOrder: { type: Number, index: true },
@@ -46,8 +70,8 @@ const systemSelectionSchema = new Schema(
 
 // Composite index for fast queries
 systemSelectionSchema.index({ systemId: 1, dateISO: 1 });
-// Index for querying new selections
-systemSelectionSchema.index({ systemId: 1, isNew: 1, dateISO: 1 });
+// Index for finding recently created (possibly new) selections
+systemSelectionSchema.index({ createdAt: -1, systemId: 1 });
 // Index for querying today's selections
 systemSelectionSchema.index({ dateISO: 1, systemId: 1 });
 // Index for querying selections with results
@@ -1,6 +1,17 @@
 const mongoose = require("mongoose");
 const { Schema, model } = mongoose;
 const bcrypt = require("bcryptjs");
+const { ROLES } = require("../config/roles");
+
+const systemCompSchema = new Schema(
+  {
+    systemId: { type: Schema.Types.ObjectId, ref: "System", required: true },
+    expiresAt: { type: Date, required: true },
+    reason: { type: String, trim: true },
+    grantedBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
 
 const userSchema = new Schema(
   {
@@ -12,9 +23,11 @@ const userSchema = new Schema(
       lowercase: true,
       trim: true,
     },
+    // Credentials are never loaded unless asked for (+password, +resetToken)
     password: {
       type: String,
       required: true,
+      select: false,
     },
     firstName: {
       type: String,
@@ -26,17 +39,53 @@ const userSchema = new Schema(
     },
     role: {
       type: String,
-      enum: ["user", "admin"],
+      enum: ROLES,
       default: "user",
     },
     activeSystemIds: [{ type: Schema.Types.ObjectId, ref: "System" }],
+    // Time-limited access to systems granted by an admin, on top of
+    // subscriptions (see systemAccessService)
+    systemComps: [systemCompSchema],
+    // Blocked users can't sign in and their sessions are revoked
+    isBlocked: {
+      type: Boolean,
+      default: false,
+    },
+    blockedReason: {
+      type: String,
+      default: null,
+    },
+    blockedAt: {
+      type: Date,
+      default: null,
+    },
+    blockedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // TOTP two-factor authentication (see twoFactorService); mandatory for staff
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date, default: null },
+      // Encrypted; pendingSecret holds the secret until enrolment is confirmed
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      recoveryCodeHashes: { type: [String], select: false },
+      // Step of the last accepted code, so codes can't be replayed
+      lastUsedStep: { type: Number, select: false },
+      // Bumped to forget all remembered devices
+      deviceVersion: { type: Number, default: 0 },
+    },
     resetToken: {
       type: String,
       default: null,
+      select: false,
     },
     resetTokenExpiry: {
       type: Date,
       default: null,
+      select: false,
     },
     // Email notification preferences
     emailPreferences: {
@@ -69,6 +118,17 @@ const userSchema = new Schema(
   { timestamps: true }
 );
 
+// Fields stripped from users sent to clients, including documents that were
+// just created or explicitly loaded with them
+const PRIVATE_FIELDS = ["password", "resetToken", "resetTokenExpiry"];
+
+userSchema.set("toJSON", {
+  transform(doc, ret) {
+    for (const field of PRIVATE_FIELDS) delete ret[field];
+    return ret;
+  },
+});
+
 // Hash password before saving
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
@@ -81,5 +141,7 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.index({ "systemComps.expiresAt": 1 }, { sparse: true });
+
 const User = model("User", userSchema);
 module.exports = User;
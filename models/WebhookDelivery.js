@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+const { Schema, model } = mongoose;
+
+// One event sent (or being retried) to one webhook endpoint
+const webhookDeliverySchema = new Schema(
+  {
+    endpointId: {
+      type: Schema.Types.ObjectId,
+      ref: "WebhookEndpoint",
+      required: true,
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    event: { type: String, required: true },
+    // Event ID shared by every delivery (and redelivery) of the same event
+    eventId: { type: String, required: true },
+    payload: { type: Schema.Types.Mixed, required: true },
+
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    // When the next attempt is due while pending
+    nextAttemptAt: Date,
+    deliveredAt: Date,
+
+    // Most recent attempt
+    responseStatus: Number,
+    responseBody: String, // Truncated
+    error: String,
+
+    attemptLog: [
+      {
+        _id: false,
+        at: Date,
+        responseStatus: Number,
+        error: String,
+        durationMs: Number,
+      },
+    ],
+
+    // Set when a user redelivers a logged delivery
+    redeliveryOf: {
+      type: Schema.Types.ObjectId,
+      ref: "WebhookDelivery",
+    },
+  },
+  { timestamps: true, minimize: false }
+);
+
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = model("WebhookDelivery", webhookDeliverySchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+const { Schema, model } = mongoose;
+
+// A user's HTTPS endpoint for selection events
+const webhookEndpointSchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Events delivered to this endpoint
+    events: {
+      type: [String],
+      enum: ["selections.published", "selections.settled"],
+      default: ["selections.published", "selections.settled"],
+    },
+    // Shared secret used to sign payloads; only returned when created or rotated
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    lastDeliveryAt: Date,
+    lastDeliveryStatus: {
+      type: String,
+      enum: ["succeeded", "failed"],
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = model("WebhookEndpoint", webhookEndpointSchema);
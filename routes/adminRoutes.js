@@ -0,0 +1,50 @@
+const express = require("express");
+const router = express.Router();
+const { auth, admin, requirePermission } = require("../middleware/auth");
+const { getAuditLogs, getAuditLog } = require("../controllers/auditController");
+const {
+  searchUsers,
+  getUserDetails,
+  blockUser,
+  unblockUser,
+  resetTwoFactor,
+  impersonateUser,
+  grantSystemComps,
+  revokeSystemComp,
+} = require("../controllers/adminUserController");
+
+router.use(auth);
+
+router.get("/audit", admin, getAuditLogs);
+router.get("/audit/:id", admin, getAuditLog);
+
+router.get("/users", requirePermission("users:read"), searchUsers);
+router.get("/users/:id", requirePermission("users:read"), getUserDetails);
+router.post("/users/:id/block", requirePermission("users:write"), blockUser);
+router.post(
+  "/users/:id/unblock",
+  requirePermission("users:write"),
+  unblockUser
+);
+router.post(
+  "/users/:id/2fa/reset",
+  requirePermission("users:write"),
+  resetTwoFactor
+);
+router.post(
+  "/users/:id/impersonate",
+  requirePermission("users:impersonate"),
+  impersonateUser
+);
+router.post(
+  "/users/:id/comps",
+  requirePermission("users:write"),
+  grantSystemComps
+);
+router.delete(
+  "/users/:id/comps/:compId",
+  requirePermission("users:write"),
+  revokeSystemComp
+);
+
+module.exports = router;
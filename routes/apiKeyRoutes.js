@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const { auth } = require("../middleware/auth");
+const {
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey,
+} = require("../controllers/apiKeyController");
+
+// Managed with a login token only (API keys are rejected by auth here)
+router.use(auth);
+
+router.route("/").get(getApiKeys).post(createApiKey);
+router.route("/:id").put(updateApiKey).delete(revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require("express");
+const router = express.Router();
+const { auth, requirePermission } = require("../middleware/auth");
+const {
+  getCourses,
+  getCourse,
+  createCourse,
+  updateCourse,
+  deleteCourse,
+} = require("../controllers/courseController");
+
+const canWriteCourses = requirePermission("courses:write");
+
+router.route("/").get(getCourses).post(auth, canWriteCourses, createCourse);
+router
+  .route("/:id")
+  .get(getCourse)
+  .put(auth, canWriteCourses, updateCourse)
+  .delete(auth, canWriteCourses, deleteCourse);
+
+module.exports = router;
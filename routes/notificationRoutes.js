@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const { auth, admin } = require("../middleware/auth");
+const {
+  getNotificationTemplates,
+  getNotifications,
+  getNotification,
+  resendLoggedNotification,
+} = require("../controllers/notificationController");
+
+router.use(auth, admin);
+
+router.get("/templates", getNotificationTemplates);
+router.get("/", getNotifications);
+router.get("/:id", getNotification);
+router.post("/:id/resend", resendLoggedNotification);
+
+module.exports = router;
@@ -7,13 +7,29 @@ const {
   getSystemResults,
   getMonthlyBreakdown,
   getSystemFilterOptions,
+  simulateSystemStaking,
+  getPortfolioPerformance,
+  getMyPortfolioPerformance,
+  getPerformanceBreakdown,
+  runMonthlyReports,
 } = require("../controllers/performanceController");
+const { auth, admin, allowApiKey } = require("../middleware/auth");
 
 router.get("/systems", getSystems);
 router.get("/all-systems", getAllSystemsWithStats);
+router.get("/portfolio", getPortfolioPerformance);
+router.get(
+  "/portfolio/me",
+  allowApiKey("results:read"),
+  auth,
+  getMyPortfolioPerformance
+);
 router.get("/stats/:systemId", getSystemPerformance);
 router.get("/results/:systemId", getSystemResults);
 router.get("/monthly/:systemId", getMonthlyBreakdown);
 router.get("/filters/:systemId", getSystemFilterOptions);
+router.get("/simulate/:systemId", simulateSystemStaking);
+router.get("/breakdown/:systemId", getPerformanceBreakdown);
+router.post("/reports/monthly", auth, admin, runMonthlyReports);
 
 module.exports = router;
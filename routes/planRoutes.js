@@ -1,5 +1,6 @@
 const express = require("express");
 const router = express.Router();
+const { auth, requirePermission } = require("../middleware/auth");
 const {
   getPlans,
   getPlan,
@@ -8,8 +9,13 @@ const {
   deletePlan,
 } = require("../controllers/planController");
 
-router.route("/").get(getPlans).post(createPlan);
-router.route("/:id").get(getPlan).put(updatePlan).delete(deletePlan);
+const canWritePlans = requirePermission("plans:write");
 
-module.exports = router;
+router.route("/").get(getPlans).post(auth, canWritePlans, createPlan);
+router
+  .route("/:id")
+  .get(getPlan)
+  .put(auth, canWritePlans, updatePlan)
+  .delete(auth, canWritePlans, deletePlan);
 
+module.exports = router;
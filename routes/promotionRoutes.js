@@ -1,5 +1,6 @@
 const express = require("express");
 const router = express.Router();
+const { auth, requirePermission } = require("../middleware/auth");
 const {
   getPromotions,
   getPromotion,
@@ -9,13 +10,17 @@ const {
   deletePromotion,
 } = require("../controllers/promotionController");
 
-router.route("/").get(getPromotions).post(createPromotion);
+const canWritePromotions = requirePermission("promotions:write");
+
+router
+  .route("/")
+  .get(getPromotions)
+  .post(auth, canWritePromotions, createPromotion);
 router.route("/code/:code").get(getPromotionByCode);
 router
   .route("/:id")
   .get(getPromotion)
-  .put(updatePromotion)
-  .delete(deletePromotion);
+  .put(auth, canWritePromotions, updatePromotion)
+  .delete(auth, canWritePromotions, deletePromotion);
 
 module.exports = router;
-
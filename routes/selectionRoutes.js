@@ -1,7 +1,12 @@
 const express = require("express");
 const multer = require("multer");
 const router = express.Router();
-const { auth, admin } = require("../middleware/auth");
+const {
+  auth,
+  requirePermission,
+  authOrStreamToken,
+  allowApiKey,
+} = require("../middleware/auth");
 const {
   getSelections,
   getTodaySelections,
@@ -16,6 +21,12 @@ const {
   markSelectionsViewed,
   deleteSelections,
   getSelectionFilters,
+  getSettlementBatches,
+  revertSettlementBatch,
+  sendSelectionsDigest,
+  streamSelections,
+  getStreamToken,
+  getUnreadSelectionCounts,
 } = require("../controllers/selectionController");
 
 // Configure multer for CSV file uploads (store in memory)
@@ -39,17 +50,30 @@ const upload = multer({
   },
 });
 
+// Personal API keys: selections:read for everything, results:read for settled selections only
+const readSelections = allowApiKey("selections:read");
+const readSettledSelections = allowApiKey("selections:read", "results:read");
+
 // All routes require authentication
-router.route("/").get(auth, getSelections);
-router.route("/today").get(auth, getTodaySelections);
+router.route("/").get(readSettledSelections, auth, getSelections);
+router.route("/today").get(readSelections, auth, getTodaySelections);
+router.get("/stream", readSelections, authOrStreamToken, streamSelections);
+router.get("/stream-token", auth, getStreamToken);
 router.route("/mark-viewed").put(auth, markSelectionsViewed);
+router.get("/unread-counts", readSelections, auth, getUnreadSelectionCounts);
+
+// Staff routes (require authentication + permission, see config/roles.js)
+const canWriteSelections = requirePermission("selections:write");
+const canWriteResults = requirePermission("results:write");
 
-// Admin routes (require authentication + admin role)
 // Note: Specific routes (like /bulk, /upload-csv, /:id/results) must come before /:id routes
-router.route("/bulk").post(auth, admin, createBulkSelections);
+router.route("/bulk").post(auth, canWriteSelections, createBulkSelections);
+router
+  .route("/send-digest")
+  .post(auth, canWriteSelections, sendSelectionsDigest);
 router.route("/upload-csv").post(
   auth,
-  admin,
+  canWriteSelections,
   upload.single("csv"),
   (req, res, next) => {
     // Handle multer validation errors
@@ -72,7 +96,7 @@ router.route("/upload-csv").post(
 );
 router.route("/upload-results-csv").post(
   auth,
-  admin,
+  canWriteResults,
   upload.single("csv"),
   (req, res, next) => {
     // Handle multer validation errors
@@ -93,12 +117,19 @@ router.route("/upload-results-csv").post(
   },
   uploadResultsFromCSV
 );
-router.get("/filters", auth, getSelectionFilters);
-router.route("/").post(auth, admin, createSelection);
-router.route("/").delete(auth, admin, deleteSelections);
-router.route("/:id/results").put(auth, admin, updateSelectionResults);
-router.route("/:id").get(auth, getSelection);
-router.route("/:id").put(auth, admin, updateSelection);
-router.route("/:id").delete(auth, admin, deleteSelection);
+router.get("/filters", readSelections, auth, getSelectionFilters);
+router.get("/settlement-batches", auth, canWriteResults, getSettlementBatches);
+router.post(
+  "/settlement-batches/:id/revert",
+  auth,
+  canWriteResults,
+  revertSettlementBatch
+);
+router.route("/").post(auth, canWriteSelections, createSelection);
+router.route("/").delete(auth, canWriteSelections, deleteSelections);
+router.route("/:id/results").put(auth, canWriteResults, updateSelectionResults);
+router.route("/:id").get(readSettledSelections, auth, getSelection);
+router.route("/:id").put(auth, canWriteSelections, updateSelection);
+router.route("/:id").delete(auth, canWriteSelections, deleteSelection);
 
 module.exports = router;
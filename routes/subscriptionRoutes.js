@@ -1,5 +1,6 @@
 const express = require("express");
 const router = express.Router();
+const { auth, requirePermission } = require("../middleware/auth");
 const {
   getSubscriptions,
   getSubscription,
@@ -9,13 +10,21 @@ const {
   deleteSubscription,
 } = require("../controllers/subscriptionController");
 
-router.route("/").get(getSubscriptions).post(createSubscription);
-router.route("/user/:userId").get(getSubscriptionsByUser);
+// Subscriptions include customers' details, so reads are restricted too
+const canReadSubscriptions = requirePermission("subscriptions:read");
+const canWriteSubscriptions = requirePermission("subscriptions:write");
+
+router.use(auth);
+
+router
+  .route("/")
+  .get(canReadSubscriptions, getSubscriptions)
+  .post(canWriteSubscriptions, createSubscription);
+router.route("/user/:userId").get(canReadSubscriptions, getSubscriptionsByUser);
 router
   .route("/:id")
-  .get(getSubscription)
-  .put(updateSubscription)
-  .delete(deleteSubscription);
+  .get(canReadSubscriptions, getSubscription)
+  .put(canWriteSubscriptions, updateSubscription)
+  .delete(canWriteSubscriptions, deleteSubscription);
 
 module.exports = router;
-
@@ -1,5 +1,6 @@
 const express = require("express");
 const router = express.Router();
+const { auth, requirePermission } = require("../middleware/auth");
 const {
   getSystemResults,
   getSystemResult,
@@ -8,10 +9,14 @@ const {
   deleteSystemResult,
 } = require("../controllers/systemResultController");
 
+const canWriteResults = requirePermission("results:write");
+
 router.route("/").get(getSystemResults);
-router.route("/sync-all").post(syncAll);
-router.route("/sync/:systemId").post(syncSystem);
-router.route("/:id").get(getSystemResult).delete(deleteSystemResult);
+router.route("/sync-all").post(auth, canWriteResults, syncAll);
+router.route("/sync/:systemId").post(auth, canWriteResults, syncSystem);
+router
+  .route("/:id")
+  .get(getSystemResult)
+  .delete(auth, canWriteResults, deleteSystemResult);
 
 module.exports = router;
-
@@ -1,15 +1,25 @@
 const express = require("express");
 const router = express.Router();
+const { auth, requirePermission } = require("../middleware/auth");
 const {
   getSystems,
   getSystem,
   createSystem,
   updateSystem,
   deleteSystem,
+  recalculateSystem,
 } = require("../controllers/systemController");
 
-router.route("/").get(getSystems).post(createSystem);
-router.route("/:id").get(getSystem).put(updateSystem).delete(deleteSystem);
+const canWriteSystems = requirePermission("systems:write");
 
-module.exports = router;
+router.route("/").get(getSystems).post(auth, canWriteSystems, createSystem);
+router
+  .route("/:id/recalculate-pl")
+  .post(auth, requirePermission("results:write"), recalculateSystem);
+router
+  .route("/:id")
+  .get(getSystem)
+  .put(auth, canWriteSystems, updateSystem)
+  .delete(auth, canWriteSystems, deleteSystem);
 
+module.exports = router;
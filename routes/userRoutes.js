@@ -7,17 +7,31 @@ const {
   updateUser,
   deleteUser,
   loginUser,
+  verifyTwoFactorLogin,
+  refreshAccessToken,
+  logoutUser,
+  getSessions,
+  revokeUserSession,
+  revokeOtherSessions,
   registerAndSubscribe,
   getBillingDetails,
   cancelSubscription,
   resumeSubscription,
   createPortalSession,
+  openBillingPortal,
   changeSubscription,
   getUserProfile,
   updateUserProfile,
   getEmailPreferences,
   updateEmailPreferences,
+  getUnsubscribePage,
+  unsubscribeFromEmails,
   changePassword,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   existingUserSubscribe,
   forgotPassword,
   resetPassword,
@@ -25,7 +39,11 @@ const {
   subscribeToAutomationBot,
   getPromotionInfoForProduct,
 } = require("../controllers/userController");
-const { auth } = require("../middleware/auth");
+const {
+  auth,
+  requirePermission,
+  authOrTwoFactorSetup,
+} = require("../middleware/auth");
 
 // /api/users/billing
 router.get("/billing", auth, getBillingDetails);
@@ -39,6 +57,9 @@ router.post("/resume-subscription", auth, resumeSubscription);
 // /api/users/create-portal-session
 router.post("/create-portal-session", auth, createPortalSession);
 
+// /api/users/billing-portal (signed link from billing emails)
+router.get("/billing-portal", openBillingPortal);
+
 // /api/users/change-subscription
 router.post("/change-subscription", auth, changeSubscription);
 
@@ -50,24 +71,46 @@ router.put("/profile", auth, updateUserProfile);
 router.get("/email-preferences", auth, getEmailPreferences);
 router.put("/email-preferences", auth, updateEmailPreferences);
 
+// /api/users/unsubscribe (signed link from emails)
+router.get("/unsubscribe", getUnsubscribePage);
+router.post("/unsubscribe", unsubscribeFromEmails);
+
+// /api/users/sessions
+router.get("/sessions", auth, getSessions);
+router.delete("/sessions", auth, revokeOtherSessions);
+router.delete("/sessions/:sessionId", auth, revokeUserSession);
+
+// /api/users/logout
+router.post("/logout", auth, logoutUser);
+
 // /api/users/change-password
 router.put("/change-password", auth, changePassword);
 
+// /api/users/2fa
+router.get("/2fa", auth, getTwoFactorStatus);
+router.post("/2fa/setup", authOrTwoFactorSetup, startTwoFactorSetup);
+router.post("/2fa/enable", authOrTwoFactorSetup, enableTwoFactor);
+router.post("/2fa/disable", auth, disableTwoFactor);
+router.post("/2fa/recovery-codes", auth, regenerateRecoveryCodes);
+
 // /api/users/existing-user-subscribe
 router.post("/existing-user-subscribe", auth, existingUserSubscribe);
 
 // /api/users/get
-router.get("/", getUsers);
+router.get("/", auth, requirePermission("users:read"), getUsers);
 // /api/users/create
 router.post("/", createUser);
 // /api/users/get/:id
-router.get("/:id", getUser);
+router.get("/:id", auth, requirePermission("users:read"), getUser);
 // /api/users/update/:id
-router.put("/:id", updateUser);
+router.put("/:id", auth, requirePermission("users:write"), updateUser);
 // /api/users/delete/:id
-router.delete("/:id", deleteUser);
+router.delete("/:id", auth, requirePermission("users:write"), deleteUser);
 // /api/users/login
 router.post("/login", loginUser);
+router.post("/login/2fa", verifyTwoFactorLogin);
+// /api/users/refresh-token
+router.post("/refresh-token", refreshAccessToken);
 // /api/users/register-and-subscribe
 router.post("/register-and-subscribe", registerAndSubscribe);
 // /api/users/forgot-password
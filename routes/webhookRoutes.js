@@ -0,0 +1,26 @@
+const express = require("express");
+const router = express.Router();
+const { auth } = require("../middleware/auth");
+const {
+  getWebhookEndpoints,
+  createWebhookEndpoint,
+  updateWebhookEndpoint,
+  rotateWebhookSecret,
+  deleteWebhookEndpoint,
+  pingWebhookEndpoint,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  redeliverWebhook,
+} = require("../controllers/webhookController");
+
+router.use(auth);
+
+router.route("/").get(getWebhookEndpoints).post(createWebhookEndpoint);
+router.get("/deliveries/:deliveryId", getWebhookDelivery);
+router.post("/deliveries/:deliveryId/redeliver", redeliverWebhook);
+router.route("/:id").put(updateWebhookEndpoint).delete(deleteWebhookEndpoint);
+router.post("/:id/rotate-secret", rotateWebhookSecret);
+router.post("/:id/ping", pingWebhookEndpoint);
+router.get("/:id/deliveries", getWebhookDeliveries);
+
+module.exports = router;
@@ -8,6 +8,10 @@ const path = require("path");
 const connectDB = require("../config/database");
 const System = require("../models/System");
 const SystemSelection = require("../models/SystemSelection");
+const {
+  calculateWinPL,
+  getStakingSettings,
+} = require("../services/settlementService");
 
 const CSV_FILE_PATH = path.join(
   __dirname,
@@ -24,18 +28,6 @@ function parseDate(dateStr) {
   return { date, dateISO };
 }
 
-// Calculate winPL based on result and BSP
-// Formula matches Google Sheet: 1 - BSP for WON, 0.98 for LOST/PLACED
-function calculateWinPL(result, winBsp) {
-  const upperResult = result.toUpperCase();
-  if (upperResult === "WON") {
-    return 1 - winBsp; // Negative value (loss for lay bet)
-  } else if (upperResult === "LOST" || upperResult === "PLACED") {
-    return 0.98; // 1pt - 2% commission
-  }
-  return 0;
-}
-
 // Calculate placePL based on result and placeBSP
 // If horse WON or PLACED, the place lay loses (negative)
 // If horse LOST, the place lay wins (keeps stake minus commission)
@@ -90,6 +82,9 @@ async function migrateSystem1() {
       console.log("✅ Found existing System 1");
     }
 
+    // Settle using System 1's commission, stake and bet type
+    const staking = getStakingSettings(system1);
+
     // Delete existing System 1 selections to avoid duplicates
     const deletedCount = await SystemSelection.deleteMany({
       systemId: system1._id,
@@ -212,7 +207,7 @@ async function migrateSystem1() {
       }
 
       // Calculate winPL
-      const winPL = calculateWinPL(result, winBsp);
+      const winPL = calculateWinPL(result, winBsp, staking);
       runningWinPL += winPL;
 
       // Calculate placePL
@@ -295,6 +290,7 @@ async function migrateSystem1() {
         meeting: meeting || undefined,
         time: time || undefined,
         horse,
+        betSide: staking.betType,
         result: normalizeResult(result),
         winBsp,
         winPL,
@@ -303,7 +299,6 @@ async function migrateSystem1() {
         placePL: placePL !== null ? placePL : undefined,
         runningPlacePL: placePL !== null ? runningPlacePL : undefined,
         hasResult: true,
-        isNewSelection: false, // Historical data, not new
         rowOrder: i, // Maintain order from CSV
       };
 
@@ -7,6 +7,10 @@ const path = require("path");
 const connectDB = require("../config/database");
 const System = require("../models/System");
 const SystemSelection = require("../models/SystemSelection");
+const {
+  calculateWinPL,
+  getStakingSettings,
+} = require("../services/settlementService");
 
 const CSV_FILE_PATH = path.join(
   __dirname,
@@ -23,17 +27,6 @@ function parseDate(dateStr) {
   return { date, dateISO };
 }
 
-// Calculate winPL based on result and BSP
-// Formula matches Google Sheet: F3*-1+1 = 1 - BSP
-function calculateWinPL(result, bsp) {
-  if (result.toUpperCase() === "LOST") {
-    return 0.98; // 1pt - 2% commission
-  } else if (result.toUpperCase() === "WON") {
-    return 1 - bsp; // Negative value (loss for lay bet) - matches sheet formula
-  }
-  return 0;
-}
-
 // Normalize result string
 function normalizeResult(result) {
   const upper = result.toUpperCase();
@@ -75,6 +68,9 @@ async function migrateSystem2() {
       console.log("✅ Found existing System 2");
     }
 
+    // Settle using System 2's commission, stake and bet type
+    const staking = getStakingSettings(system2);
+
     // Delete existing System 2 selections to avoid duplicates
     const deletedCount = await SystemSelection.deleteMany({
       systemId: system2._id,
@@ -155,7 +151,7 @@ async function migrateSystem2() {
       }
 
       // Calculate winPL
-      const winPL = calculateWinPL(result, bsp);
+      const winPL = calculateWinPL(result, bsp, staking);
       runningWinPL += winPL;
 
       // Create selection document
@@ -166,12 +162,12 @@ async function migrateSystem2() {
         meeting: meeting || undefined,
         time: time || undefined,
         horse,
+        betSide: staking.betType,
         result: normalizeResult(result),
         winBsp: bsp,
         winPL,
         runningWinPL,
         hasResult: true,
-        isNewSelection: false, // Historical data, not new
         rowOrder: i, // Maintain order from CSV
       };
 
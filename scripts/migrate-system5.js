@@ -7,6 +7,10 @@ const path = require("path");
 const connectDB = require("../config/database");
 const System = require("../models/System");
 const SystemSelection = require("../models/SystemSelection");
+const {
+  calculateWinPL: settleWinPL,
+  getStakingSettings,
+} = require("../services/settlementService");
 
 const CSV_FILE_PATH = path.join(
   __dirname,
@@ -29,14 +33,12 @@ function normalizeResult(result) {
   return upper || result;
 }
 
-// Win lay PL
-// LOST => +0.98
-// WON  => (1 - BSP) ; if BSP missing => +1.00 (stake returned / no BSP recorded)
-function calculateWinPL(result, bsp) {
+// Win PL using the system's staking settings
+// WON with BSP missing => +stake (stake returned / no BSP recorded)
+function calculateWinPL(result, bsp, staking) {
   const upper = String(result || "").toUpperCase();
-  if (upper === "LOST") return 0.98;
-  if (upper === "WON") return bsp === null ? 1.0 : 1 - bsp;
-  return 0;
+  if (upper === "WON" && bsp === null) return staking.stake;
+  return settleWinPL(upper, bsp, staking);
 }
 
 async function migrateSystem5() {
@@ -57,6 +59,9 @@ async function migrateSystem5() {
       console.log("✅ Found existing System 5");
     }
 
+    // Settle using System 5's commission, stake and bet type
+    const staking = getStakingSettings(system5);
+
     const deleted = await SystemSelection.deleteMany({ systemId: system5._id });
     if (deleted.deletedCount > 0) {
       console.log(`🗑️  Deleted ${deleted.deletedCount} existing selections`);
@@ -115,10 +120,12 @@ async function migrateSystem5() {
 
       const normalizedResult = normalizeResult(result);
       if (normalizedResult === "WON" && bsp === null) {
-        console.log(`⚠️  Row ${i + 1}: WON but BSP missing, using winPL=+1.00`);
+        console.log(
+          `⚠️  Row ${i + 1}: WON but BSP missing, using winPL=+stake`
+        );
       }
 
-      const winPL = calculateWinPL(normalizedResult, bsp);
+      const winPL = calculateWinPL(normalizedResult, bsp, staking);
       runningWinPL += winPL;
 
       const selection = {
@@ -128,11 +135,11 @@ async function migrateSystem5() {
         meeting: meeting || undefined,
         time: time || undefined,
         horse,
+        betSide: staking.betType,
         result: normalizedResult,
         winPL,
         runningWinPL,
         hasResult: true,
-        isNewSelection: false,
         rowOrder: i,
       };
       if (bsp !== null) selection.winBsp = bsp;
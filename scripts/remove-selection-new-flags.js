@@ -0,0 +1,45 @@
+// Script to remove the old global isNew/isNewSelection flags from selections
+// "New" is now tracked per user (SelectionView)
+
+require("dotenv").config();
+const connectDB = require("../config/database");
+const SystemSelection = require("../models/SystemSelection");
+
+async function removeSelectionNewFlags() {
+  try {
+    console.log("🔄 Removing global selection new flags...");
+
+    // Connect to database
+    await connectDB();
+    console.log("✅ Connected to database");
+
+    const result = await SystemSelection.collection.updateMany(
+      {
+        $or: [
+          { isNew: { $exists: true } },
+          { isNewSelection: { $exists: true } },
+        ],
+      },
+      { $unset: { isNew: "", isNewSelection: "" } }
+    );
+    console.log(`🧹 Cleared flags on ${result.modifiedCount} selections`);
+
+    for (const index of ["systemId_1_isNew_1_dateISO_1", "isNewSelection_1"]) {
+      try {
+        await SystemSelection.collection.dropIndex(index);
+        console.log(`🗑️  Dropped index ${index}`);
+      } catch (error) {
+        console.log(`⏭️  Index ${index} not found, skipping`);
+      }
+    }
+
+    console.log("\n✅ Cleanup completed successfully!");
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Cleanup failed:", error);
+    process.exit(1);
+  }
+}
+
+// Run cleanup
+removeSelectionNewFlags();
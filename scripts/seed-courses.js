@@ -0,0 +1,146 @@
+// Seed the Course collection with canonical names and known aliases
+// Existing courses are updated (aliases are merged, never removed)
+//
+// Usage:
+//   node scripts/seed-courses.js                        Seed courses only
+//   node scripts/seed-courses.js --normalize-selections Also rewrite selection meetings to course names
+
+require("dotenv").config();
+const connectDB = require("../config/database");
+const Course = require("../models/Course");
+const SystemSelection = require("../models/SystemSelection");
+const {
+  normalizeAliases,
+  loadCourseResolver,
+} = require("../services/courseService");
+
+// Abbreviations as they appear in the selection sheets, and results CSV spellings
+const DEFAULT_COURSES = [
+  { name: "Aintree", country: "GB", aliases: ["Aint"] },
+  { name: "Ascot", country: "GB", aliases: ["Asc"] },
+  { name: "Ayr", country: "GB", aliases: [] },
+  { name: "Bangor-on-Dee", country: "GB", aliases: ["Bangor", "Bang"] },
+  { name: "Carlisle", country: "GB", aliases: ["Carl"] },
+  { name: "Catterick", country: "GB", aliases: ["Catt"] },
+  {
+    name: "Chelmsford City",
+    country: "GB",
+    aliases: ["Chelmsford", "Chelm", "Chelmsf"],
+  },
+  { name: "Cheltenham", country: "GB", aliases: ["Chelt"] },
+  { name: "Chepstow", country: "GB", aliases: ["Chep", "Chpt"] },
+  { name: "Doncaster", country: "GB", aliases: ["Donc"] },
+  { name: "Exeter", country: "GB", aliases: ["Exe"] },
+  { name: "Ffos Las", country: "GB", aliases: ["Ffos"] },
+  { name: "Fontwell", country: "GB", aliases: ["Font"] },
+  { name: "Haydock", country: "GB", aliases: ["Hayd"] },
+  { name: "Hereford", country: "GB", aliases: ["Here"] },
+  { name: "Hexham", country: "GB", aliases: ["Hex"] },
+  { name: "Huntingdon", country: "GB", aliases: ["Hunt"] },
+  { name: "Kelso", country: "GB", aliases: [] },
+  { name: "Kempton", country: "GB", aliases: ["Kemp"] },
+  { name: "Leicester", country: "GB", aliases: ["Leic"] },
+  { name: "Lingfield", country: "GB", aliases: ["Ling"] },
+  { name: "Ludlow", country: "GB", aliases: ["Ludl"] },
+  {
+    name: "Market Rasen",
+    country: "GB",
+    aliases: ["MRas", "Mrkt Rasen", "Mkt Rasen"],
+  },
+  { name: "Musselburgh", country: "GB", aliases: ["Muss"] },
+  { name: "Newbury", country: "GB", aliases: ["Newb"] },
+  { name: "Newcastle", country: "GB", aliases: ["Newc"] },
+  { name: "Newmarket", country: "GB", aliases: ["Newm"] },
+  { name: "Plumpton", country: "GB", aliases: ["Plump"] },
+  { name: "Redcar", country: "GB", aliases: ["Redc"] },
+  { name: "Sandown", country: "GB", aliases: ["Sand"] },
+  { name: "Sedgefield", country: "GB", aliases: ["Sedge"] },
+  { name: "Southwell", country: "GB", aliases: ["Sthl"] },
+  { name: "Taunton", country: "GB", aliases: ["Taun"] },
+  { name: "Uttoxeter", country: "GB", aliases: ["Uttox"] },
+  { name: "Warwick", country: "GB", aliases: ["Warw"] },
+  { name: "Wetherby", country: "GB", aliases: ["Weth"] },
+  { name: "Wincanton", country: "GB", aliases: ["Winc"] },
+  { name: "Windsor", country: "GB", aliases: ["Wind"] },
+  { name: "Wolverhampton", country: "GB", aliases: ["Wolv", "Wolves"] },
+  { name: "Clonmel", country: "IRE", aliases: ["Clon"] },
+  { name: "Cork", country: "IRE", aliases: [] },
+  { name: "Curragh", country: "IRE", aliases: ["Curr", "The Curragh"] },
+  { name: "Down Royal", country: "IRE", aliases: ["DRoy"] },
+  { name: "Dundalk", country: "IRE", aliases: ["Dund"] },
+  { name: "Fairyhouse", country: "IRE", aliases: ["Fair", "Fairy"] },
+  { name: "Gowran Park", country: "IRE", aliases: ["Gowr", "Gowran"] },
+  { name: "Limerick", country: "IRE", aliases: ["Lime"] },
+  { name: "Naas", country: "IRE", aliases: [] },
+  { name: "Navan", country: "IRE", aliases: ["Nava"] },
+  { name: "Punchestown", country: "IRE", aliases: ["Punch", "Punc"] },
+  { name: "Thurles", country: "IRE", aliases: ["Thur"] },
+  { name: "Tramore", country: "IRE", aliases: ["Tram"] },
+];
+
+async function seedCourses() {
+  try {
+    console.log("🔄 Seeding courses...");
+    await connectDB();
+    console.log("✅ Connected to database");
+
+    let created = 0;
+    let updated = 0;
+
+    for (const { name, country, aliases } of DEFAULT_COURSES) {
+      const existing = await Course.findOne({ name, country });
+      if (existing) {
+        existing.aliases = normalizeAliases(
+          [...existing.aliases, ...aliases],
+          name
+        );
+        await existing.save();
+        updated++;
+      } else {
+        await Course.create({
+          name,
+          country,
+          aliases: normalizeAliases(aliases, name),
+        });
+        created++;
+      }
+    }
+
+    console.log(`✅ Courses created: ${created}, updated: ${updated}`);
+
+    if (process.argv.includes("--normalize-selections")) {
+      console.log("🔄 Normalising selection meetings...");
+      const courses = await loadCourseResolver();
+      const meetings = await SystemSelection.distinct("meeting");
+
+      for (const meeting of meetings) {
+        if (!meeting) continue;
+        const course = courses.resolve(meeting);
+        if (!course || course.name === meeting) continue;
+
+        const result = await SystemSelection.updateMany(
+          { meeting },
+          { $set: { meeting: course.name } }
+        );
+        console.log(
+          `   ${meeting} → ${course.name} (${result.modifiedCount} selections)`
+        );
+      }
+
+      const unknown = courses.unknown();
+      if (unknown.length > 0) {
+        console.log("⚠️  Unknown meetings (add them as aliases):");
+        unknown.forEach(({ meeting }) => console.log(`   ${meeting}`));
+      }
+    }
+
+    console.log("\n✅ Course seed completed successfully!");
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Course seed failed:", error);
+    process.exit(1);
+  }
+}
+
+// Run seed
+seedCourses();
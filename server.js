@@ -15,6 +15,11 @@ const systemResultRoutes = require("./routes/systemResultRoutes");
 const performanceRoutes = require("./routes/performanceRoutes");
 const selectionRoutes = require("./routes/selectionRoutes");
 const downloadRoutes = require("./routes/downloadRoutes");
+const courseRoutes = require("./routes/courseRoutes");
+const notificationRoutes = require("./routes/notificationRoutes");
+const webhookRoutes = require("./routes/webhookRoutes");
+const apiKeyRoutes = require("./routes/apiKeyRoutes");
+const adminRoutes = require("./routes/adminRoutes");
 
 const stripeWebhookController = require("./controllers/stripeWebhookController");
 
@@ -22,6 +27,13 @@ const System = require("./models/System");
 const { syncAllSystems, syncSystemResults } = require("./services/syncService");
 const SystemResult = require("./models/SystemResult");
 const SystemSelection = require("./models/SystemSelection");
+const {
+  sendDailySelectionsDigest,
+} = require("./services/selectionDigestService");
+const { sendMonthlyReports } = require("./services/monthlyReportService");
+const { sendBillingReminders } = require("./services/billingReminderService");
+const { retryDueDeliveries } = require("./services/webhookService");
+const { expireSystemComps } = require("./services/systemAccessService");
 
 const app = express();
 
@@ -56,7 +68,7 @@ app.use(
     },
     optionsSuccessStatus: 200,
     credentials: true,
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
     methods: ["GET", "PUT", "POST", "DELETE", "OPTIONS"],
   })
 );
@@ -82,6 +94,11 @@ app.use("/api/system-results", systemResultRoutes);
 app.use("/api/performance", performanceRoutes);
 app.use("/api/selections", selectionRoutes);
 app.use("/api/downloads", downloadRoutes);
+app.use("/api/courses", courseRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/admin", adminRoutes);
 
 // Basic route
 app.get("/", (req, res) => {
@@ -160,6 +177,112 @@ const startServer = async () => {
     //   }
     // }
 
+    // Daily selections email at the cut-off time (anything not already sent after uploads)
+    // SELECTIONS_DIGEST_CUTOFF is "HH:MM" in SELECTIONS_DIGEST_TIMEZONE; set to "off" to disable
+    const digestCutoff = process.env.SELECTIONS_DIGEST_CUTOFF || "10:30";
+    const cutoffMatch = digestCutoff.match(/^(\d{1,2}):(\d{2})$/);
+    if (cutoffMatch) {
+      const [, hour, minute] = cutoffMatch;
+      cron.schedule(
+        `${parseInt(minute, 10)} ${parseInt(hour, 10)} * * *`,
+        async () => {
+          console.log("🔄 Sending daily selections digest...");
+          try {
+            await sendDailySelectionsDigest();
+          } catch (error) {
+            console.error("❌ Error sending selections digest:", error.message);
+          }
+        },
+        {
+          timezone: process.env.SELECTIONS_DIGEST_TIMEZONE || "Europe/London",
+        }
+      );
+      console.log(
+        `✅ Cron job scheduled: selections digest at ${digestCutoff}`
+      );
+    }
+
+    // Monthly performance reports for last month, on the 1st at MONTHLY_REPORT_TIME
+    // ("HH:MM" in MONTHLY_REPORT_TIMEZONE); set to "off" to disable
+    const reportTime = process.env.MONTHLY_REPORT_TIME || "08:00";
+    const reportTimeMatch = reportTime.match(/^(\d{1,2}):(\d{2})$/);
+    if (reportTimeMatch) {
+      const [, hour, minute] = reportTimeMatch;
+      cron.schedule(
+        `${parseInt(minute, 10)} ${parseInt(hour, 10)} 1 * *`,
+        async () => {
+          console.log("🔄 Sending monthly performance reports...");
+          try {
+            await sendMonthlyReports();
+          } catch (error) {
+            console.error("❌ Error sending monthly reports:", error.message);
+          }
+        },
+        {
+          timezone: process.env.MONTHLY_REPORT_TIMEZONE || "Europe/London",
+        }
+      );
+      console.log(
+        `✅ Cron job scheduled: monthly performance reports on the 1st at ${reportTime}`
+      );
+    }
+
+    // Renewal reminders, checked daily at BILLING_REMINDER_TIME
+    // ("HH:MM" in BILLING_REMINDER_TIMEZONE); set to "off" to disable
+    const reminderTime = process.env.BILLING_REMINDER_TIME || "09:00";
+    const reminderTimeMatch = reminderTime.match(/^(\d{1,2}):(\d{2})$/);
+    if (reminderTimeMatch) {
+      const [, hour, minute] = reminderTimeMatch;
+      cron.schedule(
+        `${parseInt(minute, 10)} ${parseInt(hour, 10)} * * *`,
+        async () => {
+          console.log("🔄 Sending billing reminders...");
+          try {
+            await sendBillingReminders();
+          } catch (error) {
+            console.error("❌ Error sending billing reminders:", error.message);
+          }
+        },
+        {
+          timezone: process.env.BILLING_REMINDER_TIMEZONE || "Europe/London",
+        }
+      );
+      console.log(
+        `✅ Cron job scheduled: billing reminders daily at ${reminderTime}`
+      );
+    }
+
+    // Retry failed webhook deliveries once their backoff has elapsed
+    // Set WEBHOOK_RETRIES to "off" to disable
+    if (process.env.WEBHOOK_RETRIES !== "off") {
+      cron.schedule("* * * * *", async () => {
+        try {
+          const { retried, succeeded } = await retryDueDeliveries();
+          if (retried > 0) {
+            console.log(
+              `🔄 Retried ${retried} webhook deliveries (${succeeded} succeeded)`
+            );
+          }
+        } catch (error) {
+          console.error("❌ Error retrying webhooks:", error.message);
+        }
+      });
+      console.log("✅ Cron job scheduled: webhook retries every minute");
+    }
+
+    // Remove access from admin comps once they expire
+    cron.schedule("5 * * * *", async () => {
+      try {
+        const updated = await expireSystemComps();
+        if (updated > 0) {
+          console.log(`🔄 Expired system comps for ${updated} users`);
+        }
+      } catch (error) {
+        console.error("❌ Error expiring system comps:", error.message);
+      }
+    });
+    console.log("✅ Cron job scheduled: system comp expiry hourly");
+
     const PORT = process.env.PORT || 5001;
 
     app.listen(PORT, () => {
@@ -0,0 +1,123 @@
+const crypto = require("crypto");
+const ApiKey = require("../models/ApiKey");
+
+// Personal API keys: "fts_" followed by 40 random hex characters
+// Keys are looked up by SHA-256 hash; the plain key is only shown when created
+
+const API_KEY_PREFIX = "fts_";
+const API_KEY_SCOPES = ["selections:read", "results:read"];
+const MAX_API_KEYS_PER_USER = 10;
+// Highest per-minute rate limit a user can give a key
+const MAX_RATE_LIMIT = 600;
+// lastUsedAt is only written if older than this, to avoid a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+const RATE_WINDOW_MS = 60 * 1000;
+
+// Requests per key in the current window: keyId -> { windowStart, count }
+const rateWindows = new Map();
+
+/**
+ * Whether a bearer token is an API key rather than a JWT
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isApiKey(token) {
+  return typeof token === "string" && token.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * @param {string} key - Plain API key
+ * @returns {string} Hex SHA-256
+ */
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Generate a new API key
+ * @returns {{key: string, prefix: string, keyHash: string}}
+ */
+function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(20).toString("hex")}`;
+  return {
+    key,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    keyHash: hashApiKey(key),
+  };
+}
+
+/**
+ * Find the active (not revoked) key matching a plain API key
+ * @param {string} key
+ * @returns {Promise<Object|null>} ApiKey document
+ */
+async function findActiveApiKey(key) {
+  return ApiKey.findOne({ keyHash: hashApiKey(key), revokedAt: null });
+}
+
+/**
+ * Count a request against a key's per-minute limit
+ * @param {Object} apiKey - ApiKey document
+ * @returns {{allowed: boolean, limit: number, remaining: number, resetAt: number}}
+ */
+function consumeRateLimit(apiKey) {
+  const id = apiKey._id.toString();
+  const now = Date.now();
+
+  let window = rateWindows.get(id);
+  if (!window || now - window.windowStart >= RATE_WINDOW_MS) {
+    window = { windowStart: now, count: 0 };
+    rateWindows.set(id, window);
+  }
+  window.count++;
+
+  // Drop expired windows now and then so the map doesn't grow forever
+  if (rateWindows.size > 1000) {
+    for (const [keyId, w] of rateWindows) {
+      if (now - w.windowStart >= RATE_WINDOW_MS) rateWindows.delete(keyId);
+    }
+  }
+
+  const limit = apiKey.rateLimit;
+  return {
+    allowed: window.count <= limit,
+    limit,
+    remaining: Math.max(0, limit - window.count),
+    resetAt: window.windowStart + RATE_WINDOW_MS,
+  };
+}
+
+/**
+ * Record that a key was used (at most once per minute)
+ * @param {Object} apiKey - ApiKey document
+ * @param {string} ip
+ */
+function touchApiKey(apiKey, ip) {
+  const now = new Date();
+  if (
+    apiKey.lastUsedAt &&
+    now - apiKey.lastUsedAt < LAST_USED_RESOLUTION_MS &&
+    apiKey.lastUsedIp === ip
+  ) {
+    return;
+  }
+
+  ApiKey.updateOne(
+    { _id: apiKey._id },
+    { $set: { lastUsedAt: now, lastUsedIp: ip } }
+  ).catch((error) =>
+    console.error("Error updating API key last used:", error.message)
+  );
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  MAX_API_KEYS_PER_USER,
+  MAX_RATE_LIMIT,
+  isApiKey,
+  hashApiKey,
+  generateApiKey,
+  findActiveApiKey,
+  consumeRateLimit,
+  touchApiKey,
+};
@@ -0,0 +1,93 @@
+const AuditLog = require("../models/AuditLog");
+
+// Fields never copied into the audit trail
+const IGNORED_FIELDS = [
+  "_id",
+  "__v",
+  "createdAt",
+  "updatedAt",
+  "password",
+  "resetToken",
+  "resetTokenExpiry",
+];
+
+// Populated references are compared (and stored) by ID
+function unpopulate(value) {
+  if (Array.isArray(value)) return value.map(unpopulate);
+  if (value && typeof value === "object" && value._id !== undefined) {
+    return value._id;
+  }
+  return value;
+}
+
+function toPlain(doc) {
+  if (!doc) return {};
+  const plain = JSON.parse(JSON.stringify(doc.toObject ? doc.toObject() : doc));
+  for (const field of Object.keys(plain)) {
+    plain[field] = unpopulate(plain[field]);
+  }
+  return plain;
+}
+
+/**
+ * Top-level fields that differ between two versions of a document
+ * @param {Object|null} before - Document before the change (null when created)
+ * @param {Object|null} after - Document after the change (null when deleted)
+ * @returns {Object} { field: { before, after } }
+ */
+function diffDocuments(before, after) {
+  const a = toPlain(before);
+  const b = toPlain(after);
+  const changes = {};
+
+  for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    if (JSON.stringify(a[field]) === JSON.stringify(b[field])) continue;
+    changes[field] = { before: a[field], after: b[field] };
+  }
+  return changes;
+}
+
+/**
+ * Append an entry to the audit log
+ * Never throws: a failed write is logged so it can't break the action itself
+ * @param {Object} req - Request of the staff member (req.user)
+ * @param {Object} entry
+ * @param {string} entry.action - e.g. "selection.update"
+ * @param {string} [entry.targetModel]
+ * @param {string} [entry.targetId]
+ * @param {Object} [entry.before] - Document before the change
+ * @param {Object} [entry.after] - Document after the change
+ * @param {Object} [entry.metadata]
+ * @returns {Promise<Object|null>} Entry, or null if it couldn't be written
+ */
+async function recordAudit(req, entry) {
+  const { action, targetModel, targetId, before, after, metadata } = entry;
+
+  try {
+    return await AuditLog.create({
+      actor: req.user
+        ? { userId: req.user._id, email: req.user.email, role: req.user.role }
+        : {},
+      action,
+      targetModel,
+      targetId,
+      changes: before || after ? diffDocuments(before, after) : {},
+      metadata: metadata || {},
+      request: {
+        method: req.method,
+        path: req.originalUrl,
+        ip: req.ip,
+        userAgent: req.get ? req.get("User-Agent") : undefined,
+      },
+    });
+  } catch (error) {
+    console.error(`❌ Error writing audit log (${action}):`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  diffDocuments,
+  recordAudit,
+};
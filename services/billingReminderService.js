@@ -0,0 +1,208 @@
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const StripeSubscription = require("../models/StripeSubscription");
+const BillingReminderDelivery = require("../models/BillingReminderDelivery");
+const System = require("../models/System");
+const User = require("../models/User");
+const { notify } = require("./notificationService");
+const { getPlanDescription, getPortalLink } = require("./billingService");
+
+// Prevent overlapping reminder runs in this process
+let isReminderRunning = false;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days before renewal to send reminders, per billing interval
+ * BILLING_REMINDER_OFFSETS is a list of interval:days, e.g. "year:30,year:7,month:3"
+ * @returns {Object} interval -> offsets in days, largest first
+ */
+function getReminderOffsets() {
+  const configured = process.env.BILLING_REMINDER_OFFSETS || "year:7";
+  const offsets = {};
+
+  for (const entry of configured.split(",")) {
+    const [interval, days] = entry.split(":").map((part) => part.trim());
+    const offsetDays = parseInt(days, 10);
+    if (!interval || !Number.isInteger(offsetDays) || offsetDays <= 0) {
+      continue;
+    }
+    if (!offsets[interval]) offsets[interval] = [];
+    if (!offsets[interval].includes(offsetDays)) {
+      offsets[interval].push(offsetDays);
+    }
+  }
+
+  for (const interval of Object.keys(offsets)) {
+    offsets[interval].sort((a, b) => b - a);
+  }
+  return offsets;
+}
+
+/**
+ * The reminder due for a renewal: the smallest offset not yet passed
+ * A missed earlier reminder is skipped rather than sent late alongside the next one
+ * @param {number[]} offsets - Offsets in days
+ * @param {number} daysUntilRenewal
+ * @returns {number|null}
+ */
+function getDueOffset(offsets, daysUntilRenewal) {
+  const due = offsets.filter((offset) => daysUntilRenewal <= offset);
+  return due.length > 0 ? Math.min(...due) : null;
+}
+
+/**
+ * Send renewal reminders for subscriptions renewing within a configured offset
+ * Each subscription gets each offset's reminder once per billing period
+ * @returns {Promise<Object>} Counts of reminders sent
+ */
+async function sendBillingReminders() {
+  if (isReminderRunning) {
+    console.log("⏭️  Billing reminders already being sent, skipping");
+    return { skipped: true };
+  }
+
+  isReminderRunning = true;
+  const summary = {
+    subscriptionsChecked: 0,
+    remindersSent: 0,
+    alreadySent: 0,
+    failures: [],
+  };
+
+  try {
+    const offsets = getReminderOffsets();
+    const maxOffset = Math.max(0, ...Object.values(offsets).flat());
+    if (maxOffset === 0) return summary;
+
+    const now = new Date();
+    const subscriptions = await StripeSubscription.find({
+      status: { $in: ["active", "trialing"] },
+      cancelAtPeriodEnd: { $ne: true },
+      currentPeriodEnd: {
+        $gt: now,
+        $lte: new Date(now.getTime() + maxOffset * DAY_MS),
+      },
+    }).lean();
+    summary.subscriptionsChecked = subscriptions.length;
+    if (subscriptions.length === 0) return summary;
+
+    const users = await User.find({
+      _id: { $in: subscriptions.map((s) => s.userId) },
+      "emailPreferences.billingReminders": { $ne: false },
+      isBlocked: { $ne: true },
+    })
+      .select("email firstName emailPreferences")
+      .lean();
+    const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+    // Get systems for plan description
+    const systems = await System.find({ isActive: true });
+
+    for (const subscription of subscriptions) {
+      const user = usersById.get(subscription.userId.toString());
+      if (!user) continue;
+
+      try {
+        // Price and interval come from Stripe, which is the source of truth for the charge
+        const stripeSubscription = await stripe.subscriptions.retrieve(
+          subscription.stripeSubscriptionId
+        );
+        if (stripeSubscription.cancel_at_period_end) continue;
+
+        const item = stripeSubscription.items.data[0];
+        const price = await stripe.prices.retrieve(item.price.id);
+        const interval = price.recurring?.interval || "month";
+        const amount = ((price.unit_amount || 0) * (item.quantity || 1)) / 100;
+
+        const daysUntilRenewal = Math.ceil(
+          (subscription.currentPeriodEnd.getTime() - now.getTime()) / DAY_MS
+        );
+        const offsetDays = getDueOffset(
+          offsets[interval] || [],
+          daysUntilRenewal
+        );
+        if (!offsetDays) continue;
+
+        // Claim this reminder (unique per subscription, period and offset)
+        try {
+          await BillingReminderDelivery.create({
+            userId: user._id,
+            stripeSubscriptionId: subscription.stripeSubscriptionId,
+            periodEnd: subscription.currentPeriodEnd,
+            offsetDays,
+            interval,
+            amount,
+            currency: price.currency,
+          });
+        } catch (error) {
+          if (error.code === 11000) {
+            summary.alreadySent += 1;
+            continue;
+          }
+          throw error;
+        }
+
+        try {
+          const product = await stripe.products.retrieve(price.product);
+          const log = await notify({
+            template: "billingReminder",
+            user,
+            variables: {
+              firstName: user.firstName,
+              planName: product.name || subscription.plan,
+              description: getPlanDescription(subscription, systems),
+              amount,
+              currency: price.currency,
+              interval,
+              renewalDate: subscription.currentPeriodEnd,
+              portalLink: getPortalLink(user._id),
+            },
+          });
+          if (log.status !== "sent") {
+            throw new Error(log.error || "Reminder was not sent");
+          }
+
+          await BillingReminderDelivery.updateOne(
+            {
+              stripeSubscriptionId: subscription.stripeSubscriptionId,
+              periodEnd: subscription.currentPeriodEnd,
+              offsetDays,
+            },
+            { $set: { messageId: log.providerMessageId, sentAt: new Date() } }
+          );
+          summary.remindersSent += 1;
+        } catch (error) {
+          // Release the claim so the reminder is retried on the next run
+          await BillingReminderDelivery.deleteOne({
+            stripeSubscriptionId: subscription.stripeSubscriptionId,
+            periodEnd: subscription.currentPeriodEnd,
+            offsetDays,
+          });
+          throw error;
+        }
+      } catch (error) {
+        console.error(
+          `Failed to send billing reminder for ${subscription.stripeSubscriptionId}:`,
+          error.message
+        );
+        summary.failures.push({
+          stripeSubscriptionId: subscription.stripeSubscriptionId,
+          error: error.message,
+        });
+      }
+    }
+
+    console.log(
+      `📧 Billing reminders: ${summary.remindersSent} sent, ${summary.alreadySent} already sent, ${summary.failures.length} failed`
+    );
+    return summary;
+  } finally {
+    isReminderRunning = false;
+  }
+}
+
+module.exports = {
+  getReminderOffsets,
+  getDueOffset,
+  sendBillingReminders,
+};
@@ -0,0 +1,85 @@
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const StripeCustomer = require("../models/StripeCustomer");
+const {
+  createSignedToken,
+  verifySignedToken,
+} = require("./signedTokenService");
+
+// Billing portal links in emails stay valid for this long
+const PORTAL_LINK_TTL_SECONDS = 14 * 24 * 60 * 60;
+
+/**
+ * Describe which systems a subscription gives access to
+ * @param {Object} subscription - StripeSubscription (metadata.systemSlugs)
+ * @param {Array} systems - Active systems
+ * @returns {string}
+ */
+function getPlanDescription(subscription, systems) {
+  // Check metadata for system slugs
+  const systemSlugs = subscription.metadata?.systemSlugs
+    ? JSON.parse(subscription.metadata.systemSlugs)
+    : [];
+
+  if (systemSlugs.length === systems.length) {
+    return `Access to all ${systems.length} trading systems`;
+  } else if (systemSlugs.length === 1) {
+    const system = systems.find((s) => s.slug === systemSlugs[0]);
+    return `Access to ${system?.name || "1 system"}`;
+  } else {
+    return `Access to ${systemSlugs.length} systems`;
+  }
+}
+
+/**
+ * Create a Stripe Customer Portal session for a user
+ * @param {string} userId
+ * @returns {Promise<string|null>} Portal URL, or null if the user has no Stripe customer
+ */
+async function createPortalSessionUrl(userId) {
+  const stripeCustomer = await StripeCustomer.findOne({ userId });
+  if (!stripeCustomer) return null;
+
+  const portalSession = await stripe.billingPortal.sessions.create({
+    customer: stripeCustomer.stripeCustomerId,
+    return_url: `${process.env.FRONTEND_URL}/dashboard/billings`,
+  });
+  return portalSession.url;
+}
+
+/**
+ * Link for emails that opens the user's billing portal without logging in
+ * Portal sessions expire within minutes, so the link carries a signed token
+ * and the session is created when it's followed (see API_URL)
+ * @param {string} userId
+ * @returns {string}
+ */
+function getPortalLink(userId) {
+  // Without a public API URL, fall back to the billing page (requires login)
+  if (!process.env.API_URL) {
+    return `${process.env.FRONTEND_URL}/dashboard/billings`;
+  }
+
+  const token = createSignedToken(
+    "billing-portal",
+    { userId: userId.toString() },
+    PORTAL_LINK_TTL_SECONDS
+  );
+  return `${process.env.API_URL}/api/users/billing-portal?token=${token}`;
+}
+
+/**
+ * Resolve the user from a billing portal link token
+ * @param {string} token
+ * @returns {string|null} User ID, or null if the token is invalid or expired
+ */
+function verifyPortalLinkToken(token) {
+  const data = verifySignedToken("billing-portal", token);
+  return data ? data.userId : null;
+}
+
+module.exports = {
+  getPlanDescription,
+  createPortalSessionUrl,
+  getPortalLink,
+  verifyPortalLinkToken,
+};
@@ -0,0 +1,99 @@
+const Course = require("../models/Course");
+
+/**
+ * Lookup key for a course name or alias
+ * Case, accents, punctuation and surface markers like "(AW)" are ignored
+ * @param {string} value - Course name as written in a CSV
+ * @returns {string}
+ */
+function normalizeCourseKey(value) {
+  return String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, "")
+    .replace(/\b(racecourse|park)\b/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Normalise an alias list: lookup keys, de-duplicated, without the canonical name
+ * @param {string[]} aliases
+ * @param {string} name - Canonical course name
+ * @returns {string[]}
+ */
+function normalizeAliases(aliases, name) {
+  const nameKey = normalizeCourseKey(name);
+  const keys = (Array.isArray(aliases) ? aliases : [aliases])
+    .map((alias) => normalizeCourseKey(alias))
+    .filter((key) => key && key !== nameKey);
+  return [...new Set(keys)];
+}
+
+/**
+ * Load every active course into an in-memory resolver
+ * Used during ingestion so each row doesn't need its own query
+ * @returns {Promise<{resolve: Function, unknown: Function}>}
+ */
+async function loadCourseResolver() {
+  const courses = await Course.find({ isActive: true })
+    .select("name country aliases")
+    .lean();
+
+  const byKey = new Map();
+  for (const course of courses) {
+    byKey.set(normalizeCourseKey(course.name), course);
+    for (const alias of course.aliases || []) {
+      byKey.set(normalizeCourseKey(alias), course);
+    }
+  }
+
+  // Raw names that didn't resolve, with how often they were seen
+  const unknownCounts = new Map();
+
+  return {
+    /**
+     * Resolve a meeting name or alias to its course
+     * @param {string} meeting
+     * @returns {Object|null} Course ({ name, country, aliases }) or null
+     */
+    resolve(meeting) {
+      const key = normalizeCourseKey(meeting);
+      if (!key) return null;
+
+      const course = byKey.get(key) || null;
+      if (!course) {
+        const raw = String(meeting).trim();
+        unknownCounts.set(raw, (unknownCounts.get(raw) || 0) + 1);
+      }
+      return course;
+    },
+
+    /**
+     * Canonical course name, or the original value when it isn't known
+     * @param {string} meeting
+     * @returns {string}
+     */
+    canonicalName(meeting) {
+      const course = this.resolve(meeting);
+      return course ? course.name : meeting;
+    },
+
+    /**
+     * Meetings seen by resolve() that aren't a known course or alias
+     * @returns {Array<{meeting: string, count: number}>}
+     */
+    unknown() {
+      return Array.from(unknownCounts.entries())
+        .map(([meeting, count]) => ({ meeting, count }))
+        .sort((a, b) => b.count - a.count);
+    },
+  };
+}
+
+module.exports = {
+  normalizeCourseKey,
+  normalizeAliases,
+  loadCourseResolver,
+};
@@ -0,0 +1,124 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Resend } = require("resend");
+
+const DEFAULT_FROM =
+  "Fortis Sports Trading <noreply@mail.fortissportstrading.com>";
+
+let resendClient = null;
+
+function getResendClient() {
+  if (!resendClient) {
+    resendClient = new Resend(process.env.RESEND_API_KEY);
+  }
+  return resendClient;
+}
+
+/**
+ * Transport used to deliver emails, from EMAIL_TRANSPORT
+ * - "resend":  send through Resend (default in production)
+ * - "console": log the email instead of sending it (default elsewhere)
+ * - "file":    write each email to EMAIL_FILE_DIR as .html/.json for inspection
+ * @returns {string}
+ */
+function getTransportName() {
+  const configured = (process.env.EMAIL_TRANSPORT || "").toLowerCase();
+  if (["resend", "console", "file"].includes(configured)) return configured;
+  return process.env.NODE_ENV === "production" ? "resend" : "console";
+}
+
+const transports = {
+  async resend(message) {
+    const { data, error } = await getResendClient().emails.send(message);
+    if (error) {
+      throw new Error(error.message || "Resend failed to send email");
+    }
+    return { id: data && data.id };
+  },
+
+  async console(message) {
+    const id = `console-${Date.now()}-${Math.random()
+      .toString(36)
+      .slice(2, 8)}`;
+    console.log(
+      `📧 [email:${id}] To: ${[].concat(message.to).join(", ")} | Subject: ${
+        message.subject
+      }`
+    );
+    if (process.env.EMAIL_CONSOLE_BODY === "true") {
+      console.log(message.text || message.html);
+    }
+    return { id };
+  },
+
+  async file(message) {
+    const dir =
+      process.env.EMAIL_FILE_DIR || path.join(os.tmpdir(), "fts-emails");
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const { html, attachments, ...meta } = message;
+    await fs.promises.writeFile(path.join(dir, `${id}.html`), html || "");
+    await fs.promises.writeFile(
+      path.join(dir, `${id}.json`),
+      JSON.stringify(
+        {
+          ...meta,
+          attachments: (attachments || []).map((a) => a.filename),
+        },
+        null,
+        2
+      )
+    );
+    for (const attachment of attachments || []) {
+      await fs.promises.writeFile(
+        path.join(dir, `${id}-${attachment.filename}`),
+        attachment.content
+      );
+    }
+
+    console.log(`📧 [email:${id}] written to ${dir}`);
+    return { id };
+  },
+};
+
+/**
+ * Escape a value for use in email HTML
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message
+ * @param {string|string[]} message.to - Recipient(s)
+ * @param {string} message.subject
+ * @param {string} message.html
+ * @param {string} [message.text] - Plain text alternative
+ * @param {string} [message.from] - Defaults to EMAIL_FROM
+ * @param {Object} [message.headers] - Extra headers
+ * @param {Array<{filename: string, content: Buffer}>} [message.attachments]
+ * @returns {Promise<{id: string, transport: string}>} Provider message ID
+ */
+async function sendEmail(message) {
+  const transport = getTransportName();
+  const result = await transports[transport]({
+    from: process.env.EMAIL_FROM || DEFAULT_FROM,
+    ...message,
+  });
+  return { id: result.id, transport };
+}
+
+module.exports = {
+  sendEmail,
+  getTransportName,
+  escapeHtml,
+};
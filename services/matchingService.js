@@ -0,0 +1,231 @@
+// Normalisation and fuzzy matching of selections against results CSV rows
+
+// Confidence at or above which a fuzzy match is applied automatically...
+const AUTO_MATCH_CONFIDENCE = 0.9;
+// ...provided the horse names alone are at least this similar
+const AUTO_MATCH_HORSE_SIMILARITY = 0.9;
+// ...and it beats the next best candidate by at least this much
+const AUTO_MATCH_MARGIN = 0.05;
+// Confidence at or above which a fuzzy match is returned as a suggestion
+const SUGGESTION_CONFIDENCE = 0.6;
+// Largest time difference (minutes) considered for a fuzzy match
+const MAX_TIME_DIFF_MINUTES = 10;
+
+/**
+ * Strip accents and lowercase
+ * @param {string} value
+ * @returns {string}
+ */
+function foldText(value) {
+  return String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Normalise a horse name for matching
+ * "Paul O´Brien (IRE)" -> "paul obrien"
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeHorseName(name) {
+  return foldText(name)
+    .replace(/\s*\([a-z]{2,3}\)\s*$/, "") // Country suffix e.g. (IRE), (FR)
+    .replace(/['\u2018\u2019\u00b4`]/g, "") // Apostrophes
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Normalise a meeting name for comparison
+ * Callers should resolve aliases to canonical course names first (see courseService)
+ * "Kempton (AW)" -> "kempton"
+ * @param {string} meeting
+ * @returns {string}
+ */
+function normalizeMeeting(meeting) {
+  return foldText(meeting)
+    .replace(/\([^)]*\)/g, "") // e.g. (AW)
+    .replace(/\b(racecourse|park)\b/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ * @param {string} time
+ * @returns {number|null}
+ */
+function timeToMinutes(time) {
+  const match = String(time || "").match(/^(\d{1,2}):(\d{2})/);
+  if (!match) return null;
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity between two strings from 0 (different) to 1 (identical)
+ */
+function similarity(a, b) {
+  if (!a && !b) return 1;
+  const maxLength = Math.max(a.length, b.length);
+  return 1 - editDistance(a, b) / maxLength;
+}
+
+/**
+ * Whether every character of abbr appears in order in full, starting with the same letter
+ * "sthl" is an abbreviation of "southwell"
+ */
+function isAbbreviationOf(abbr, full) {
+  if (!abbr || !full || abbr[0] !== full[0]) return false;
+  let i = 0;
+  for (const char of full) {
+    if (char === abbr[i]) i++;
+    if (i === abbr.length) return true;
+  }
+  return false;
+}
+
+/**
+ * Score how well two meeting names agree (1 = same track)
+ * Unknown meetings score neutrally so they neither help nor rule out a match
+ */
+function meetingScore(selectionMeeting, csvMeeting) {
+  const a = normalizeMeeting(selectionMeeting);
+  const b = normalizeMeeting(csvMeeting);
+  if (!a || !b) return 0.8;
+  if (a === b) return 1;
+
+  const aKey = a.replace(/[^a-z]/g, "");
+  const bKey = b.replace(/[^a-z]/g, "");
+  if (isAbbreviationOf(aKey, bKey) || isAbbreviationOf(bKey, aKey)) {
+    return 0.9;
+  }
+  return similarity(aKey, bKey);
+}
+
+/**
+ * Score how well two race times agree (1 = same minute, 0 = too far apart)
+ */
+function timeScore(selectionTime, csvTime) {
+  const a = timeToMinutes(selectionTime);
+  const b = timeToMinutes(csvTime);
+  if (a === null || b === null) return 0;
+
+  const diff = Math.abs(a - b);
+  if (diff > MAX_TIME_DIFF_MINUTES) return 0;
+  return 1 - diff / MAX_TIME_DIFF_MINUTES;
+}
+
+/**
+ * Confidence that a selection and a results row are the same runner
+ * Both must be on the same date; horse name carries most of the weight
+ * @param {Object} selection - { dateISO, time, horse, meeting }
+ * @param {Object} csvRow - { dateISO, time, horse, track }
+ * @returns {{confidence: number, horse: number, time: number, meeting: number}}
+ */
+function scoreMatch(selection, csvRow) {
+  if (selection.dateISO !== csvRow.dateISO) {
+    return { confidence: 0, horse: 0, time: 0, meeting: 0 };
+  }
+
+  const horse = similarity(
+    normalizeHorseName(selection.horse),
+    normalizeHorseName(csvRow.horse)
+  );
+  const time = timeScore(selection.time, csvRow.time);
+  const meeting = meetingScore(selection.meeting, csvRow.track);
+
+  // A time outside the window rules the match out regardless of the name
+  const confidence =
+    time === 0 ? 0 : horse * 0.6 + time * 0.25 + meeting * 0.15;
+
+  return {
+    confidence: Math.round(confidence * 1000) / 1000,
+    horse: Math.round(horse * 1000) / 1000,
+    time: Math.round(time * 1000) / 1000,
+    meeting: Math.round(meeting * 1000) / 1000,
+  };
+}
+
+/**
+ * Rank candidate results rows for a selection, best first
+ * @param {Object} selection - { dateISO, time, horse, meeting }
+ * @param {Array} csvRows - Candidate rows ({ dateISO, time, horse, track, ... })
+ * @param {number} [limit=3] - Maximum number of candidates returned
+ * @returns {Array} Rows with a `score` ({ confidence, horse, time, meeting })
+ */
+function findCandidates(selection, csvRows, limit = 3) {
+  return csvRows
+    .map((csvRow) => ({ csvRow, score: scoreMatch(selection, csvRow) }))
+    .filter(({ score }) => score.confidence >= SUGGESTION_CONFIDENCE)
+    .sort((a, b) => b.score.confidence - a.score.confidence)
+    .slice(0, limit);
+}
+
+/**
+ * Whether a fuzzy match is strong enough to apply without admin confirmation
+ * @param {Object} score - Result of scoreMatch
+ * @returns {boolean}
+ */
+function isAutoMatch(score) {
+  return (
+    score.confidence >= AUTO_MATCH_CONFIDENCE &&
+    score.horse >= AUTO_MATCH_HORSE_SIMILARITY
+  );
+}
+
+/**
+ * The candidate to apply without admin confirmation, if one is a clear winner
+ * @param {Array} candidates - Result of findCandidates, best first
+ * @returns {Object|null} The best candidate, or null when it needs confirming
+ */
+function pickAutoMatch(candidates) {
+  const [best, runnerUp] = candidates;
+  if (!best || !isAutoMatch(best.score)) return null;
+  if (
+    runnerUp &&
+    best.score.confidence - runnerUp.score.confidence < AUTO_MATCH_MARGIN
+  ) {
+    return null;
+  }
+  return best;
+}
+
+module.exports = {
+  AUTO_MATCH_CONFIDENCE,
+  SUGGESTION_CONFIDENCE,
+  normalizeHorseName,
+  normalizeMeeting,
+  timeToMinutes,
+  similarity,
+  scoreMatch,
+  findCandidates,
+  isAutoMatch,
+  pickAutoMatch,
+};
@@ -0,0 +1,306 @@
+const crypto = require("crypto");
+const System = require("../models/System");
+const SystemSelection = require("../models/SystemSelection");
+const MonthlyReportDelivery = require("../models/MonthlyReportDelivery");
+const User = require("../models/User");
+const { notify } = require("./notificationService");
+const {
+  getStakingSettings,
+  getBetSide,
+  isWinningBet,
+} = require("./settlementService");
+const {
+  calculateMonthlyBreakdown,
+  calculateMaxDrawdown,
+} = require("./performanceService");
+
+// Prevent overlapping report runs in this process
+let isReportRunning = false;
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Last month as "YYYY-MM" (UTC), the month the scheduled run reports on
+function getPreviousMonth() {
+  const now = new Date();
+  const previous = new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)
+  );
+  return `${previous.getUTCFullYear()}-${String(
+    previous.getUTCMonth() + 1
+  ).padStart(2, "0")}`;
+}
+
+/**
+ * Whether a month is "YYYY-MM" and has already finished
+ * @param {string} month
+ * @returns {boolean}
+ */
+function isCompletedMonth(month) {
+  if (!MONTH_PATTERN.test(month || "")) return false;
+  return month <= getPreviousMonth();
+}
+
+function round2(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+/**
+ * P/L, strike rate and drawdown for a set of settled selections
+ * @param {Array} results - Settled selections in the order they were bet
+ * @param {Function} isWin - Returns true if a result is a winning bet
+ * @returns {{totalPL: number, bets: number, wins: number, strikeRate: number, maxDrawdown: number}}
+ */
+function summarizeResults(results, isWin) {
+  // Results all fall in one month, so the breakdown has at most one entry
+  const [month] = calculateMonthlyBreakdown(results, isWin);
+  return {
+    totalPL: month ? month.monthlyPL : 0,
+    bets: month ? month.bets : 0,
+    wins: month ? month.wins : 0,
+    strikeRate: month ? month.strikeRate : 0,
+    maxDrawdown: 0 - round2(calculateMaxDrawdown(results)),
+  };
+}
+
+/**
+ * Load each system's settled selections and stats for a month
+ * @param {string} month - "YYYY-MM"
+ * @param {Array} systemIds - Systems to include
+ * @returns {Promise<Map>} systemId -> { system, staking, results, stats }
+ */
+async function loadSystemReports(month, systemIds) {
+  const systems = await System.find({ _id: { $in: systemIds } })
+    .sort({ name: 1 })
+    .lean();
+
+  const results = await SystemSelection.find({
+    systemId: { $in: systems.map((system) => system._id) },
+    hasResult: true,
+    dateISO: { $gte: `${month}-01`, $lte: `${month}-31` },
+  })
+    .select(
+      "systemId date dateISO time meeting horse result winBsp winPL betSide"
+    )
+    .sort({ date: 1, time: 1, rowOrder: 1 })
+    .lean();
+
+  const reports = new Map();
+  for (const system of systems) {
+    const staking = getStakingSettings(system);
+    const systemResults = results.filter(
+      (r) => r.systemId.toString() === system._id.toString()
+    );
+    reports.set(system._id.toString(), {
+      system,
+      staking,
+      results: systemResults,
+      stats: summarizeResults(systemResults, (r) =>
+        isWinningBet(r.result, getBetSide(r, staking))
+      ),
+    });
+  }
+  return reports;
+}
+
+/**
+ * Build one user's report from the month's system reports
+ * The portfolio merges all of the user's systems in bet order so drawdown
+ * reflects the combined sequence of results
+ * @param {Array} systemReports - Reports for the user's systems
+ * @returns {{systems: Array, portfolio: Object}}
+ */
+function buildUserReport(systemReports) {
+  const stakingBySystem = new Map(
+    systemReports.map((report) => [
+      report.system._id.toString(),
+      report.staking,
+    ])
+  );
+
+  const combined = systemReports
+    .flatMap((report) => report.results)
+    .sort(
+      (a, b) =>
+        new Date(a.date) - new Date(b.date) ||
+        (a.time || "").localeCompare(b.time || "")
+    );
+
+  return {
+    systems: systemReports,
+    portfolio: summarizeResults(combined, (r) =>
+      isWinningBet(
+        r.result,
+        getBetSide(r, stakingBySystem.get(r.systemId.toString()))
+      )
+    ),
+  };
+}
+
+/**
+ * Claim a user's report for this run so it is only sent once
+ * With resend, an existing delivery is taken over instead
+ * @returns {Promise<boolean>} Whether this run should send the report
+ */
+async function claimReport(user, month, runId, resend) {
+  if (resend) {
+    await MonthlyReportDelivery.updateOne(
+      { userId: user._id, month },
+      { $set: { runId }, $unset: { messageId: "", sentAt: "" } },
+      { upsert: true }
+    );
+    return true;
+  }
+
+  try {
+    await MonthlyReportDelivery.create({ userId: user._id, month, runId });
+    return true;
+  } catch (error) {
+    // Already sent (or being sent) for this month
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+/**
+ * Email each opted-in subscriber their performance report for a month
+ * Covers P/L, strike rate and max drawdown for every subscribed system and
+ * for the combined portfolio, with the month's bets attached as XLSX
+ * @param {Object} [options]
+ * @param {string} [options.month] - "YYYY-MM", defaults to last month
+ * @param {string} [options.userId] - Only send to this user
+ * @param {boolean} [options.resend] - Send again to users who already had this month
+ * @returns {Promise<Object>} Counts of reports sent
+ */
+async function sendMonthlyReports({
+  month = getPreviousMonth(),
+  userId,
+  resend = false,
+} = {}) {
+  if (isReportRunning) {
+    console.log("⏭️  Monthly reports already being sent, skipping");
+    return { month, skipped: true };
+  }
+
+  isReportRunning = true;
+  const runId = crypto.randomUUID();
+  const summary = {
+    month,
+    runId,
+    usersConsidered: 0,
+    reportsSent: 0,
+    alreadySent: 0,
+    noResults: 0,
+    failures: [],
+  };
+
+  try {
+    const userQuery = {
+      activeSystemIds: { $exists: true, $ne: [] },
+      "emailPreferences.monthlyPerformanceReport": { $ne: false },
+      isBlocked: { $ne: true },
+    };
+    if (userId) userQuery._id = userId;
+
+    const users = await User.find(userQuery)
+      .select("email firstName activeSystemIds emailPreferences")
+      .lean();
+    summary.usersConsidered = users.length;
+    if (users.length === 0) return summary;
+
+    // Each system's month is loaded once and shared between users
+    const systemIds = [
+      ...new Set(
+        users.flatMap((user) => user.activeSystemIds.map((id) => id.toString()))
+      ),
+    ];
+    const systemReports = await loadSystemReports(month, systemIds);
+
+    for (const user of users) {
+      const userSystemReports = user.activeSystemIds
+        .map((id) => systemReports.get(id.toString()))
+        .filter(Boolean)
+        .sort((a, b) => a.system.name.localeCompare(b.system.name));
+
+      const report = buildUserReport(userSystemReports);
+      if (report.portfolio.bets === 0) {
+        summary.noResults += 1;
+        continue;
+      }
+
+      if (!(await claimReport(user, month, runId, resend))) {
+        summary.alreadySent += 1;
+        continue;
+      }
+
+      try {
+        const log = await notify({
+          template: "monthlyReport",
+          user,
+          variables: {
+            firstName: user.firstName,
+            month,
+            portfolio: report.portfolio,
+            systems: report.systems.map(({ system, stats, results }) => ({
+              systemId: system._id,
+              systemName: system.name,
+              stats,
+              results: results.map((r) => ({
+                dateISO: r.dateISO,
+                meeting: r.meeting,
+                time: r.time,
+                horse: r.horse,
+                winBsp: r.winBsp,
+                result: r.result,
+                winPL: r.winPL,
+              })),
+            })),
+          },
+        });
+        if (log.status !== "sent") {
+          throw new Error(log.error || "Report was not sent");
+        }
+
+        await MonthlyReportDelivery.updateOne(
+          { userId: user._id, month, runId },
+          {
+            $set: {
+              messageId: log.providerMessageId,
+              sentAt: new Date(),
+              systemIds: userSystemReports.map((r) => r.system._id),
+              totalPL: report.portfolio.totalPL,
+            },
+          }
+        );
+        summary.reportsSent += 1;
+      } catch (error) {
+        // Release the claim so the report is retried on the next run
+        // (a failed resend keeps the record of the original delivery)
+        if (!resend) {
+          await MonthlyReportDelivery.deleteOne({
+            userId: user._id,
+            month,
+            runId,
+          });
+        }
+        console.error(
+          `Failed to send ${month} report to ${user.email}:`,
+          error.message
+        );
+        summary.failures.push({ userId: user._id, error: error.message });
+      }
+    }
+
+    console.log(
+      `📧 Monthly reports for ${month}: ${summary.reportsSent} sent, ${summary.alreadySent} already sent, ${summary.failures.length} failed`
+    );
+    return summary;
+  } finally {
+    isReportRunning = false;
+  }
+}
+
+module.exports = {
+  getPreviousMonth,
+  isCompletedMonth,
+  sendMonthlyReports,
+};
@@ -0,0 +1,280 @@
+const NotificationLog = require("../models/NotificationLog");
+const User = require("../models/User");
+const templates = require("./notificationTemplates");
+const { sendEmail } = require("./emailService");
+const {
+  createSignedToken,
+  verifySignedToken,
+} = require("./signedTokenService");
+
+// Categories that are always sent, regardless of emailPreferences
+const TRANSACTIONAL_CATEGORIES = ["account", "billing", "admin"];
+
+// Categories users can opt out of (the User emailPreferences keys)
+const PREFERENCE_CATEGORIES = [
+  "dailySelections",
+  "resultsUpdates",
+  "monthlyPerformanceReport",
+  "systemUpdates",
+  "billingReminders",
+  "marketingEmails",
+];
+
+/**
+ * Admin alert recipients, from ADMIN_EMAIL (comma separated)
+ * @returns {string[]}
+ */
+function getAdminEmails() {
+  return (process.env.ADMIN_EMAIL || "")
+    .split(",")
+    .map((email) => email.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Whether a user has opted out of a template's category
+ * @param {Object} user - User, with or without emailPreferences loaded
+ * @param {string} category
+ * @returns {Promise<boolean>}
+ */
+async function isOptedOut(user, category) {
+  if (!user || TRANSACTIONAL_CATEGORIES.includes(category)) return false;
+
+  let preferences = user.emailPreferences;
+  if (!preferences && user._id) {
+    const stored = await User.findById(user._id)
+      .select("emailPreferences")
+      .lean();
+    preferences = stored && stored.emailPreferences;
+  }
+  return Boolean(preferences && preferences[category] === false);
+}
+
+/**
+ * One-click unsubscribe link for a user and category
+ * Needs API_URL (the public URL of this API); without it no link is added
+ * @param {string} userId
+ * @param {string} category - One of PREFERENCE_CATEGORIES
+ * @returns {string|null}
+ */
+function getUnsubscribeLink(userId, category) {
+  if (!process.env.API_URL || !PREFERENCE_CATEGORIES.includes(category)) {
+    return null;
+  }
+
+  // Unsubscribe links don't expire: old emails must keep working
+  const token = createSignedToken("unsubscribe", {
+    userId: userId.toString(),
+    category,
+  });
+  return `${process.env.API_URL}/api/users/unsubscribe?token=${token}`;
+}
+
+/**
+ * Resolve an unsubscribe link token
+ * @param {string} token
+ * @returns {{userId: string, category: string}|null} Null if invalid
+ */
+function verifyUnsubscribeToken(token) {
+  const data = verifySignedToken("unsubscribe", token);
+  if (!data || !PREFERENCE_CATEGORIES.includes(data.category)) return null;
+  return { userId: data.userId, category: data.category };
+}
+
+// Variables as stored in the log, without sensitive values
+function storedVariables(template, variables) {
+  const stored = { ...variables };
+  for (const key of template.sensitiveVariables || []) {
+    if (key in stored) stored[key] = "[redacted]";
+  }
+  return stored;
+}
+
+/**
+ * Render a template and send it, recording the attempt in the send log
+ * Messages in an opted-out category are logged as "skipped" and not sent;
+ * messages the user can opt out of carry an unsubscribe link and
+ * List-Unsubscribe headers
+ * @param {Object} options
+ * @param {string} options.template - Template name (see notificationTemplates)
+ * @param {Object} [options.user] - Recipient user ({ _id, email, emailPreferences })
+ * @param {string|string[]} [options.to] - Recipient(s), defaults to the user's email
+ * @param {Object} [options.variables] - Template variables
+ * @param {Object} [options.headers] - Extra email headers
+ * @param {string} [options.resendOf] - Log ID this message resends
+ * @param {string} [options.resentBy] - Admin who resent it
+ * @returns {Promise<Object>} The log entry ({ status, providerMessageId, ... })
+ * @throws If the template is unknown or the email fails to send (logged as "failed")
+ */
+async function notify({
+  template: templateName,
+  user,
+  to,
+  variables = {},
+  headers,
+  resendOf,
+  resentBy,
+}) {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${templateName}`);
+  }
+
+  const recipients = [].concat(to || (user && user.email) || []);
+  const log = new NotificationLog({
+    template: templateName,
+    category: template.category,
+    to: recipients,
+    userId: user && user._id,
+    variables: storedVariables(template, variables),
+    resendOf,
+    resentBy,
+  });
+
+  if (recipients.length === 0) {
+    log.status = "skipped";
+    log.error = "No recipient";
+    await log.save();
+    return log.toObject();
+  }
+
+  if (await isOptedOut(user, template.category)) {
+    log.status = "skipped";
+    log.error = `Recipient has opted out of ${template.category} emails`;
+    await log.save();
+    return log.toObject();
+  }
+
+  try {
+    const unsubscribeUrl =
+      user && user._id ? getUnsubscribeLink(user._id, template.category) : null;
+    const { subject, html, text, attachments } = template.render({
+      ...variables,
+      unsubscribeUrl,
+    });
+    log.subject = subject;
+    await log.save();
+
+    const { id, transport } = await sendEmail({
+      to: recipients,
+      subject,
+      html,
+      text,
+      attachments,
+      headers: unsubscribeUrl
+        ? {
+            "List-Unsubscribe": `<${unsubscribeUrl}>`,
+            "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+            ...headers,
+          }
+        : headers,
+    });
+
+    log.status = "sent";
+    log.transport = transport;
+    log.providerMessageId = id;
+    log.sentAt = new Date();
+    await log.save();
+    return log.toObject();
+  } catch (error) {
+    log.status = "failed";
+    log.error = error.message;
+    await log.save();
+    throw error;
+  }
+}
+
+/**
+ * Email the site admins (ADMIN_EMAIL); never throws, so it's safe in error handlers
+ * @param {string} title - Subject and heading
+ * @param {Object} [details] - Label/value pairs
+ * @param {Error|string} [error]
+ */
+async function notifyAdmins(title, details = {}, error) {
+  try {
+    const adminEmails = getAdminEmails();
+    if (adminEmails.length === 0) {
+      console.warn(`ADMIN_EMAIL is not set, admin alert not sent: ${title}`);
+    }
+
+    await notify({
+      template: "adminAlert",
+      to: adminEmails,
+      variables: {
+        title,
+        details,
+        error: error && (error.stack || error.message || String(error)),
+      },
+    });
+  } catch (alertError) {
+    console.error(`Failed to send admin alert "${title}":`, alertError.message);
+  }
+}
+
+/**
+ * Send a logged message again with its stored variables
+ * @param {Object} log - NotificationLog entry
+ * @param {string} [resentBy] - Admin resending it
+ * @returns {Promise<Object>} The new log entry
+ */
+async function resendNotification(log, resentBy) {
+  const template = templates[log.template];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${log.template}`);
+  }
+  if ((template.sensitiveVariables || []).length > 0) {
+    throw new Error(`${log.template} messages can't be resent`);
+  }
+
+  const user = log.userId ? await User.findById(log.userId).lean() : null;
+  return notify({
+    template: log.template,
+    user,
+    to: log.to,
+    variables: log.variables,
+    resendOf: log._id,
+    resentBy,
+  });
+}
+
+/**
+ * Re-render a logged message for inspection
+ * @param {Object} log - NotificationLog entry
+ * @returns {{subject: string, html: string, text: string, attachments: string[]}|null}
+ */
+function previewNotification(log) {
+  const template = templates[log.template];
+  if (!template) return null;
+
+  const { subject, html, text, attachments } = template.render(log.variables);
+  return {
+    subject,
+    html,
+    text,
+    attachments: (attachments || []).map((a) => a.filename),
+  };
+}
+
+/**
+ * Names and categories of the available templates
+ * @returns {Array<{name: string, category: string, resendable: boolean}>}
+ */
+function listTemplates() {
+  return Object.entries(templates).map(([name, template]) => ({
+    name,
+    category: template.category,
+    resendable: (template.sensitiveVariables || []).length === 0,
+  }));
+}
+
+module.exports = {
+  TRANSACTIONAL_CATEGORIES,
+  PREFERENCE_CATEGORIES,
+  getUnsubscribeLink,
+  verifyUnsubscribeToken,
+  notify,
+  notifyAdmins,
+  resendNotification,
+  previewNotification,
+  listTemplates,
+};
@@ -0,0 +1,622 @@
+const XLSX = require("xlsx");
+const { escapeHtml } = require("./emailService");
+
+// Named email templates used by the notification service
+// Each template has a category (an emailPreferences key, or a transactional
+// category that is always sent) and renders { subject, html, text, attachments }
+// from plain variables, so a logged message can be re-rendered and resent
+
+const FOOTER = `<p>Thanks,<br>Fortis Sports Trading</p>`;
+
+function round2(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+function formatPL(value) {
+  const rounded = round2(value);
+  return `${rounded > 0 ? "+" : ""}${rounded.toFixed(2)}pts`;
+}
+
+// "YYYY-MM-DD" -> "DD/MM/YYYY"
+function formatDateISO(dateISO) {
+  const [year, month, day] = dateISO.split("-");
+  return `${day}/${month}/${year}`;
+}
+
+// "YYYY-MM" -> "November 2025"
+function formatMonthName(month) {
+  const [year, monthNumber] = month.split("-");
+  return new Date(Date.UTC(year, monthNumber - 1, 1)).toLocaleString("en-GB", {
+    month: "long",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+function formatAmount(amount, currency) {
+  try {
+    return new Intl.NumberFormat("en-GB", {
+      style: "currency",
+      currency: currency.toUpperCase(),
+    }).format(amount);
+  } catch (error) {
+    return `${amount.toFixed(2)} ${currency.toUpperCase()}`;
+  }
+}
+
+function preferenceFooter(description, unsubscribeUrl) {
+  const unsubscribe = unsubscribeUrl
+    ? ` <a href="${unsubscribeUrl}" style="color: #666;">Unsubscribe</a>`
+    : "";
+  return `<p style="color: #666; font-size: 12px;">You're receiving this because ${description} are turned on in your account settings.${unsubscribe}</p>`;
+}
+
+function unsubscribeLine(unsubscribeUrl) {
+  return unsubscribeUrl ? ["", `Unsubscribe: ${unsubscribeUrl}`] : [];
+}
+
+/**
+ * Password reset link
+ * @param {Object} vars - { firstName, resetUrl }
+ */
+function renderPasswordReset({ firstName, resetUrl }) {
+  return {
+    subject: "Password Reset Request",
+    html: `
+      <h1>Password Reset Request</h1>
+      <p>Hi ${escapeHtml(firstName || "there")},</p>
+      <p>You requested to reset your password. Click the link below to reset it:</p>
+      <p><a href="${resetUrl}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px;">Reset Password</a></p>
+      <p>Or copy and paste this URL into your browser:</p>
+      <p>${resetUrl}</p>
+      <p>This link will expire in 1 hour.</p>
+      <p>If you didn't request this, please ignore this email.</p>
+      ${FOOTER}
+    `,
+    text: [
+      "Password Reset Request",
+      "",
+      `Hi ${firstName || "there"},`,
+      "",
+      "You requested to reset your password. Open this link to reset it:",
+      resetUrl,
+      "",
+      "This link will expire in 1 hour.",
+      "If you didn't request this, please ignore this email.",
+    ].join("\n"),
+  };
+}
+
+/**
+ * Subscription payment failed
+ * @param {Object} vars - { firstName, portalLink }
+ */
+function renderPaymentFailed({ firstName, portalLink }) {
+  return {
+    subject: "Action Required: Your Subscription Payment Failed",
+    html: `
+      <h1>Payment Issue with Your Subscription</h1>
+      <p>Hi ${escapeHtml(firstName || "there")},</p>
+      <p>We're writing to let you know that the latest payment for your subscription failed. This can happen for a number of reasons, such as an expired card or insufficient funds.</p>
+      <p>To ensure your service continues without interruption, please update your payment details as soon as possible:</p>
+      <p><a href="${portalLink}"><strong>Update Payment Method</strong></a></p>
+      <p>Once you've updated your details, Stripe will automatically retry the payment.</p>
+      <p>If you have any questions, please don't hesitate to contact us.</p>
+      ${FOOTER}
+    `,
+    text: [
+      "Payment Issue with Your Subscription",
+      "",
+      `Hi ${firstName || "there"},`,
+      "",
+      "The latest payment for your subscription failed. Please update your payment details as soon as possible:",
+      portalLink,
+      "",
+      "Once you've updated your details, Stripe will automatically retry the payment.",
+    ].join("\n"),
+  };
+}
+
+/**
+ * Alert for the site admins
+ * @param {Object} vars - { title, details: { label: value }, error }
+ */
+function renderAdminAlert({ title, details = {}, error }) {
+  const detailRows = Object.entries(details)
+    .map(
+      ([label, value]) =>
+        `<p><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</p>`
+    )
+    .join("");
+
+  return {
+    subject: title,
+    html: `
+      <h1>${escapeHtml(title)}</h1>
+      ${detailRows}
+      ${
+        error
+          ? `<p><strong>Error:</strong></p><pre>${escapeHtml(error)}</pre>`
+          : ""
+      }
+    `,
+    text: [
+      title,
+      "",
+      ...Object.entries(details).map(([label, value]) => `${label}: ${value}`),
+      ...(error ? ["", "Error:", error] : []),
+    ].join("\n"),
+  };
+}
+
+/**
+ * Daily selections digest
+ * @param {Object} vars - { firstName, dateISO, selections: [{ systemName, time, meeting, horse, betSide }] }
+ */
+function renderDailySelections({
+  firstName,
+  dateISO,
+  selections,
+  unsubscribeUrl,
+}) {
+  // Group by system, keeping each system's selections in race time order
+  const bySystem = new Map();
+  for (const selection of selections) {
+    const systemName = selection.systemName || "System";
+    if (!bySystem.has(systemName)) bySystem.set(systemName, []);
+    bySystem.get(systemName).push(selection);
+  }
+
+  const displayDate = formatDateISO(dateISO);
+  const count = selections.length;
+  const subject = `Your selections for ${displayDate} (${count} ${
+    count === 1 ? "selection" : "selections"
+  })`;
+
+  const sections = [];
+  const textSections = [];
+  for (const [systemName, systemSelections] of bySystem.entries()) {
+    const rows = systemSelections
+      .map(
+        (s) => `
+          <tr>
+            <td style="padding: 6px 12px;">${escapeHtml(s.time || "")}</td>
+            <td style="padding: 6px 12px;">${escapeHtml(s.meeting || "")}</td>
+            <td style="padding: 6px 12px;"><strong>${escapeHtml(
+              s.horse
+            )}</strong></td>
+            <td style="padding: 6px 12px; text-transform: capitalize;">${escapeHtml(
+              s.betSide || ""
+            )}</td>
+          </tr>`
+      )
+      .join("");
+
+    sections.push(`
+      <h2>${escapeHtml(systemName)}</h2>
+      <table style="border-collapse: collapse;">
+        <tr>
+          <th style="padding: 6px 12px; text-align: left;">Time</th>
+          <th style="padding: 6px 12px; text-align: left;">Meeting</th>
+          <th style="padding: 6px 12px; text-align: left;">Horse</th>
+          <th style="padding: 6px 12px; text-align: left;">Bet</th>
+        </tr>${rows}
+      </table>`);
+
+    textSections.push(
+      [
+        systemName,
+        ...systemSelections.map(
+          (s) =>
+            `  ${s.time || ""} ${s.meeting || ""} - ${s.horse}${
+              s.betSide ? ` (${s.betSide})` : ""
+            }`
+        ),
+      ].join("\n")
+    );
+  }
+
+  const html = `
+    <h1>Selections for ${displayDate}</h1>
+    <p>Hi ${escapeHtml(firstName || "there")},</p>
+    <p>Here are the latest selections for your systems:</p>
+    ${sections.join("")}
+    <p><a href="${process.env.FRONTEND_URL}">View selections online</a></p>
+    ${preferenceFooter("daily selection emails", unsubscribeUrl)}
+    ${FOOTER}
+  `;
+
+  const text = [
+    `Selections for ${displayDate}`,
+    "",
+    `Hi ${firstName || "there"},`,
+    "",
+    ...textSections,
+    "",
+    `View selections online: ${process.env.FRONTEND_URL}`,
+    ...unsubscribeLine(unsubscribeUrl),
+  ].join("\n");
+
+  return { subject, html, text };
+}
+
+/**
+ * Results summary for a settled day
+ * @param {Object} vars - { firstName, dateISO, systems: [{ systemName, selections, dayPL, runningPL }] }
+ */
+function renderResultsSummary({ firstName, dateISO, systems, unsubscribeUrl }) {
+  const displayDate = formatDateISO(dateISO);
+  const dayTotal = systems.reduce((sum, system) => sum + system.dayPL, 0);
+  const subject = `Results for ${displayDate}: ${formatPL(dayTotal)}`;
+
+  const sections = systems.map((system) => {
+    const rows = system.selections
+      .map(
+        (s) => `
+          <tr>
+            <td style="padding: 6px 12px;">${escapeHtml(s.time || "")}</td>
+            <td style="padding: 6px 12px;">${escapeHtml(s.meeting || "")}</td>
+            <td style="padding: 6px 12px;">${escapeHtml(s.horse)}</td>
+            <td style="padding: 6px 12px;">${escapeHtml(s.result || "")}</td>
+            <td style="padding: 6px 12px; text-align: right;">${
+              s.winBsp ? s.winBsp.toFixed(2) : "-"
+            }</td>
+            <td style="padding: 6px 12px; text-align: right;">${formatPL(
+              s.winPL
+            )}</td>
+          </tr>`
+      )
+      .join("");
+
+    return `
+      <h2>${escapeHtml(system.systemName)}</h2>
+      <table style="border-collapse: collapse;">
+        <tr>
+          <th style="padding: 6px 12px; text-align: left;">Time</th>
+          <th style="padding: 6px 12px; text-align: left;">Meeting</th>
+          <th style="padding: 6px 12px; text-align: left;">Horse</th>
+          <th style="padding: 6px 12px; text-align: left;">Result</th>
+          <th style="padding: 6px 12px; text-align: right;">BSP</th>
+          <th style="padding: 6px 12px; text-align: right;">P/L</th>
+        </tr>${rows}
+      </table>
+      <p><strong>Day total:</strong> ${formatPL(system.dayPL)}<br>
+      <strong>Running total:</strong> ${formatPL(system.runningPL)}</p>`;
+  });
+
+  const html = `
+    <h1>Results for ${displayDate}</h1>
+    <p>Hi ${escapeHtml(firstName || "there")},</p>
+    <p>Results are in for your systems:</p>
+    ${sections.join("")}
+    <p><a href="${process.env.FRONTEND_URL}">View full results online</a></p>
+    ${preferenceFooter("results emails", unsubscribeUrl)}
+    ${FOOTER}
+  `;
+
+  const text = [
+    `Results for ${displayDate}`,
+    "",
+    `Hi ${firstName || "there"},`,
+    "",
+    ...systems.map((system) =>
+      [
+        system.systemName,
+        ...system.selections.map(
+          (s) =>
+            `  ${s.time || ""} ${s.meeting || ""} - ${s.horse}: ${
+              s.result || ""
+            } @ ${s.winBsp ? s.winBsp.toFixed(2) : "-"} (${formatPL(s.winPL)})`
+        ),
+        `  Day total: ${formatPL(system.dayPL)}`,
+        `  Running total: ${formatPL(system.runningPL)}`,
+        "",
+      ].join("\n")
+    ),
+    `View full results online: ${process.env.FRONTEND_URL}`,
+    ...unsubscribeLine(unsubscribeUrl),
+  ].join("\n");
+
+  return { subject, html, text };
+}
+
+/**
+ * Monthly report spreadsheet: a summary sheet plus each system's bets
+ * @param {string} month - "YYYY-MM"
+ * @param {Array} systems - [{ systemId, systemName, stats, results }]
+ * @param {Object} portfolio - Combined stats
+ * @returns {Buffer}
+ */
+function buildReportWorkbook(month, systems, portfolio) {
+  const workbook = XLSX.utils.book_new();
+
+  const summaryRows = [
+    ["System", "Bets", "Wins", "Strike Rate %", "P/L", "Max Drawdown"],
+    ...systems.map(({ systemName, stats }) => [
+      systemName,
+      stats.bets,
+      stats.wins,
+      stats.strikeRate,
+      stats.totalPL,
+      stats.maxDrawdown,
+    ]),
+    [
+      "Portfolio",
+      portfolio.bets,
+      portfolio.wins,
+      portfolio.strikeRate,
+      portfolio.totalPL,
+      portfolio.maxDrawdown,
+    ],
+  ];
+  const summarySheet = XLSX.utils.aoa_to_sheet(summaryRows);
+  summarySheet["!cols"] = [
+    { wch: 25 }, // System
+    { wch: 8 }, // Bets
+    { wch: 8 }, // Wins
+    { wch: 14 }, // Strike Rate
+    { wch: 10 }, // P/L
+    { wch: 14 }, // Max Drawdown
+  ];
+  XLSX.utils.book_append_sheet(workbook, summarySheet, `Summary ${month}`);
+
+  const usedNames = new Set([`Summary ${month}`]);
+  for (const { systemId, systemName, results } of systems) {
+    let runningPL = 0;
+    const rows = [
+      [
+        "Date",
+        "Course",
+        "Time",
+        "Selection",
+        "BSP",
+        "Result",
+        "P/L",
+        "Running P/L",
+      ],
+      ...results.map((r) => {
+        runningPL += r.winPL || 0;
+        return [
+          r.dateISO,
+          r.meeting || "",
+          r.time || "",
+          r.horse,
+          r.winBsp || "",
+          r.result || "",
+          round2(r.winPL),
+          round2(runningPL),
+        ];
+      }),
+    ];
+    const worksheet = XLSX.utils.aoa_to_sheet(rows);
+    worksheet["!cols"] = [
+      { wch: 12 }, // Date
+      { wch: 20 }, // Course
+      { wch: 10 }, // Time
+      { wch: 25 }, // Selection
+      { wch: 10 }, // BSP
+      { wch: 10 }, // Result
+      { wch: 10 }, // P/L
+      { wch: 12 }, // Running P/L
+    ];
+
+    // Excel sheet names are limited to 31 characters and must be unique
+    let sheetName = systemName.substring(0, 31);
+    if (usedNames.has(sheetName)) {
+      sheetName = `${systemName.substring(0, 24)} ${String(systemId).slice(
+        -6
+      )}`;
+    }
+    usedNames.add(sheetName);
+    XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
+  }
+
+  return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+}
+
+/**
+ * Monthly performance report with the month's bets attached as XLSX
+ * @param {Object} vars - { firstName, month, systems: [{ systemId, systemName, stats, results }], portfolio }
+ */
+function renderMonthlyReport({
+  firstName,
+  month,
+  systems,
+  portfolio,
+  unsubscribeUrl,
+}) {
+  const monthName = formatMonthName(month);
+  const subject = `Your ${monthName} performance report: ${formatPL(
+    portfolio.totalPL
+  )}`;
+
+  const row = (name, stats, bold) => {
+    const open = bold ? "<strong>" : "";
+    const close = bold ? "</strong>" : "";
+    return `
+          <tr>
+            <td style="padding: 6px 12px;">${open}${escapeHtml(
+      name
+    )}${close}</td>
+            <td style="padding: 6px 12px; text-align: right;">${stats.bets}</td>
+            <td style="padding: 6px 12px; text-align: right;">${
+              stats.strikeRate
+            }%</td>
+            <td style="padding: 6px 12px; text-align: right;">${open}${formatPL(
+      stats.totalPL
+    )}${close}</td>
+            <td style="padding: 6px 12px; text-align: right;">${formatPL(
+              stats.maxDrawdown
+            )}</td>
+          </tr>`;
+  };
+
+  const rows = systems
+    .map(({ systemName, stats }) => row(systemName, stats, false))
+    .join("");
+  const portfolioRow =
+    systems.length > 1 ? row("Portfolio", portfolio, true) : "";
+
+  const html = `
+    <h1>${monthName} performance report</h1>
+    <p>Hi ${escapeHtml(firstName || "there")},</p>
+    <p>Here's how your systems performed in ${monthName}:</p>
+    <table style="border-collapse: collapse;">
+      <tr>
+        <th style="padding: 6px 12px; text-align: left;">System</th>
+        <th style="padding: 6px 12px; text-align: right;">Bets</th>
+        <th style="padding: 6px 12px; text-align: right;">Strike Rate</th>
+        <th style="padding: 6px 12px; text-align: right;">P/L</th>
+        <th style="padding: 6px 12px; text-align: right;">Max Drawdown</th>
+      </tr>${rows}${portfolioRow}
+    </table>
+    <p>The attached spreadsheet lists every bet for the month.</p>
+    <p><a href="${
+      process.env.FRONTEND_URL
+    }">View your full performance online</a></p>
+    ${preferenceFooter("monthly performance reports", unsubscribeUrl)}
+    ${FOOTER}
+  `;
+
+  const textLine = (name, stats) =>
+    `  ${name}: ${formatPL(stats.totalPL)} from ${stats.bets} bets, ${
+      stats.strikeRate
+    }% strike rate, max drawdown ${formatPL(stats.maxDrawdown)}`;
+
+  const text = [
+    `${monthName} performance report`,
+    "",
+    `Hi ${firstName || "there"},`,
+    "",
+    ...systems.map(({ systemName, stats }) => textLine(systemName, stats)),
+    ...(systems.length > 1 ? [textLine("Portfolio", portfolio)] : []),
+    "",
+    "The attached spreadsheet lists every bet for the month.",
+    `View your full performance online: ${process.env.FRONTEND_URL}`,
+    ...unsubscribeLine(unsubscribeUrl),
+  ].join("\n");
+
+  return {
+    subject,
+    html,
+    text,
+    attachments: [
+      {
+        filename: `performance-report-${month}.xlsx`,
+        content: buildReportWorkbook(month, systems, portfolio),
+      },
+    ],
+  };
+}
+
+/**
+ * Upcoming renewal reminder
+ * @param {Object} vars - { firstName, planName, description, amount, currency, interval, renewalDate, portalLink }
+ */
+function renderBillingReminder({
+  firstName,
+  planName,
+  description,
+  amount,
+  currency,
+  interval,
+  renewalDate,
+  portalLink,
+  unsubscribeUrl,
+}) {
+  const formattedDate = new Date(renewalDate).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+  const formattedAmount = formatAmount(amount, currency);
+  const period = interval === "year" ? "yearly" : "monthly";
+  const subject = `Your ${period} subscription renews on ${formattedDate}`;
+
+  const html = `
+    <h1>Your subscription renews soon</h1>
+    <p>Hi ${escapeHtml(firstName || "there")},</p>
+    <p>This is a reminder that your ${period} subscription will renew on <strong>${formattedDate}</strong>.</p>
+    <table style="border-collapse: collapse;">
+      <tr>
+        <td style="padding: 6px 12px;">Plan</td>
+        <td style="padding: 6px 12px;"><strong>${escapeHtml(
+          planName
+        )}</strong></td>
+      </tr>
+      <tr>
+        <td style="padding: 6px 12px;">Includes</td>
+        <td style="padding: 6px 12px;">${escapeHtml(description)}</td>
+      </tr>
+      <tr>
+        <td style="padding: 6px 12px;">Amount</td>
+        <td style="padding: 6px 12px;"><strong>${formattedAmount}</strong></td>
+      </tr>
+    </table>
+    <p>No action is needed to keep your subscription. To update your payment method, change plan or cancel, manage your billing here:</p>
+    <p><a href="${portalLink}">Manage billing</a></p>
+    ${preferenceFooter("billing reminders", unsubscribeUrl)}
+    ${FOOTER}
+  `;
+
+  const text = [
+    "Your subscription renews soon",
+    "",
+    `Hi ${firstName || "there"},`,
+    "",
+    `Your ${period} subscription will renew on ${formattedDate}.`,
+    "",
+    `Plan: ${planName}`,
+    `Includes: ${description}`,
+    `Amount: ${formattedAmount}`,
+    "",
+    "No action is needed to keep your subscription. To update your payment method, change plan or cancel, manage your billing here:",
+    portalLink,
+    ...unsubscribeLine(unsubscribeUrl),
+  ].join("\n");
+
+  return { subject, html, text };
+}
+
+/**
+ * Template registry
+ * - category: emailPreferences key the recipient can opt out of, or
+ *   "account" / "billing" / "admin" for messages that are always sent
+ * - sensitiveVariables: not stored in the send log; templates with any
+ *   can't be resent from the log
+ * Templates the user can opt out of also receive an `unsubscribeUrl` variable
+ */
+const templates = {
+  passwordReset: {
+    category: "account",
+    sensitiveVariables: ["resetUrl"],
+    render: renderPasswordReset,
+  },
+  paymentFailed: {
+    category: "billing",
+    render: renderPaymentFailed,
+  },
+  adminAlert: {
+    category: "admin",
+    render: renderAdminAlert,
+  },
+  dailySelections: {
+    category: "dailySelections",
+    render: renderDailySelections,
+  },
+  resultsSummary: {
+    category: "resultsUpdates",
+    render: renderResultsSummary,
+  },
+  monthlyReport: {
+    category: "monthlyPerformanceReport",
+    render: renderMonthlyReport,
+  },
+  billingReminder: {
+    category: "billingReminders",
+    render: renderBillingReminder,
+  },
+};
+
+module.exports = templates;
@@ -0,0 +1,88 @@
+// Performance statistics shared by the performance API and emailed reports
+
+/**
+ * Calculate monthly breakdown (non-cumulative)
+ * Groups results by month with P/L, bets, wins and strike rate
+ * @param {Array} results - Settled selections sorted by date
+ * @param {Function} isWin - Returns true if a result is a winning bet
+ */
+function calculateMonthlyBreakdown(results, isWin) {
+  const monthlyData = {};
+
+  for (const result of results) {
+    if (!result.date) continue;
+
+    const date = new Date(result.date);
+    const yearMonth = `${date.getFullYear()}-${String(
+      date.getMonth() + 1
+    ).padStart(2, "0")}`;
+
+    if (!monthlyData[yearMonth]) {
+      monthlyData[yearMonth] = {
+        month: yearMonth,
+        monthName: date.toLocaleString("default", {
+          month: "long",
+          year: "numeric",
+        }),
+        monthlyPL: 0,
+        bets: 0,
+        wins: 0,
+      };
+    }
+
+    monthlyData[yearMonth].monthlyPL += result.winPL || 0;
+    monthlyData[yearMonth].bets += 1;
+
+    if (isWin(result)) {
+      monthlyData[yearMonth].wins += 1;
+    }
+  }
+
+  // Convert to array and calculate strike rate
+  return Object.values(monthlyData)
+    .sort((a, b) => a.month.localeCompare(b.month))
+    .map((month) => ({
+      month: month.month,
+      monthName: month.monthName,
+      monthlyPL: Math.round(month.monthlyPL * 100) / 100,
+      bets: month.bets,
+      wins: month.wins,
+      strikeRate:
+        month.bets > 0
+          ? Math.round((month.wins / month.bets) * 100 * 10) / 10
+          : 0,
+    }));
+}
+
+/**
+ * Calculate maximum drawdown
+ * Tracks cumulative P/L and finds the maximum peak-to-trough decline
+ * Returns the absolute value of the maximum drawdown (positive number)
+ */
+function calculateMaxDrawdown(results) {
+  let maxDrawdown = 0;
+  let peak = 0;
+  let cumulativePL = 0;
+
+  for (const r of results) {
+    cumulativePL += r.winPL || 0;
+
+    // Update peak if we've reached a new high
+    if (cumulativePL > peak) {
+      peak = cumulativePL;
+    }
+
+    // Calculate drawdown from peak
+    const drawdown = peak - cumulativePL;
+    if (drawdown > maxDrawdown) {
+      maxDrawdown = drawdown;
+    }
+  }
+
+  return maxDrawdown;
+}
+
+module.exports = {
+  calculateMonthlyBreakdown,
+  calculateMaxDrawdown,
+};
@@ -0,0 +1,205 @@
+const crypto = require("crypto");
+const SystemSelection = require("../models/SystemSelection");
+const ResultsEmailDelivery = require("../models/ResultsEmailDelivery");
+const User = require("../models/User");
+const { notify } = require("./notificationService");
+
+/**
+ * Email subscribers a summary of each fully settled system/day
+ * A system/day is only sent once every selection on it has a result, and only
+ * once per user, so partial uploads and later corrections don't re-send it
+ * @param {Array<{systemId: string, dateISO: string}>} settled - System/days just settled
+ * @returns {Promise<Object>} Counts of emails sent
+ */
+async function sendResultsSummaries(settled) {
+  const summary = { emailsSent: 0, systemDays: 0, failures: [] };
+
+  // De-duplicate system/day pairs
+  const pairs = Array.from(
+    new Map(
+      settled.map((p) => [
+        `${p.systemId.toString()}|${p.dateISO}`,
+        { systemId: p.systemId.toString(), dateISO: p.dateISO },
+      ])
+    ).values()
+  );
+
+  // Only days with no unsettled selections left for the system
+  const completePairs = [];
+  for (const pair of pairs) {
+    const pending = await SystemSelection.countDocuments({
+      systemId: pair.systemId,
+      dateISO: pair.dateISO,
+      hasResult: { $ne: true },
+    });
+    if (pending === 0) completePairs.push(pair);
+  }
+  if (completePairs.length === 0) return summary;
+  summary.systemDays = completePairs.length;
+
+  const selections = await SystemSelection.find({
+    $or: completePairs.map((pair) => ({
+      systemId: pair.systemId,
+      dateISO: pair.dateISO,
+    })),
+  })
+    .populate("systemId", "name slug")
+    .sort({ rowOrder: 1 })
+    .lean();
+
+  // Group selections into per system/day sections
+  const sectionsByPair = new Map();
+  for (const selection of selections) {
+    if (!selection.systemId) continue;
+    const key = `${selection.systemId._id.toString()}|${selection.dateISO}`;
+    if (!sectionsByPair.has(key)) {
+      sectionsByPair.set(key, {
+        systemId: selection.systemId._id.toString(),
+        systemName: selection.systemId.name,
+        dateISO: selection.dateISO,
+        selections: [],
+        dayPL: 0,
+        runningPL: 0,
+      });
+    }
+    const section = sectionsByPair.get(key);
+    section.selections.push(selection);
+    section.dayPL += selection.winPL || 0;
+    // Sorted by rowOrder, so the last selection holds the running total after this day
+    section.runningPL = selection.runningWinPL || 0;
+  }
+
+  const systemIds = [...new Set(completePairs.map((pair) => pair.systemId))];
+  const users = await User.find({
+    activeSystemIds: { $in: systemIds },
+    "emailPreferences.resultsUpdates": { $ne: false },
+    isBlocked: { $ne: true },
+  })
+    .select("email firstName activeSystemIds emailPreferences")
+    .lean();
+
+  for (const user of users) {
+    const activeSystemIds = new Set(
+      (user.activeSystemIds || []).map((id) => id.toString())
+    );
+    const userSections = Array.from(sectionsByPair.values()).filter((section) =>
+      activeSystemIds.has(section.systemId)
+    );
+    if (userSections.length === 0) continue;
+
+    // Claim each system/day before sending (unique per user) so it's only sent once
+    const runId = crypto.randomUUID();
+    try {
+      await ResultsEmailDelivery.insertMany(
+        userSections.map((section) => ({
+          userId: user._id,
+          systemId: section.systemId,
+          dateISO: section.dateISO,
+          runId,
+        })),
+        { ordered: false }
+      );
+    } catch (error) {
+      // Duplicate key errors are expected for system/days already sent
+      if (!error.writeErrors && error.code !== 11000) throw error;
+    }
+
+    const claimed = await ResultsEmailDelivery.find({ userId: user._id, runId })
+      .select("systemId dateISO")
+      .lean();
+    const claimedKeys = new Set(
+      claimed.map((c) => `${c.systemId.toString()}|${c.dateISO}`)
+    );
+
+    // One email per day covering all of the user's systems
+    const sectionsByDate = new Map();
+    for (const section of userSections) {
+      if (!claimedKeys.has(`${section.systemId}|${section.dateISO}`)) continue;
+      if (!sectionsByDate.has(section.dateISO)) {
+        sectionsByDate.set(section.dateISO, []);
+      }
+      sectionsByDate.get(section.dateISO).push(section);
+    }
+
+    for (const [dateISO, dateSections] of sectionsByDate.entries()) {
+      try {
+        const log = await notify({
+          template: "resultsSummary",
+          user,
+          variables: {
+            firstName: user.firstName,
+            dateISO,
+            systems: dateSections.map((section) => ({
+              systemName: section.systemName,
+              dayPL: section.dayPL,
+              runningPL: section.runningPL,
+              selections: section.selections.map((s) => ({
+                time: s.time,
+                meeting: s.meeting,
+                horse: s.horse,
+                result: s.result,
+                winBsp: s.winBsp,
+                winPL: s.winPL,
+              })),
+            })),
+          },
+        });
+        if (log.status !== "sent") {
+          // Opted out since the users were loaded
+          await ResultsEmailDelivery.deleteMany({
+            userId: user._id,
+            runId,
+            dateISO,
+          });
+          continue;
+        }
+
+        await ResultsEmailDelivery.updateMany(
+          { userId: user._id, runId, dateISO },
+          { $set: { messageId: log.providerMessageId, sentAt: new Date() } }
+        );
+        summary.emailsSent += 1;
+      } catch (error) {
+        // Release the claim so the day is retried next time it's settled
+        await ResultsEmailDelivery.deleteMany({
+          userId: user._id,
+          runId,
+          dateISO,
+        });
+        console.error(
+          `Failed to send results email to ${user.email}:`,
+          error.message
+        );
+        summary.failures.push({
+          userId: user._id,
+          dateISO,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  console.log(
+    `📧 Results emails: ${summary.emailsSent} sent for ${summary.systemDays} settled system days`
+  );
+  return summary;
+}
+
+/**
+ * Send results summaries in the background after selections are settled
+ * @param {Array<{systemId: string, dateISO: string}>} settled - System/days touched
+ */
+function notifyResultsSettled(settled) {
+  if (!settled || settled.length === 0) return;
+
+  setImmediate(() => {
+    sendResultsSummaries(settled).catch((error) =>
+      console.error("❌ Error sending results emails:", error.message)
+    );
+  });
+}
+
+module.exports = {
+  sendResultsSummaries,
+  notifyResultsSettled,
+};
@@ -0,0 +1,177 @@
+const crypto = require("crypto");
+const SystemSelection = require("../models/SystemSelection");
+const SelectionEmailDelivery = require("../models/SelectionEmailDelivery");
+const User = require("../models/User");
+const { notify } = require("./notificationService");
+
+// Prevent overlapping digest runs in this process
+let isDigestRunning = false;
+
+// Today's date as stored on selections ("YYYY-MM-DD", UTC)
+function getTodayISO() {
+  const today = new Date();
+  return `${today.getUTCFullYear()}-${String(today.getUTCMonth() + 1).padStart(
+    2,
+    "0"
+  )}-${String(today.getUTCDate()).padStart(2, "0")}`;
+}
+
+/**
+ * Email each subscriber the day's selections for their active systems
+ * Only selections the user hasn't already been sent are included, so this can
+ * run after every upload and again at the cut-off without duplicates
+ * @param {Object} [options]
+ * @param {string} [options.dateISO] - Day to send (defaults to today)
+ * @returns {Promise<Object>} Counts of users emailed and selections sent
+ */
+async function sendDailySelectionsDigest({ dateISO = getTodayISO() } = {}) {
+  if (isDigestRunning) {
+    console.log("⏭️  Selections digest already running, skipping");
+    return { dateISO, skipped: true };
+  }
+
+  isDigestRunning = true;
+  const summary = {
+    dateISO,
+    usersEmailed: 0,
+    selectionsSent: 0,
+    failures: [],
+  };
+
+  try {
+    const selections = await SystemSelection.find({ dateISO })
+      .populate("systemId", "name slug")
+      .sort({ time: 1, rowOrder: 1 })
+      .lean();
+
+    // Selections of deleted systems can't be attributed to a subscription
+    const validSelections = selections.filter((s) => s.systemId);
+    if (validSelections.length === 0) {
+      return summary;
+    }
+
+    const systemIds = [
+      ...new Set(validSelections.map((s) => s.systemId._id.toString())),
+    ];
+
+    const users = await User.find({
+      activeSystemIds: { $in: systemIds },
+      "emailPreferences.dailySelections": { $ne: false },
+      isBlocked: { $ne: true },
+    })
+      .select("email firstName activeSystemIds emailPreferences")
+      .lean();
+
+    for (const user of users) {
+      const activeSystemIds = new Set(
+        (user.activeSystemIds || []).map((id) => id.toString())
+      );
+      const userSelections = validSelections.filter((s) =>
+        activeSystemIds.has(s.systemId._id.toString())
+      );
+      if (userSelections.length === 0) continue;
+
+      // Claim the selections before sending; the unique index on (userId, selectionId)
+      // means a selection already sent, or claimed by an overlapping run, is skipped
+      const runId = crypto.randomUUID();
+      try {
+        await SelectionEmailDelivery.insertMany(
+          userSelections.map((s) => ({
+            userId: user._id,
+            selectionId: s._id,
+            systemId: s.systemId._id,
+            dateISO,
+            runId,
+          })),
+          { ordered: false }
+        );
+      } catch (error) {
+        // Duplicate key errors are expected for selections already sent
+        if (!error.writeErrors && error.code !== 11000) throw error;
+      }
+
+      const claimed = await SelectionEmailDelivery.find({
+        userId: user._id,
+        runId,
+      })
+        .select("selectionId")
+        .lean();
+      const claimedIds = new Set(claimed.map((c) => c.selectionId.toString()));
+      const newSelections = userSelections.filter((s) =>
+        claimedIds.has(s._id.toString())
+      );
+      if (newSelections.length === 0) continue;
+
+      try {
+        const log = await notify({
+          template: "dailySelections",
+          user,
+          variables: {
+            firstName: user.firstName,
+            dateISO,
+            selections: newSelections.map((s) => ({
+              systemName: s.systemId.name,
+              time: s.time,
+              meeting: s.meeting,
+              horse: s.horse,
+              betSide: s.betSide,
+            })),
+          },
+        });
+        if (log.status !== "sent") {
+          // Opted out since the users were loaded
+          await SelectionEmailDelivery.deleteMany({ userId: user._id, runId });
+          continue;
+        }
+
+        await SelectionEmailDelivery.updateMany(
+          { userId: user._id, runId },
+          { $set: { messageId: log.providerMessageId, sentAt: new Date() } }
+        );
+
+        summary.usersEmailed += 1;
+        summary.selectionsSent += newSelections.length;
+      } catch (error) {
+        // Release the claim so the selections are retried on the next run
+        await SelectionEmailDelivery.deleteMany({ userId: user._id, runId });
+        console.error(
+          `Failed to send selections digest to ${user.email}:`,
+          error.message
+        );
+        summary.failures.push({ userId: user._id, error: error.message });
+      }
+    }
+
+    console.log(
+      `📧 Selections digest for ${dateISO}: ${summary.selectionsSent} selections to ${summary.usersEmailed} users`
+    );
+    return summary;
+  } finally {
+    isDigestRunning = false;
+  }
+}
+
+/**
+ * Send the digest in the background after an admin adds selections
+ * Only runs for uploads that include today's selections, and can be turned off
+ * with SELECTIONS_DIGEST_ON_UPLOAD=false (the cut-off job still sends them)
+ * @param {string[]} dateISOs - Dates of the selections just added
+ */
+function notifySelectionsAdded(dateISOs) {
+  if (process.env.SELECTIONS_DIGEST_ON_UPLOAD === "false") return;
+
+  const todayISO = getTodayISO();
+  if (!dateISOs.includes(todayISO)) return;
+
+  setImmediate(() => {
+    sendDailySelectionsDigest({ dateISO: todayISO }).catch((error) =>
+      console.error("❌ Error sending selections digest:", error.message)
+    );
+  });
+}
+
+module.exports = {
+  getTodayISO,
+  sendDailySelectionsDigest,
+  notifySelectionsAdded,
+};
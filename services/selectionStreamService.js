@@ -0,0 +1,252 @@
+const User = require("../models/User");
+const ApiKey = require("../models/ApiKey");
+const { hasPermission } = require("../config/roles");
+const { isSessionActive } = require("./sessionService");
+const {
+  createSignedToken,
+  verifySignedToken,
+} = require("./signedTokenService");
+
+// Server-Sent Events hub for new selections and results
+// Events are kept in a bounded in-memory buffer so a reconnecting client can
+// resume from its Last-Event-ID; if the ID is older than the buffer (or from
+// before a restart) the client is sent a "reset" event and should refetch
+
+// Recent events kept for resuming clients
+const BUFFER_SIZE = 500;
+// Keep-alive comment interval; also when the user's access is re-checked
+const HEARTBEAT_MS = 25 * 1000;
+// Reconnect delay suggested to clients
+const RETRY_MS = 5000;
+// Lifetime of a stream token; only checked when the stream is opened
+const STREAM_TOKEN_TTL_SECONDS = 60;
+
+// Event IDs are time based, so IDs from before a restart are always older than the buffer
+let lastEventId = Date.now();
+// Events after this ID are all still in the buffer
+let bufferStartId = lastEventId;
+const buffer = [];
+const clients = new Set();
+
+function nextEventId() {
+  lastEventId = Math.max(lastEventId + 1, Date.now());
+  return lastEventId;
+}
+
+function getSystemId(selection) {
+  const systemId = selection.systemId;
+  return (systemId && systemId._id ? systemId._id : systemId).toString();
+}
+
+// Fields pushed to subscribers for a selection (also used for webhook payloads)
+function toStreamSelection(selection) {
+  const s = selection.toObject ? selection.toObject() : selection;
+  return {
+    _id: s._id,
+    systemId: getSystemId(s),
+    systemName: s.systemId && s.systemId.name ? s.systemId.name : undefined,
+    dateISO: s.dateISO,
+    date: s.date,
+    time: s.time,
+    country: s.country,
+    meeting: s.meeting,
+    horse: s.horse,
+    betSide: s.betSide,
+    hasResult: s.hasResult,
+    result: s.result,
+    winBsp: s.winBsp,
+    winPL: s.winPL,
+    runningWinPL: s.runningWinPL,
+  };
+}
+
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(
+    event.data
+  )}\n\n`;
+}
+
+function canSee(client, systemId) {
+  return client.allSystems || client.activeSystemIds.has(systemId);
+}
+
+/**
+ * Publish selections to connected clients, one event per system
+ * @param {string} type - "selections" (new) or "results" (settled or reverted)
+ * @param {Array} selections - Selections (documents or lean, systemId optionally populated)
+ */
+function publish(type, selections) {
+  if (!selections || selections.length === 0) return;
+
+  const bySystem = new Map();
+  for (const selection of selections) {
+    if (!selection || !selection.systemId) continue;
+    const systemId = getSystemId(selection);
+    if (!bySystem.has(systemId)) bySystem.set(systemId, []);
+    bySystem.get(systemId).push(toStreamSelection(selection));
+  }
+
+  for (const [systemId, systemSelections] of bySystem.entries()) {
+    const event = {
+      id: nextEventId(),
+      type,
+      systemId,
+      data: { systemId, selections: systemSelections },
+    };
+
+    buffer.push(event);
+    if (buffer.length > BUFFER_SIZE) {
+      bufferStartId = buffer.shift().id;
+    }
+
+    const message = formatEvent(event);
+    for (const client of clients) {
+      if (canSee(client, systemId)) client.res.write(message);
+    }
+  }
+}
+
+/**
+ * Push newly created selections
+ * @param {Array} selections
+ */
+function publishSelections(selections) {
+  publish("selections", selections);
+}
+
+/**
+ * Push settled (or reverted) selections
+ * @param {Array} selections
+ */
+function publishResults(selections) {
+  publish("results", selections);
+}
+
+/**
+ * Short-lived token for opening the stream as ?stream_token=
+ * EventSource can't set headers, and the access token would end up in access
+ * logs and browser history if it went in the URL instead
+ * @param {Object} req - Request authenticated with an access token
+ * @returns {{streamToken: string, expiresIn: number}}
+ */
+function createStreamToken(req) {
+  const data = { userId: req.user._id.toString(), sid: req.sessionId };
+  if (req.impersonator) data.impersonatorId = req.impersonator._id.toString();
+  return {
+    streamToken: createSignedToken(
+      "selections-stream",
+      data,
+      STREAM_TOKEN_TTL_SECONDS
+    ),
+    expiresIn: STREAM_TOKEN_TTL_SECONDS,
+  };
+}
+
+/**
+ * Payload of a stream token
+ * @param {string} token
+ * @returns {Object|null} userId, sid and impersonatorId, or null if invalid or expired
+ */
+function verifyStreamToken(token) {
+  return verifySignedToken("selections-stream", token);
+}
+
+/**
+ * Attach a response as an SSE stream for the authenticated user
+ * Replays buffered events after the client's Last-Event-ID (header, or
+ * ?lastEventId= for clients that can't set it)
+ * @param {Object} req - Authenticated request (req.user)
+ * @param {Object} res
+ */
+function subscribe(req, res) {
+  const client = {
+    res,
+    userId: req.user._id,
+    apiKeyId: req.apiKey ? req.apiKey._id : null,
+    sessionId: req.sessionId || null,
+    // Impersonation streams run on the admin's session
+    sessionUserId: req.impersonator ? req.impersonator._id : req.user._id,
+    allSystems: hasPermission(req.user, "selections:all-systems"),
+    activeSystemIds: new Set(
+      (req.user.activeSystemIds || []).map((id) => id.toString())
+    ),
+  };
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable proxy buffering
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const resumeFrom = parseInt(
+    req.header("Last-Event-ID") || req.query.lastEventId,
+    10
+  );
+  if (Number.isFinite(resumeFrom)) {
+    if (resumeFrom >= bufferStartId) {
+      for (const event of buffer) {
+        if (event.id > resumeFrom && canSee(client, event.systemId)) {
+          res.write(formatEvent(event));
+        }
+      }
+    } else {
+      // Missed events are no longer available
+      res.write(
+        formatEvent({
+          id: lastEventId,
+          type: "reset",
+          data: {
+            reason: "Events since Last-Event-ID are no longer available",
+          },
+        })
+      );
+    }
+  }
+
+  clients.add(client);
+
+  // Keep the connection open and pick up subscription changes, blocks or a revoked API key/session
+  const heartbeat = setInterval(async () => {
+    res.write(": ping\n\n");
+    try {
+      const [user, apiKeyActive, sessionActive] = await Promise.all([
+        User.findById(client.userId)
+          .select("role activeSystemIds isBlocked")
+          .lean(),
+        client.apiKeyId
+          ? ApiKey.exists({ _id: client.apiKeyId, revokedAt: null })
+          : true,
+        client.sessionId
+          ? isSessionActive(client.sessionId, client.sessionUserId)
+          : true,
+      ]);
+      if (!user || user.isBlocked || !apiKeyActive || !sessionActive) {
+        res.end();
+        return;
+      }
+      client.allSystems = hasPermission(user, "selections:all-systems");
+      client.activeSystemIds = new Set(
+        (user.activeSystemIds || []).map((id) => id.toString())
+      );
+    } catch (error) {
+      console.error("Error refreshing selection stream user:", error.message);
+    }
+  }, HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+}
+
+module.exports = {
+  getSystemId,
+  toStreamSelection,
+  publishSelections,
+  publishResults,
+  subscribe,
+  createStreamToken,
+  verifyStreamToken,
+};
@@ -0,0 +1,140 @@
+const SystemSelection = require("../models/SystemSelection");
+const SelectionView = require("../models/SelectionView");
+
+// Per-user "new" state for selections
+// A selection is new to a user if it was created in the last SELECTION_NEW_DAYS
+// days and the user hasn't viewed it; older selections are never new
+
+const NEW_SELECTION_DAYS = Math.min(
+  parseInt(process.env.SELECTION_NEW_DAYS, 10) || 7,
+  60 // SelectionView documents expire after 90 days
+);
+
+/**
+ * Selections created before this are never new
+ * @returns {Date}
+ */
+function getNewSince() {
+  return new Date(Date.now() - NEW_SELECTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * IDs of selections a user has viewed within the new-selection window
+ * @param {string} userId
+ * @param {Array} [selectionIds] - Only check these selections
+ * @returns {Promise<Set<string>>}
+ */
+async function getViewedIds(userId, selectionIds) {
+  const query = { userId, viewedAt: { $gte: getNewSince() } };
+  if (selectionIds) query.selectionId = { $in: selectionIds };
+
+  const views = await SelectionView.find(query).select("selectionId").lean();
+  return new Set(views.map((view) => view.selectionId.toString()));
+}
+
+/**
+ * Query conditions matching selections that are (or aren't) new to a user
+ * @param {string} userId
+ * @param {boolean} isNew
+ * @returns {Promise<Object>} Conditions to merge into a SystemSelection query with $and
+ */
+async function buildNewSelectionFilter(userId, isNew) {
+  const since = getNewSince();
+  const viewedIds = Array.from(await getViewedIds(userId));
+
+  if (isNew) {
+    return { createdAt: { $gte: since }, _id: { $nin: viewedIds } };
+  }
+  return { $or: [{ createdAt: { $lt: since } }, { _id: { $in: viewedIds } }] };
+}
+
+/**
+ * Add a per-user isNew flag to selections
+ * @param {string} userId
+ * @param {Array} selections - Documents or lean objects
+ * @returns {Promise<Array>} Plain objects with isNew
+ */
+async function withViewState(userId, selections) {
+  const since = getNewSince();
+  const recentIds = selections
+    .filter((s) => s.createdAt && s.createdAt >= since)
+    .map((s) => s._id);
+  const viewedIds =
+    recentIds.length > 0 ? await getViewedIds(userId, recentIds) : new Set();
+
+  return selections.map((selection) => {
+    const data = selection.toObject ? selection.toObject() : selection;
+    return {
+      ...data,
+      isNew:
+        Boolean(data.createdAt && data.createdAt >= since) &&
+        !viewedIds.has(data._id.toString()),
+    };
+  });
+}
+
+/**
+ * Record that a user has viewed the new selections matching a query
+ * @param {string} userId
+ * @param {Object} query - SystemSelection query (already limited to the user's systems)
+ * @returns {Promise<number>} Number of selections newly marked as viewed
+ */
+async function markSelectionsViewedBy(userId, query) {
+  const selections = await SystemSelection.find({
+    ...query,
+    createdAt: { $gte: getNewSince() },
+  })
+    .select("_id systemId")
+    .lean();
+  if (selections.length === 0) return 0;
+
+  const now = new Date();
+  const result = await SelectionView.bulkWrite(
+    selections.map((selection) => ({
+      updateOne: {
+        filter: { userId, selectionId: selection._id },
+        update: {
+          $setOnInsert: { systemId: selection.systemId, viewedAt: now },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+  return result.upsertedCount;
+}
+
+/**
+ * Number of new selections per system for a user
+ * @param {string} userId
+ * @param {Array|null} systemIds - Systems to count, or null for all (admins)
+ * @returns {Promise<Map<string, number>>} systemId -> unread count
+ */
+async function getUnreadCounts(userId, systemIds) {
+  const query = { createdAt: { $gte: getNewSince() } };
+  if (systemIds) query.systemId = { $in: systemIds };
+
+  const [selections, viewedIds] = await Promise.all([
+    SystemSelection.find(query).select("_id systemId").lean(),
+    getViewedIds(userId),
+  ]);
+
+  const counts = new Map(
+    (systemIds || []).map((systemId) => [systemId.toString(), 0])
+  );
+  for (const selection of selections) {
+    if (viewedIds.has(selection._id.toString())) continue;
+    const systemId = selection.systemId.toString();
+    counts.set(systemId, (counts.get(systemId) || 0) + 1);
+  }
+  return counts;
+}
+
+module.exports = {
+  NEW_SELECTION_DAYS,
+  getNewSince,
+  buildNewSelectionFilter,
+  withViewState,
+  markSelectionsViewedBy,
+  getUnreadCounts,
+};
@@ -0,0 +1,214 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const User = require("../models/User");
+
+// Short-lived access tokens (JWT { userId, sid }) plus rotating refresh tokens
+// stored server-side (hashed) on a Session. Access tokens are only accepted
+// while their session is active, so revoking a session takes effect at once
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+const IMPERSONATION_TOKEN_TTL = process.env.IMPERSONATION_TOKEN_TTL || "30m";
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString("base64url");
+}
+
+function getRefreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function signAccessToken(userId, sessionId) {
+  return jwt.sign(
+    { userId, sid: sessionId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function buildTokens(session, refreshToken) {
+  const accessToken = signAccessToken(session.userId, session._id);
+  const { exp } = jwt.decode(accessToken);
+  return {
+    token: accessToken,
+    tokenExpiresAt: new Date(exp * 1000),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+    sessionId: session._id,
+  };
+}
+
+/**
+ * Start a session for a user who has just signed in
+ * @param {Object} user
+ * @param {Object} req - Login request (user agent and IP are recorded)
+ * @returns {Promise<Object>} { token, tokenExpiresAt, refreshToken, refreshTokenExpiresAt, sessionId }
+ */
+async function createSession(user, req) {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.get("User-Agent"),
+    ip: req.ip,
+    expiresAt: getRefreshExpiry(),
+  });
+  return buildTokens(session, refreshToken);
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * Each refresh token works once; presenting a replaced one revokes the
+ * session, as it means the token has been copied
+ * @param {string} refreshToken
+ * @param {Object} req - Refresh request
+ * @returns {Promise<Object>} Tokens as createSession, or { error, status }
+ */
+async function refreshSession(refreshToken, req) {
+  const invalid = { error: "Invalid or expired refresh token", status: 401 };
+  if (!refreshToken || typeof refreshToken !== "string") return invalid;
+
+  const tokenHash = hashToken(refreshToken);
+  const newRefreshToken = generateRefreshToken();
+  const now = new Date();
+
+  // Rotate atomically so two refreshes with the same token can't both succeed
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        previousRefreshTokenHash: tokenHash,
+        lastUsedAt: now,
+        ip: req.ip,
+        expiresAt: getRefreshExpiry(),
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { previousRefreshTokenHash: tokenHash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: "token_reuse" } }
+    );
+    if (reused) {
+      console.warn(
+        `🚫 Refresh token reuse detected, revoked session ${reused._id} for user ${reused.userId}`
+      );
+    }
+    return invalid;
+  }
+
+  const user = await User.findById(session.userId).select("isBlocked");
+  if (!user || user.isBlocked) {
+    await revokeSession(session._id, user ? "blocked" : "user_deleted");
+    return user
+      ? { error: "Account is blocked", status: 403 }
+      : { error: "User not found", status: 401 };
+  }
+
+  return buildTokens(session, newRefreshToken);
+}
+
+/**
+ * Sign a read-only access token for an admin to act as another user
+ * It has no refresh token and belongs to the admin's own session, so it stops
+ * working when that session is revoked
+ * @param {Object} user - User to impersonate
+ * @param {Object} impersonator - Admin
+ * @param {string} sessionId - Admin's current session
+ * @returns {{token: string, tokenExpiresAt: Date}}
+ */
+function createImpersonationToken(user, impersonator, sessionId) {
+  const token = jwt.sign(
+    {
+      userId: user._id,
+      sid: sessionId.toString(),
+      impersonatorId: impersonator._id,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: IMPERSONATION_TOKEN_TTL }
+  );
+  const { exp } = jwt.decode(token);
+  return { token, tokenExpiresAt: new Date(exp * 1000) };
+}
+
+/**
+ * Whether an access token's session is still active
+ * @param {string} sessionId
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(sessionId, userId) {
+  const session = await Session.exists({
+    _id: sessionId,
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return Boolean(session);
+}
+
+/**
+ * Revoke one session
+ * @param {string} sessionId
+ * @param {string} reason
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+async function revokeSession(sessionId, reason) {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke all of a user's sessions
+ * @param {string} userId
+ * @param {string} reason - e.g. "password_changed", "blocked"
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - Keep this session (the caller's own)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeUserSessions(userId, reason, { exceptSessionId } = {}) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return result.modifiedCount;
+}
+
+/**
+ * A user's active sessions, most recently used first
+ * @param {string} userId
+ * @returns {Promise<Array>}
+ */
+async function listSessions(userId) {
+  return Session.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("userAgent ip createdAt lastUsedAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
+
+module.exports = {
+  createSession,
+  refreshSession,
+  createImpersonationToken,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions,
+  listSessions,
+};
@@ -0,0 +1,244 @@
+const System = require("../models/System");
+const SystemSelection = require("../models/SystemSelection");
+
+// Defaults match the original hardcoded model: 1pt level-stakes lay at 2% commission
+const DEFAULT_STAKING = {
+  commissionRate: 0.02,
+  stake: 1,
+  betType: "lay",
+};
+
+/**
+ * Resolve the staking settings for a system, falling back to the defaults
+ * for systems created before the settings existed
+ * @param {Object} system - System document (or lean object)
+ * @returns {{commissionRate: number, stake: number, betType: string}}
+ */
+function getStakingSettings(system) {
+  const settings = { ...DEFAULT_STAKING };
+  if (!system) return settings;
+
+  if (Number.isFinite(system.commissionRate)) {
+    settings.commissionRate = system.commissionRate;
+  }
+  if (Number.isFinite(system.stake)) {
+    settings.stake = system.stake;
+  }
+  if (system.betType === "lay" || system.betType === "back") {
+    settings.betType = system.betType;
+  }
+  return settings;
+}
+
+/**
+ * Resolve the bet side for a selection
+ * Selections record their own side; older selections fall back to the system's bet type
+ * @param {Object} selection - SystemSelection document (or lean object)
+ * @param {Object} staking - Staking settings (see getStakingSettings)
+ * @returns {string} "lay" or "back"
+ */
+function getBetSide(selection, staking = DEFAULT_STAKING) {
+  if (
+    selection &&
+    (selection.betSide === "lay" || selection.betSide === "back")
+  ) {
+    return selection.betSide;
+  }
+  return getStakingSettings(staking).betType;
+}
+
+/**
+ * Staking settings for settling a single selection (system settings + selection's side)
+ * @param {Object} selection - SystemSelection document (or lean object)
+ * @param {Object} staking - Staking settings (see getStakingSettings)
+ * @returns {{commissionRate: number, stake: number, betType: string}}
+ */
+function getSelectionStaking(selection, staking = DEFAULT_STAKING) {
+  return {
+    ...getStakingSettings(staking),
+    betType: getBetSide(selection, staking),
+  };
+}
+
+/**
+ * Whether a result is a winning bet for the given side
+ * Lay bets win when the horse LOST, back bets win when the horse WON
+ * @param {string} result - Selection result
+ * @param {string} betSide - "lay" or "back"
+ * @returns {boolean}
+ */
+function isWinningBet(result, betSide = "lay") {
+  if (!result) return false;
+  const upperResult = result.toUpperCase();
+  return betSide === "back"
+    ? upperResult.includes("WON")
+    : upperResult.includes("LOST");
+}
+
+/**
+ * Calculate winPL for a settled selection
+ * Lay:  WON => -(BSP - 1) * stake, LOST => stake * (1 - commission)
+ * Back: WON => (BSP - 1) * stake * (1 - commission), LOST => -stake
+ * PLACED (from historical data) lost the win market, so settles as LOST
+ * NR/VOID/CANCELLED => 0
+ * @param {string} result - Selection result ("WON", "LOST", "NR", ...)
+ * @param {number} winBsp - Betfair SP
+ * @param {Object} staking - Staking settings (see getStakingSettings)
+ * @returns {number} Profit/loss in points
+ */
+function calculateWinPL(result, winBsp, staking = DEFAULT_STAKING) {
+  const { commissionRate, stake, betType } = getStakingSettings(staking);
+  const upperResult = String(result || "").toUpperCase();
+
+  if (upperResult === "WON") {
+    if (betType === "back") {
+      return (winBsp - 1) * stake * (1 - commissionRate);
+    }
+    return (1 - winBsp) * stake; // Negative value (loss for lay bet)
+  } else if (upperResult === "LOST" || upperResult === "PLACED") {
+    if (betType === "back") {
+      return -stake;
+    }
+    return stake * (1 - commissionRate); // Stake minus commission
+  }
+  // No profit/loss for NR/VOID/CANCELLED
+  return 0;
+}
+
+/**
+ * Move a system's selections that inherited its bet type onto a new one
+ * Selections whose side was chosen individually (betSideOverride) keep it
+ * @param {string} systemId
+ * @param {string} betType - "lay" or "back"
+ * @returns {Promise<number>} Number of selections changed
+ */
+async function applySystemBetType(systemId, betType) {
+  const result = await SystemSelection.updateMany(
+    { systemId, betSideOverride: { $ne: true }, betSide: { $ne: betType } },
+    { $set: { betSide: betType } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Recalculate winPL and runningWinPL for every selection in a system
+ * Re-settles each selection with a result using the system's current staking
+ * settings, so historical P/L follows any change to commission, stake or bet type
+ * @param {string} systemId - The system ID to recalculate
+ * @returns {Promise<Object>} Counts of selections processed and updated
+ */
+async function recalculateSystemPL(systemId) {
+  const system = await System.findById(systemId).lean();
+  if (!system) {
+    throw new Error(`System with ID ${systemId} not found`);
+  }
+
+  const staking = getStakingSettings(system);
+
+  const selections = await SystemSelection.find({ systemId: system._id })
+    .sort({ rowOrder: 1 })
+    .select("_id result winBsp winPL runningWinPL hasResult betSide")
+    .lean();
+
+  const bulkOps = [];
+  let runningWinPL = 0;
+
+  for (const selection of selections) {
+    let winPL = selection.winPL;
+
+    // Only settled selections with a result can be re-priced
+    if (selection.hasResult && selection.result) {
+      const upperResult = selection.result.toUpperCase();
+      const hasBsp = Number.isFinite(selection.winBsp) && selection.winBsp > 0;
+      // Keep stored P/L for winners without a BSP (nothing to re-price from)
+      if (upperResult !== "WON" || hasBsp) {
+        winPL = calculateWinPL(
+          upperResult,
+          selection.winBsp,
+          getSelectionStaking(selection, staking)
+        );
+      }
+    }
+
+    runningWinPL += winPL || 0;
+
+    if (winPL !== selection.winPL || runningWinPL !== selection.runningWinPL) {
+      bulkOps.push({
+        updateOne: {
+          filter: { _id: selection._id },
+          update: { $set: { winPL, runningWinPL } },
+        },
+      });
+    }
+  }
+
+  if (bulkOps.length > 0) {
+    await SystemSelection.bulkWrite(bulkOps, { ordered: false });
+  }
+
+  console.log(
+    `Recalculated P/L for system ${system.slug}: ${bulkOps.length} of ${selections.length} selections updated`
+  );
+
+  return {
+    systemId: system._id,
+    processed: selections.length,
+    updated: bulkOps.length,
+    runningWinPL: Math.round(runningWinPL * 100) / 100,
+    staking,
+  };
+}
+
+/**
+ * Recompute runningWinPL for a system from each selection's stored winPL
+ * Unlike recalculateSystemPL, results are not re-priced
+ * @param {string} systemId - The system ID to recalculate
+ * @param {ClientSession} [session] - Optional transaction session
+ * @returns {Promise<Object>} Counts of selections processed and updated
+ */
+async function recalculateRunningPL(systemId, session = null) {
+  const selections = await SystemSelection.find({ systemId })
+    .sort({ rowOrder: 1 })
+    .select("_id winPL runningWinPL")
+    .session(session)
+    .lean();
+
+  const bulkOps = [];
+  let runningWinPL = 0;
+
+  for (const selection of selections) {
+    runningWinPL += selection.winPL || 0;
+
+    if (runningWinPL !== selection.runningWinPL) {
+      bulkOps.push({
+        updateOne: {
+          filter: { _id: selection._id },
+          update: { $set: { runningWinPL } },
+        },
+      });
+    }
+  }
+
+  if (bulkOps.length > 0) {
+    await SystemSelection.bulkWrite(bulkOps, { ordered: false, session });
+  }
+
+  return {
+    systemId,
+    processed: selections.length,
+    updated: bulkOps.length,
+    runningWinPL: Math.round(runningWinPL * 100) / 100,
+  };
+}
+
+module.exports = {
+  DEFAULT_STAKING,
+  getStakingSettings,
+  getBetSide,
+  getSelectionStaking,
+  isWinningBet,
+  calculateWinPL,
+  applySystemBetType,
+  recalculateSystemPL,
+  recalculateRunningPL,
+};
@@ -0,0 +1,64 @@
+const crypto = require("crypto");
+
+// Signed tokens for links in emails (billing portal, unsubscribe, ...)
+// These are deliberately not JWTs: anything signed with JWT_SECRET would be
+// accepted by the auth middleware as a login token
+
+function getSecret() {
+  return process.env.LINK_TOKEN_SECRET || process.env.JWT_SECRET;
+}
+
+function sign(purpose, payload) {
+  return crypto
+    .createHmac("sha256", getSecret())
+    .update(`${purpose}:${payload}`)
+    .digest("base64url");
+}
+
+/**
+ * Create a signed token for a single purpose
+ * @param {string} purpose - e.g. "billing-portal"; a token only verifies for its own purpose
+ * @param {Object} data - JSON-serialisable payload
+ * @param {number} [ttlSeconds] - Lifetime; omit for a token that doesn't expire
+ * @returns {string}
+ */
+function createSignedToken(purpose, data, ttlSeconds) {
+  const body = { ...data };
+  if (ttlSeconds) body.exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+
+  const payload = Buffer.from(JSON.stringify(body)).toString("base64url");
+  return `${payload}.${sign(purpose, payload)}`;
+}
+
+/**
+ * Verify a token created by createSignedToken
+ * @param {string} purpose - Purpose the token must have been created for
+ * @param {string} token
+ * @returns {Object|null} The payload, or null if invalid or expired
+ */
+function verifySignedToken(purpose, token) {
+  const [payload, signature] = String(token || "").split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(purpose, payload));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, "base64url").toString());
+    if (data.exp && data.exp < Math.floor(Date.now() / 1000)) return null;
+    return data;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  createSignedToken,
+  verifySignedToken,
+};
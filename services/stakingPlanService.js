@@ -0,0 +1,153 @@
+const {
+  getBetSide,
+  isWinningBet,
+  calculateWinPL,
+} = require("./settlementService");
+
+// Staking plan simulation: replays a system's settled selections with a bank
+
+const STAKING_PLANS = ["level", "fixedLiability", "percentBank", "kelly"];
+
+/**
+ * Convert an amount at risk into a bet stake
+ * Lay risk is the liability, so the lay stake is risk / (BSP - 1)
+ */
+function riskToStake(risk, bsp, betSide) {
+  if (betSide === "back") return risk;
+  return bsp > 1 ? risk / (bsp - 1) : 0;
+}
+
+/**
+ * Kelly fraction of bank to risk on a bet
+ * b = net return per unit risked, p = estimated probability the bet wins
+ * @param {number} p - Estimated probability the bet wins
+ * @param {number} bsp - Betfair SP
+ * @param {string} betSide - "lay" or "back"
+ * @param {number} commissionRate
+ * @returns {number} Fraction of the bank (0 when there is no edge)
+ */
+function calculateKellyFraction(p, bsp, betSide, commissionRate) {
+  if (!(bsp > 1)) return 0;
+  const b =
+    betSide === "back"
+      ? (bsp - 1) * (1 - commissionRate)
+      : (1 - commissionRate) / (bsp - 1);
+  const f = (b * p - (1 - p)) / b;
+  return f > 0 ? f : 0;
+}
+
+/**
+ * Replay settled selections in order with a staking plan
+ * Kelly estimates the win probability from the bets before each one (no look-ahead),
+ * and stays out of the market until kellyMinBets results are known
+ * @param {Array} results - Settled selections in race order
+ * @param {Object} plan - Staking plan (type, startingBank, stake, liability, percent, kellyFraction, kellyMinBets)
+ * @param {Object} staking - System staking settings (see getStakingSettings)
+ * @returns {Object} The daily bank curve plus turnover and drawdown in currency
+ */
+function simulateStakingPlan(results, plan, staking) {
+  let bank = plan.startingBank;
+  let turnover = 0;
+  let totalLiability = 0;
+  let betsPlaced = 0;
+  let priorBets = 0;
+  let priorWins = 0;
+  let busted = false;
+  let peakBank = bank;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+  const bankByDate = new Map();
+
+  for (const r of results) {
+    const betSide = getBetSide(r, staking);
+    const bsp = r.winBsp;
+    const upperResult = (r.result || "").toUpperCase();
+    const isSettledRunner = upperResult === "WON" || upperResult === "LOST";
+    const hasBsp = Number.isFinite(bsp) && bsp > 1;
+
+    let betStake = 0;
+    if (!busted && isSettledRunner && hasBsp) {
+      let risk = 0;
+      if (plan.type === "level") {
+        risk = betSide === "back" ? plan.stake : plan.stake * (bsp - 1);
+      } else if (plan.type === "fixedLiability") {
+        risk = plan.liability;
+      } else if (plan.type === "percentBank") {
+        risk = (bank * plan.percent) / 100;
+      } else if (plan.type === "kelly" && priorBets >= plan.kellyMinBets) {
+        // Laplace-smoothed strike rate of the bets seen so far
+        const p = (priorWins + 1) / (priorBets + 2);
+        risk =
+          bank *
+          plan.kellyFraction *
+          calculateKellyFraction(p, bsp, betSide, staking.commissionRate);
+      }
+
+      // Never risk more than is left in the bank
+      risk = Math.min(risk, bank);
+      betStake = riskToStake(risk, bsp, betSide);
+    }
+
+    let pl = 0;
+    if (betStake > 0) {
+      pl = calculateWinPL(upperResult, bsp, {
+        commissionRate: staking.commissionRate,
+        stake: betStake,
+        betType: betSide,
+      });
+      turnover += betStake;
+      totalLiability += betSide === "back" ? betStake : betStake * (bsp - 1);
+      betsPlaced++;
+      bank += pl;
+      if (bank <= 0) {
+        bank = 0;
+        busted = true;
+      }
+    }
+
+    if (isSettledRunner) {
+      priorBets++;
+      if (isWinningBet(upperResult, betSide)) priorWins++;
+    }
+
+    // Drawdown from the bank's previous peak, in currency and as a share of it
+    if (bank > peakBank) peakBank = bank;
+    maxDrawdown = Math.max(maxDrawdown, peakBank - bank);
+    if (peakBank > 0) {
+      maxDrawdownPercent = Math.max(
+        maxDrawdownPercent,
+        ((peakBank - bank) / peakBank) * 100
+      );
+    }
+
+    const dateKey =
+      r.dateISO || (r.date ? new Date(r.date).toISOString().slice(0, 10) : "");
+    bankByDate.set(dateKey, bank);
+  }
+
+  const totalPL = bank - plan.startingBank;
+
+  return {
+    startingBank: plan.startingBank,
+    finalBank: Math.round(bank * 100) / 100,
+    totalPL: Math.round(totalPL * 100) / 100,
+    turnover: Math.round(turnover * 100) / 100,
+    totalLiability: Math.round(totalLiability * 100) / 100,
+    roi: turnover > 0 ? Math.round((totalPL / turnover) * 100 * 10) / 10 : 0,
+    betsPlaced,
+    totalBets: results.length,
+    maxDrawdown: 0 - Math.round(maxDrawdown * 100) / 100,
+    maxDrawdownPercent: Math.round(maxDrawdownPercent * 10) / 10,
+    busted,
+    bankCurve: Array.from(bankByDate.entries()).map(([date, value]) => ({
+      date,
+      bank: Math.round(value * 100) / 100,
+    })),
+  };
+}
+
+module.exports = {
+  STAKING_PLANS,
+  calculateKellyFraction,
+  simulateStakingPlan,
+};
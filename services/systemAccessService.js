@@ -0,0 +1,116 @@
+const StripeSubscription = require("../models/StripeSubscription");
+const System = require("../models/System");
+const User = require("../models/User");
+
+// A user's activeSystemIds are the systems from their active subscriptions
+// plus any unexpired comps granted by an admin (user.systemComps)
+
+/**
+ * Systems covered by a user's active (or trialing) subscriptions
+ * @param {string} userId
+ * @returns {Promise<Array>} System IDs
+ */
+async function getSubscribedSystemIds(userId) {
+  const activeSubscriptions = await StripeSubscription.find({
+    userId,
+    status: { $in: ["active", "trialing"] },
+  });
+
+  // Collect all system slugs from all active subscriptions
+  const allSystemSlugs = new Set();
+  for (const sub of activeSubscriptions) {
+    if (sub.metadata && sub.metadata.systemSlugs) {
+      try {
+        const parsed = JSON.parse(sub.metadata.systemSlugs);
+        if (Array.isArray(parsed)) {
+          parsed.forEach((slug) => allSystemSlugs.add(slug));
+        }
+      } catch (e) {
+        // If parsing fails, skip this subscription's systems
+        console.error(
+          `Error parsing systemSlugs for subscription ${sub.stripeSubscriptionId}:`,
+          e
+        );
+      }
+    }
+  }
+
+  if (allSystemSlugs.size === 0) return [];
+
+  const systems = await System.find({
+    slug: { $in: Array.from(allSystemSlugs) },
+  }).select("_id");
+  return systems.map((system) => system._id);
+}
+
+/**
+ * A user's comps that haven't expired yet
+ * @param {Object} user
+ * @param {Date} [now]
+ * @returns {Array}
+ */
+function getActiveComps(user, now = new Date()) {
+  return (user.systemComps || []).filter((comp) => comp.expiresAt > now);
+}
+
+/**
+ * Recalculate and save a user's activeSystemIds from their subscriptions and
+ * comps, dropping expired comps
+ * @param {string} userId
+ * @returns {Promise<Object|null>} Updated user, or null if not found
+ */
+async function recalculateActiveSystemIds(userId) {
+  const [subscribedIds, user] = await Promise.all([
+    getSubscribedSystemIds(userId),
+    User.findById(userId),
+  ]);
+  if (!user) return null;
+
+  const comps = getActiveComps(user);
+  const systemIds = new Map();
+  for (const id of [...subscribedIds, ...comps.map((comp) => comp.systemId)]) {
+    systemIds.set(id.toString(), id);
+  }
+
+  user.systemComps = comps;
+  user.activeSystemIds = Array.from(systemIds.values());
+  await user.save();
+
+  console.log(
+    `User ${userId} activeSystemIds recalculated:`,
+    user.activeSystemIds
+  );
+  return user;
+}
+
+/**
+ * Remove expired comps and the access they granted
+ * Run periodically; access also ends whenever activeSystemIds is next recalculated
+ * @returns {Promise<number>} Number of users updated
+ */
+async function expireSystemComps() {
+  const users = await User.find({
+    "systemComps.expiresAt": { $lte: new Date() },
+  }).select("_id");
+
+  let updated = 0;
+  for (const user of users) {
+    try {
+      await recalculateActiveSystemIds(user._id);
+      updated++;
+    } catch (error) {
+      console.error(
+        `Error expiring system comps for user ${user._id}:`,
+        error.message
+      );
+    }
+  }
+  return updated;
+}
+
+module.exports = {
+  getSubscribedSystemIds,
+  getActiveComps,
+  recalculateActiveSystemIds,
+  expireSystemComps,
+};
@@ -0,0 +1,430 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const { ROLE_PERMISSIONS } = require("../config/roles");
+const {
+  createSignedToken,
+  verifySignedToken,
+} = require("./signedTokenService");
+
+// TOTP (RFC 6238) two-factor authentication: 6 digits, 30 second steps, SHA-1,
+// which is what authenticator apps expect. Secrets are stored encrypted
+// (AES-256-GCM, key from TWO_FACTOR_KEY or JWT_SECRET) and recovery codes
+// hashed. Login challenges, staff enrolment and remembered devices use signed
+// tokens (see signedTokenService)
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "Fortis Sports Trading";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from one step either side are accepted to allow for clock drift
+const WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+// Time allowed between the password and the code at login
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+// Time allowed for staff without 2FA to enrol after entering their password
+const SETUP_TTL_SECONDS = 15 * 60;
+const REMEMBER_DEVICE_DAYS =
+  parseInt(process.env.TWO_FACTOR_REMEMBER_DAYS, 10) || 30;
+
+// Wrong codes allowed per user before verification is paused
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 5 * 60 * 1000;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(value) {
+  let bits = 0;
+  let current = 0;
+  const bytes = [];
+  for (const char of value.replace(/=+$/, "").toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    current = (current << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((current >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function getEncryptionKey() {
+  return crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_KEY || process.env.JWT_SECRET)
+    .digest();
+}
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv.tag.ciphertext (base64url)
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} stored - Output of encryptSecret
+ * @returns {string} Base32 secret
+ */
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = stored
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getEncryptionKey(),
+    iv
+  );
+  decipher.setAuthTag(tag);
+  return Buffer.concat([
+    decipher.update(encrypted),
+    decipher.final(),
+  ]).toString();
+}
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} Base32 secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * otpauth:// URI for an authenticator app, shown to the user as a QR code
+ * @param {string} email - Account name shown in the app
+ * @param {string} secret - Base32 secret
+ * @returns {string}
+ */
+function getOtpauthUrl(email, secret) {
+  const label = encodeURIComponent(`${ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+}
+
+/**
+ * Check a TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [lastUsedStep] - Step of the last accepted code; it and
+ *   earlier steps are rejected so a code can't be replayed
+ * @returns {number|null} Step the code matched, or null if invalid
+ */
+function verifyTotp(secret, code, lastUsedStep = 0) {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (let step = currentStep - WINDOW; step <= currentStep + WINDOW; step++) {
+    if (step <= (lastUsedStep || 0)) continue;
+    const expected = Buffer.from(generateCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Generate a set of single-use recovery codes
+ * @returns {Promise<{codes: string[], hashes: string[]}>} Codes to show the
+ *   user once, and hashes to store
+ */
+async function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  const hashes = await Promise.all(
+    codes.map((code) => bcrypt.hash(normalizeRecoveryCode(code), 10))
+  );
+  return { codes, hashes };
+}
+
+/**
+ * Find which stored recovery code hash a code matches
+ * @param {string[]} hashes - Unused recovery code hashes
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<number>} Index of the matching hash, or -1
+ */
+async function matchRecoveryCode(hashes, code) {
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized) return -1;
+  for (let i = 0; i < hashes.length; i++) {
+    if (await bcrypt.compare(normalized, hashes[i])) return i;
+  }
+  return -1;
+}
+
+/**
+ * Token proving the password was correct, exchanged with a code for a session
+ * @param {Object} user
+ * @returns {string}
+ */
+function createLoginChallenge(user) {
+  return createSignedToken(
+    "2fa-login",
+    { userId: user._id.toString() },
+    CHALLENGE_TTL_SECONDS
+  );
+}
+
+/**
+ * Token letting staff without 2FA enrol after entering their password
+ * @param {Object} user
+ * @returns {string}
+ */
+function createSetupToken(user) {
+  return createSignedToken(
+    "2fa-setup",
+    { userId: user._id.toString() },
+    SETUP_TTL_SECONDS
+  );
+}
+
+/**
+ * User ID from a login challenge or setup token
+ * @param {string} purpose - "2fa-login" or "2fa-setup"
+ * @param {string} token
+ * @returns {string|null}
+ */
+function verifyTwoFactorToken(purpose, token) {
+  const data = verifySignedToken(purpose, token);
+  return data ? data.userId : null;
+}
+
+/**
+ * Token that skips the code on this device for REMEMBER_DEVICE_DAYS
+ * Bumping user.twoFactor.deviceVersion forgets every remembered device
+ * @param {Object} user
+ * @returns {{deviceToken: string, deviceTokenExpiresAt: Date}}
+ */
+function createDeviceToken(user) {
+  const ttlSeconds = REMEMBER_DEVICE_DAYS * 24 * 60 * 60;
+  return {
+    deviceToken: createSignedToken(
+      "2fa-device",
+      {
+        userId: user._id.toString(),
+        version: user.twoFactor.deviceVersion || 0,
+      },
+      ttlSeconds
+    ),
+    deviceTokenExpiresAt: new Date(Date.now() + ttlSeconds * 1000),
+  };
+}
+
+/**
+ * Whether a device token remembers this device for the user
+ * @param {Object} user
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isRememberedDevice(user, token) {
+  if (!token) return false;
+  const data = verifySignedToken("2fa-device", token);
+  return Boolean(
+    data &&
+      data.userId === user._id.toString() &&
+      data.version === (user.twoFactor.deviceVersion || 0)
+  );
+}
+
+// userId -> { count, resetAt }; in memory, like the API key rate limits
+const failedAttempts = new Map();
+
+/**
+ * Whether a user has entered too many wrong codes recently
+ * @param {string} userId
+ * @returns {boolean}
+ */
+function isLockedOut(userId) {
+  const entry = failedAttempts.get(userId.toString());
+  if (!entry) return false;
+  if (entry.resetAt <= Date.now()) {
+    failedAttempts.delete(userId.toString());
+    return false;
+  }
+  return entry.count >= MAX_FAILED_ATTEMPTS;
+}
+
+/**
+ * Count a wrong code (or recovery code) towards the lockout
+ * @param {string} userId
+ */
+function recordFailedAttempt(userId) {
+  const key = userId.toString();
+  const entry = failedAttempts.get(key);
+  if (!entry || entry.resetAt <= Date.now()) {
+    failedAttempts.set(key, { count: 1, resetAt: Date.now() + LOCKOUT_MS });
+  } else {
+    entry.count++;
+  }
+}
+
+/**
+ * Reset the lockout after a correct code
+ * @param {string} userId
+ */
+function clearFailedAttempts(userId) {
+  failedAttempts.delete(userId.toString());
+}
+
+/**
+ * Check a code (or recovery code) from a user with 2FA enabled and use it up
+ * @param {Object} user - With twoFactor.secret, recoveryCodeHashes and lastUsedStep selected
+ * @param {Object} input
+ * @param {string} [input.code] - Code from the authenticator app
+ * @param {string} [input.recoveryCode]
+ * @returns {Promise<{valid: boolean, lockedOut: boolean, usedRecoveryCode: boolean, recoveryCodesRemaining: number}>}
+ */
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  const hashes = user.twoFactor.recoveryCodeHashes || [];
+  const result = {
+    valid: false,
+    lockedOut: false,
+    usedRecoveryCode: false,
+    recoveryCodesRemaining: hashes.length,
+  };
+  if (isLockedOut(user._id)) {
+    result.lockedOut = true;
+    return result;
+  }
+
+  // Updates are conditional so the same code can't be used twice at once
+  if (code) {
+    const step = verifyTotp(
+      decryptSecret(user.twoFactor.secret),
+      code,
+      user.twoFactor.lastUsedStep
+    );
+    if (step !== null) {
+      const update = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { "twoFactor.lastUsedStep": { $lt: step } },
+            { "twoFactor.lastUsedStep": null },
+          ],
+        },
+        { $set: { "twoFactor.lastUsedStep": step } }
+      );
+      result.valid = update.modifiedCount > 0;
+    }
+  } else if (recoveryCode) {
+    const index = await matchRecoveryCode(hashes, recoveryCode);
+    if (index !== -1) {
+      const update = await User.updateOne(
+        { _id: user._id, "twoFactor.recoveryCodeHashes": hashes[index] },
+        { $pull: { "twoFactor.recoveryCodeHashes": hashes[index] } }
+      );
+      result.valid = update.modifiedCount > 0;
+      result.usedRecoveryCode = result.valid;
+      if (result.valid) result.recoveryCodesRemaining--;
+    }
+  }
+
+  if (result.valid) {
+    clearFailedAttempts(user._id);
+  } else {
+    recordFailedAttempt(user._id);
+  }
+  return result;
+}
+
+/**
+ * Check the first code from the authenticator app when enabling 2FA
+ * Wrong codes count towards the same lockout as signing in
+ * @param {Object} user - With twoFactor.pendingSecret selected
+ * @param {string} code
+ * @returns {{step: number|null, lockedOut: boolean}} Step the code matched
+ */
+function verifyEnrolmentCode(user, code) {
+  if (isLockedOut(user._id)) return { step: null, lockedOut: true };
+
+  const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), code);
+  if (step === null) {
+    recordFailedAttempt(user._id);
+  } else {
+    clearFailedAttempts(user._id);
+  }
+  return { step, lockedOut: false };
+}
+
+/**
+ * Whether a user must use 2FA: mandatory for every staff role that can
+ * change anything (any *:write permission)
+ * @param {Object} user
+ * @returns {boolean}
+ */
+function isTwoFactorRequired(user) {
+  return (ROLE_PERMISSIONS[user.role] || []).some((permission) =>
+    permission.endsWith(":write")
+  );
+}
+
+module.exports = {
+  encryptSecret,
+  generateSecret,
+  getOtpauthUrl,
+  verifyTotp,
+  decryptSecret,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  verifyEnrolmentCode,
+  createLoginChallenge,
+  createSetupToken,
+  verifyTwoFactorToken,
+  createDeviceToken,
+  isRememberedDevice,
+  isTwoFactorRequired,
+};
@@ -0,0 +1,536 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const User = require("../models/User");
+const WebhookEndpoint = require("../models/WebhookEndpoint");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const { hasPermission } = require("../config/roles");
+const { getSystemId, toStreamSelection } = require("./selectionStreamService");
+
+// Outbound webhooks: selection events POSTed as signed JSON to users' endpoints
+//
+// Each request carries
+//   X-FTS-Event:     event type, e.g. "selections.published"
+//   X-FTS-Delivery:  delivery ID (new for each redelivery)
+//   X-FTS-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" with the endpoint secret>
+// Any 2xx response is a success; anything else (including redirects) is retried
+// with exponential backoff until WEBHOOK_MAX_ATTEMPTS is reached
+
+const EVENT_TYPES = ["selections.published", "selections.settled"];
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+// Delay before the first retry; doubles after each failed attempt (1, 2, 4, 8, 16 min)
+const RETRY_BASE_MS = 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Longest response body kept in the delivery log
+const MAX_RESPONSE_BODY = 1000;
+// How long a claimed delivery (in flight or being retried) is hidden from other workers
+const CLAIM_MS = 2 * 60 * 1000;
+const MAX_ENDPOINTS_PER_USER = 5;
+
+let isRetryRunning = false;
+
+/**
+ * Generate a signing secret for a new endpoint
+ * @returns {string}
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+/**
+ * Signature header for a payload
+ * @param {string} secret - Endpoint secret
+ * @param {string} body - Raw JSON body
+ * @param {number} [timestamp] - Unix seconds, defaults to now
+ * @returns {string} "t=...,v1=..."
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Addresses webhooks may never be sent to: private, loopback, link-local
+// (including cloud metadata at 169.254.169.254), CGNAT, multicast, and other
+// reserved or documentation ranges
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.88.99.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  blockedAddresses.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127], // Unspecified and loopback
+  ["64:ff9b::", 96], // NAT64
+  ["64:ff9b:1::", 48],
+  ["100::", 64], // Discard
+  ["2001::", 23], // Protocol assignments, including Teredo
+  ["2001:db8::", 32], // Documentation
+  ["2002::", 16], // 6to4
+  ["fc00::", 7], // Unique local
+  ["fe80::", 10], // Link-local
+  ["fec0::", 10], // Site-local
+  ["ff00::", 8], // Multicast
+]) {
+  blockedAddresses.addSubnet(network, prefix, "ipv6");
+}
+
+/**
+ * Canonical form of an IP address; IPv4-mapped IPv6 (::ffff:7f00:1) becomes IPv4
+ * @param {string} address
+ * @returns {string}
+ */
+function normalizeAddress(address) {
+  const host = address.replace(/^\[|\]$/g, "").toLowerCase();
+  if (!net.isIPv6(host)) return host;
+
+  const canonical = new URL(`http://[${host}]/`).hostname.slice(1, -1);
+  const mapped = canonical.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (!mapped) return canonical;
+
+  const high = parseInt(mapped[1], 16);
+  const low = parseInt(mapped[2], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join(".");
+}
+
+/**
+ * Whether an IP address is in a blocked (non-public) range
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const ip = normalizeAddress(address);
+  const family = net.isIP(ip);
+  if (family === 0) return false;
+  return blockedAddresses.check(ip, family === 4 ? "ipv4" : "ipv6");
+}
+
+function isLocalHostname(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  return (
+    host === "localhost" ||
+    host.endsWith(".localhost") ||
+    isPrivateAddress(host)
+  );
+}
+
+// Outside production, endpoints on localhost (by name or address) are allowed
+// so a local receiver can be used for testing
+function allowsLocalEndpoint(hostname) {
+  return process.env.NODE_ENV !== "production" && isLocalHostname(hostname);
+}
+
+/**
+ * Check an endpoint URL is acceptable
+ * Must be HTTPS on a public host; outside production plain HTTP to localhost
+ * is allowed so a local receiver can be used for testing
+ * @param {string} value
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateEndpointUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return "Invalid URL";
+  }
+
+  if (url.username || url.password) {
+    return "URL must not contain credentials";
+  }
+
+  if (allowsLocalEndpoint(url.hostname)) {
+    return ["http:", "https:"].includes(url.protocol)
+      ? null
+      : "URL must use HTTPS";
+  }
+
+  if (url.protocol !== "https:") return "URL must use HTTPS";
+  if (isLocalHostname(url.hostname)) return "URL must be a public host";
+  return null;
+}
+
+/**
+ * DNS lookup for webhook requests that refuses non-public addresses
+ * Every address a name resolves to is checked when connecting, so a name
+ * pointed at an internal address after the endpoint was saved is still caught
+ * (IP literals skip lookup; validateEndpointUrl checks those)
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!allowsLocalEndpoint(hostname)) {
+      const blocked = addresses.find((a) => isPrivateAddress(a.address));
+      if (blocked) {
+        return callback(
+          new Error(
+            `${hostname} resolves to a non-public address (${blocked.address})`
+          )
+        );
+      }
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * POST a body to a webhook URL
+ * Redirects are not followed; only MAX_RESPONSE_BODY characters of the
+ * response are kept
+ * @param {string} url
+ * @param {Object} headers
+ * @param {string} body
+ * @returns {Promise<{status: number, body: string}>}
+ */
+function postWebhook(url, headers, body) {
+  const target = new URL(url);
+  const client = target.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const done = (callback) => (value) => {
+      clearTimeout(timer);
+      callback(value);
+    };
+    const req = client.request(
+      target,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: publicOnlyLookup,
+      },
+      (res) => {
+        let responseBody = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+          if (responseBody.length < MAX_RESPONSE_BODY) responseBody += chunk;
+        });
+        res.on("end", () =>
+          done(resolve)({
+            status: res.statusCode,
+            body: responseBody.slice(0, MAX_RESPONSE_BODY),
+          })
+        );
+        res.on("error", done(reject));
+      }
+    );
+
+    // Limits the whole request, not just inactivity
+    const timer = setTimeout(() => {
+      const error = new Error("Request timed out");
+      error.name = "TimeoutError";
+      req.destroy(error);
+    }, REQUEST_TIMEOUT_MS);
+    req.on("error", done(reject));
+    req.end(body);
+  });
+}
+
+/**
+ * Create and attempt deliveries of an event to every endpoint whose user
+ * subscribes to the selections' systems (staff receive every system)
+ * One event is sent per system
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Array} selections - Selections (systemId optionally populated)
+ * @returns {Promise<Object>} Counts of deliveries created and succeeded
+ */
+async function deliverWebhookEvent(type, selections) {
+  const summary = { deliveries: 0, succeeded: 0 };
+
+  const endpoints = await WebhookEndpoint.find({
+    isActive: true,
+    events: type,
+  })
+    .select("+secret")
+    .lean();
+  if (endpoints.length === 0) return summary;
+
+  const users = await User.find({
+    _id: { $in: endpoints.map((e) => e.userId) },
+    isBlocked: { $ne: true },
+  })
+    .select("role activeSystemIds")
+    .lean();
+  const usersById = new Map(users.map((u) => [u._id.toString(), u]));
+
+  // Group selections per system
+  const bySystem = new Map();
+  for (const selection of selections) {
+    if (!selection || !selection.systemId) continue;
+    const systemId = getSystemId(selection);
+    if (!bySystem.has(systemId)) {
+      bySystem.set(systemId, {
+        systemName: selection.systemId.name,
+        selections: [],
+      });
+    }
+    bySystem.get(systemId).selections.push(toStreamSelection(selection));
+  }
+
+  const deliveries = [];
+  for (const [systemId, group] of bySystem.entries()) {
+    const eventId = `evt_${crypto.randomUUID()}`;
+    const payload = {
+      id: eventId,
+      type,
+      createdAt: new Date().toISOString(),
+      data: {
+        systemId,
+        systemName: group.systemName,
+        selections: group.selections,
+      },
+    };
+
+    for (const endpoint of endpoints) {
+      const user = usersById.get(endpoint.userId.toString());
+      if (!user) continue;
+      const canSee =
+        hasPermission(user, "selections:all-systems") ||
+        (user.activeSystemIds || []).some((id) => id.toString() === systemId);
+      if (!canSee) continue;
+
+      deliveries.push({
+        endpointId: endpoint._id,
+        userId: endpoint.userId,
+        event: type,
+        eventId,
+        payload,
+        // Inserted already claimed, so the retry job leaves it alone while
+        // the first attempt below is in flight
+        nextAttemptAt: new Date(Date.now() + CLAIM_MS),
+      });
+    }
+  }
+  if (deliveries.length === 0) return summary;
+
+  const created = await WebhookDelivery.insertMany(deliveries);
+  summary.deliveries = created.length;
+
+  const endpointsById = new Map(endpoints.map((e) => [e._id.toString(), e]));
+  for (const delivery of created) {
+    const result = await attemptDelivery(
+      delivery,
+      endpointsById.get(delivery.endpointId.toString())
+    );
+    if (result.status === "succeeded") summary.succeeded++;
+  }
+
+  return summary;
+}
+
+/**
+ * Queue an event for webhook delivery without holding up the request
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Array} selections
+ */
+function queueWebhookEvent(type, selections) {
+  if (!selections || selections.length === 0) return;
+
+  setImmediate(() => {
+    deliverWebhookEvent(type, selections).catch((error) =>
+      console.error(`❌ Error queueing ${type} webhooks:`, error.message)
+    );
+  });
+}
+
+/**
+ * POST a delivery to its endpoint and record the outcome
+ * Failed attempts are rescheduled with exponential backoff unless retry is false
+ * @param {Object} delivery - WebhookDelivery document
+ * @param {Object} endpoint - Endpoint including its secret
+ * @param {Object} [options]
+ * @param {boolean} [options.retry=true] - Reschedule on failure
+ * @returns {Promise<Object>} Updated delivery
+ */
+async function attemptDelivery(delivery, endpoint, { retry = true } = {}) {
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+  const attempt = { at: new Date(startedAt) };
+
+  let ok = false;
+  let canRetry = retry;
+  try {
+    // Nothing to retry against
+    const configError =
+      !endpoint || !endpoint.isActive
+        ? "Endpoint is disabled or deleted"
+        : validateEndpointUrl(endpoint.url);
+    if (configError) {
+      canRetry = false;
+      throw new Error(configError);
+    }
+
+    const response = await postWebhook(
+      endpoint.url,
+      {
+        "Content-Type": "application/json",
+        "User-Agent": "FTS-Webhooks/1.0",
+        "X-FTS-Event": delivery.event,
+        "X-FTS-Delivery": delivery._id.toString(),
+        "X-FTS-Signature": signPayload(endpoint.secret, body),
+      },
+      body
+    );
+
+    attempt.responseStatus = response.status;
+    delivery.responseStatus = response.status;
+    delivery.responseBody = response.body;
+    ok = response.status >= 200 && response.status < 300;
+    if (!ok) attempt.error = `Endpoint responded with ${response.status}`;
+  } catch (error) {
+    attempt.error =
+      error.name === "TimeoutError"
+        ? `Timed out after ${REQUEST_TIMEOUT_MS / 1000}s`
+        : error.message;
+    delivery.responseStatus = undefined;
+    delivery.responseBody = undefined;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts += 1;
+  delivery.attemptLog.push(attempt);
+  delivery.error = attempt.error;
+
+  if (ok) {
+    delivery.status = "succeeded";
+    delivery.deliveredAt = attempt.at;
+    delivery.nextAttemptAt = undefined;
+  } else if (canRetry && delivery.attempts < MAX_ATTEMPTS) {
+    delivery.status = "pending";
+    delivery.nextAttemptAt = new Date(
+      Date.now() + RETRY_BASE_MS * 2 ** (delivery.attempts - 1)
+    );
+  } else {
+    delivery.status = "failed";
+    delivery.nextAttemptAt = undefined;
+  }
+  await delivery.save();
+
+  if (endpoint && delivery.status !== "pending") {
+    await WebhookEndpoint.updateOne(
+      { _id: endpoint._id },
+      {
+        $set: {
+          lastDeliveryAt: attempt.at,
+          lastDeliveryStatus: delivery.status,
+        },
+      }
+    );
+  }
+
+  return delivery;
+}
+
+/**
+ * Retry pending deliveries whose backoff has elapsed
+ * Each delivery is claimed first so overlapping runs don't send it twice
+ * @returns {Promise<Object>} Counts of deliveries retried and succeeded
+ */
+async function retryDueDeliveries() {
+  const summary = { retried: 0, succeeded: 0 };
+  if (isRetryRunning) return summary;
+  isRetryRunning = true;
+
+  try {
+    for (;;) {
+      const now = new Date();
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+      if (!delivery) break;
+
+      const endpoint = await WebhookEndpoint.findById(delivery.endpointId)
+        .select("+secret")
+        .lean();
+      const result = await attemptDelivery(delivery, endpoint);
+      summary.retried++;
+      if (result.status === "succeeded") summary.succeeded++;
+    }
+  } finally {
+    isRetryRunning = false;
+  }
+
+  return summary;
+}
+
+/**
+ * Send a logged delivery's payload again as a new delivery (single attempt)
+ * @param {Object} original - WebhookDelivery being redelivered
+ * @returns {Promise<Object>} New delivery
+ */
+async function redeliver(original) {
+  const endpoint = await WebhookEndpoint.findById(original.endpointId)
+    .select("+secret")
+    .lean();
+  if (!endpoint) {
+    throw new Error("Endpoint no longer exists");
+  }
+
+  const delivery = await WebhookDelivery.create({
+    endpointId: original.endpointId,
+    userId: original.userId,
+    event: original.event,
+    eventId: original.eventId,
+    payload: original.payload,
+    redeliveryOf: original._id,
+  });
+  return attemptDelivery(delivery, endpoint, { retry: false });
+}
+
+/**
+ * Send a "ping" event so a user can check their receiver (single attempt)
+ * @param {Object} endpoint - Endpoint including its secret
+ * @returns {Promise<Object>} Delivery
+ */
+async function sendPing(endpoint) {
+  const eventId = `evt_${crypto.randomUUID()}`;
+  const delivery = await WebhookDelivery.create({
+    endpointId: endpoint._id,
+    userId: endpoint.userId,
+    event: "ping",
+    eventId,
+    payload: {
+      id: eventId,
+      type: "ping",
+      createdAt: new Date().toISOString(),
+      data: { endpointId: endpoint._id.toString() },
+    },
+  });
+  return attemptDelivery(delivery, endpoint, { retry: false });
+}
+
+module.exports = {
+  EVENT_TYPES,
+  MAX_ENDPOINTS_PER_USER,
+  generateSecret,
+  signPayload,
+  validateEndpointUrl,
+  deliverWebhookEvent,
+  queueWebhookEvent,
+  attemptDelivery,
+  retryDueDeliveries,
+  redeliver,
+  sendPing,
+};
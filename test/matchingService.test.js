@@ -0,0 +1,94 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  normalizeHorseName,
+  normalizeMeeting,
+  scoreMatch,
+  findCandidates,
+  pickAutoMatch,
+} = require("../services/matchingService");
+
+const selection = {
+  dateISO: "2026-03-14",
+  time: "14:30",
+  horse: "Sea The Stars (IRE)",
+  meeting: "Newmarket",
+};
+
+function row(horse, time = "14:30", options = {}) {
+  return {
+    dateISO: "2026-03-14",
+    track: "Newmarket",
+    horse,
+    time,
+    ...options,
+  };
+}
+
+test("horse and meeting names are normalised for matching", () => {
+  assert.strictEqual(normalizeHorseName("Paul O´Brien (IRE)"), "paul obrien");
+  assert.strictEqual(normalizeHorseName("Pétillant  Rosé"), "petillant rose");
+  assert.strictEqual(normalizeHorseName("D'Artagnan (FR)"), "dartagnan");
+  assert.strictEqual(normalizeMeeting("Kempton (AW)"), "kempton");
+  assert.strictEqual(normalizeMeeting("Haydock Park"), "haydock");
+});
+
+test("rows on another date or outside the time window never match", () => {
+  const otherDay = scoreMatch(
+    selection,
+    row("Sea The Stars", "14:30", { dateISO: "2026-03-15" })
+  );
+  assert.strictEqual(otherDay.confidence, 0);
+
+  const tooLate = scoreMatch(selection, row("Sea The Stars", "14:41"));
+  assert.strictEqual(tooLate.confidence, 0);
+});
+
+test("a misspelt name in the right race is matched automatically", () => {
+  const candidates = findCandidates(selection, [
+    row("Sea The Starz"),
+    row("Golden Horn"),
+  ]);
+
+  assert.strictEqual(candidates.length, 1);
+  assert.strictEqual(pickAutoMatch(candidates), candidates[0]);
+  assert.strictEqual(candidates[0].csvRow.horse, "Sea The Starz");
+});
+
+test("two close candidates are left for an admin to choose between", () => {
+  const candidates = findCandidates(selection, [
+    row("Sea The Starz"),
+    row("Sea The Stars", "14:31"),
+  ]);
+
+  assert.strictEqual(candidates.length, 2);
+  assert.ok(candidates[0].score.confidence >= 0.9);
+  assert.ok(candidates[1].score.confidence >= 0.9);
+  assert.strictEqual(pickAutoMatch(candidates), null);
+});
+
+test("a weaker match is only suggested", () => {
+  // Right horse, but five minutes out
+  const candidates = findCandidates(selection, [row("Sea The Stars", "14:35")]);
+
+  assert.strictEqual(candidates.length, 1);
+  assert.ok(candidates[0].score.confidence < 0.9);
+  assert.strictEqual(pickAutoMatch(candidates), null);
+});
+
+test("a similar horse name in the right race is only suggested", () => {
+  // Scores well on time and meeting, but the names differ too much
+  const candidates = findCandidates(selection, [row("Sea The Moon")]);
+
+  assert.strictEqual(candidates.length, 1);
+  assert.ok(candidates[0].score.horse < 0.9);
+  assert.strictEqual(pickAutoMatch(candidates), null);
+});
+
+test("rows below the suggestion threshold aren't candidates", () => {
+  assert.deepStrictEqual(
+    findCandidates(selection, [row("Golden Horn"), row("Frankel", "14:38")]),
+    []
+  );
+  assert.strictEqual(pickAutoMatch([]), null);
+});
@@ -0,0 +1,173 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const System = require("../models/System");
+const SystemSelection = require("../models/SystemSelection");
+const {
+  getStakingSettings,
+  getSelectionStaking,
+  calculateWinPL,
+  recalculateSystemPL,
+  recalculateRunningPL,
+} = require("../services/settlementService");
+
+// P/L to the penny, as it is shown and summed in reports
+function assertPL(actual, expected) {
+  assert.strictEqual(Math.round(actual * 100) / 100, expected);
+}
+
+// Stand-in for a query chain resolving to value
+function resolved(value) {
+  const query = {
+    sort: () => query,
+    select: () => query,
+    session: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return query;
+}
+
+const lay = { commissionRate: 0.02, stake: 1, betType: "lay" };
+const back = { commissionRate: 0.02, stake: 1, betType: "back" };
+
+test("lay bets win the stake less commission and lose the liability", () => {
+  assertPL(calculateWinPL("LOST", 5.6, lay), 0.98);
+  assertPL(calculateWinPL("WON", 5.6, lay), -4.6);
+  // A placed horse didn't win, so the win lay is a winner
+  assertPL(calculateWinPL("PLACED", 5.6, lay), 0.98);
+});
+
+test("back bets win the odds less commission and lose the stake", () => {
+  assertPL(calculateWinPL("WON", 5.6, back), 4.51);
+  assertPL(calculateWinPL("LOST", 5.6, back), -1);
+  assertPL(calculateWinPL("PLACED", 5.6, back), -1);
+});
+
+test("non-runners, voids and cancelled races settle at zero", () => {
+  for (const result of ["NR", "VOID", "CANCELLED"]) {
+    assert.strictEqual(calculateWinPL(result, 0, lay), 0);
+    assert.strictEqual(calculateWinPL(result, 0, back), 0);
+  }
+});
+
+test("results are matched case-insensitively", () => {
+  assertPL(calculateWinPL("won", 3, back), 1.96);
+  assertPL(calculateWinPL("Lost", 3, lay), 0.98);
+});
+
+test("commission and stake scale winnings only", () => {
+  const staking = { commissionRate: 0.05, stake: 10 };
+  assertPL(calculateWinPL("LOST", 4, { ...staking, betType: "lay" }), 9.5);
+  assertPL(calculateWinPL("WON", 4, { ...staking, betType: "lay" }), -30);
+  assertPL(calculateWinPL("WON", 4, { ...staking, betType: "back" }), 28.5);
+  assertPL(calculateWinPL("LOST", 4, { ...staking, betType: "back" }), -10);
+  assertPL(
+    calculateWinPL("LOST", 0, { ...staking, commissionRate: 0.065 }),
+    9.35
+  );
+});
+
+test("missing staking settings fall back to 1pt lays at 2% commission", () => {
+  assert.deepStrictEqual(getStakingSettings(null), lay);
+  assert.deepStrictEqual(
+    getStakingSettings({
+      commissionRate: "5%",
+      stake: null,
+      betType: "each-way",
+    }),
+    lay
+  );
+  assert.deepStrictEqual(
+    getStakingSettings({ commissionRate: 0, stake: 2, betType: "back" }),
+    { commissionRate: 0, stake: 2, betType: "back" }
+  );
+  assertPL(calculateWinPL("LOST", 3), 0.98);
+});
+
+test("a selection's own bet side overrides the system's bet type", () => {
+  assert.strictEqual(
+    getSelectionStaking({ betSide: "back" }, lay).betType,
+    "back"
+  );
+  assert.strictEqual(getSelectionStaking({}, back).betType, "back");
+  assert.strictEqual(
+    getSelectionStaking({ betSide: "lay" }, back).betType,
+    "lay"
+  );
+});
+
+test("running totals are rebuilt from stored P/L and only changed rows are written", async (t) => {
+  const session = {};
+  t.mock.method(SystemSelection, "find", () =>
+    resolved([
+      { _id: "a", winPL: 0.98, runningWinPL: 0.98 },
+      { _id: "b", winPL: -4.6, runningWinPL: 0 },
+      { _id: "c", winPL: null, runningWinPL: 1 },
+      { _id: "d", winPL: 0.98, runningWinPL: 0.98 - 4.6 + 0.98 },
+    ])
+  );
+  const bulkWrite = t.mock.method(
+    SystemSelection,
+    "bulkWrite",
+    async () => ({})
+  );
+
+  const summary = await recalculateRunningPL("system-1", session);
+
+  assert.strictEqual(summary.processed, 4);
+  assert.strictEqual(summary.updated, 2);
+  const [ops, options] = bulkWrite.mock.calls[0].arguments;
+  assert.strictEqual(options.session, session);
+  assert.deepStrictEqual(
+    ops.map(({ updateOne }) => [
+      updateOne.filter._id,
+      Math.round(updateOne.update.$set.runningWinPL * 100) / 100,
+    ]),
+    [
+      ["b", -3.62],
+      ["c", -3.62],
+    ]
+  );
+});
+
+test("re-pricing a system settles each result with its staking settings", async (t) => {
+  t.mock.method(System, "findById", () =>
+    resolved({ _id: "system-1", slug: "system-1", ...back, stake: 2 })
+  );
+  t.mock.method(SystemSelection, "find", () =>
+    resolved([
+      { _id: "a", hasResult: true, result: "WON", winBsp: 3, winPL: -2 },
+      { _id: "b", hasResult: true, result: "PLACED", winBsp: 6, winPL: 0.98 },
+      {
+        _id: "c",
+        hasResult: true,
+        result: "LOST",
+        winBsp: 4,
+        betSide: "lay",
+        winPL: 0.98,
+      },
+      // Nothing to re-price a winner from without a BSP
+      { _id: "d", hasResult: true, result: "WON", winPL: 1.5 },
+      { _id: "e", hasResult: false },
+    ])
+  );
+  const bulkWrite = t.mock.method(
+    SystemSelection,
+    "bulkWrite",
+    async () => ({})
+  );
+  t.mock.method(console, "log", () => {});
+
+  const summary = await recalculateSystemPL("system-1");
+
+  const [ops] = bulkWrite.mock.calls[0].arguments;
+  const updates = new Map(
+    ops.map(({ updateOne }) => [updateOne.filter._id, updateOne.update.$set])
+  );
+  assertPL(updates.get("a").winPL, 3.92);
+  assertPL(updates.get("b").winPL, -2);
+  assertPL(updates.get("c").winPL, 1.96);
+  assertPL(updates.get("d").winPL, 1.5);
+  assertPL(updates.get("e").runningWinPL, 5.38);
+  assert.strictEqual(summary.runningWinPL, 5.38);
+});
@@ -0,0 +1,160 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  calculateKellyFraction,
+  simulateStakingPlan,
+} = require("../services/stakingPlanService");
+
+const lay = { commissionRate: 0.02, stake: 1, betType: "lay" };
+const back = { commissionRate: 0.02, stake: 1, betType: "back" };
+
+function plan(options) {
+  return {
+    type: "level",
+    startingBank: 1000,
+    stake: 10,
+    liability: 10,
+    percent: 2,
+    kellyFraction: 0.5,
+    kellyMinBets: 50,
+    ...options,
+  };
+}
+
+function race(dateISO, result, winBsp, betSide) {
+  return { dateISO, result, winBsp, betSide };
+}
+
+test("level lays win the stake less commission and lose the liability", () => {
+  const simulation = simulateStakingPlan(
+    [race("2026-01-01", "LOST", 4), race("2026-01-02", "WON", 4)],
+    plan({ type: "level" }),
+    lay
+  );
+
+  // +9.80, then -30 on a 10 stake at 4.0
+  assert.strictEqual(simulation.finalBank, 979.8);
+  assert.strictEqual(simulation.totalPL, -20.2);
+  assert.strictEqual(simulation.turnover, 20);
+  assert.strictEqual(simulation.totalLiability, 60);
+  assert.strictEqual(simulation.maxDrawdown, -30);
+  assert.deepStrictEqual(simulation.bankCurve, [
+    { date: "2026-01-01", bank: 1009.8 },
+    { date: "2026-01-02", bank: 979.8 },
+  ]);
+});
+
+test("level backs win the odds less commission and lose the stake", () => {
+  const simulation = simulateStakingPlan(
+    [race("2026-01-01", "WON", 3.5), race("2026-01-01", "LOST", 2)],
+    plan({ type: "level" }),
+    back
+  );
+
+  // 2.5 * 10 * 0.98 = 24.50, then -10
+  assert.strictEqual(simulation.finalBank, 1014.5);
+  assert.strictEqual(simulation.totalLiability, 20);
+  assert.strictEqual(simulation.roi, 72.5);
+});
+
+test("fixed liability lays risk the same amount at any price", () => {
+  const simulation = simulateStakingPlan(
+    [race("2026-01-01", "WON", 11), race("2026-01-02", "LOST", 11)],
+    plan({ type: "fixedLiability", liability: 50 }),
+    lay
+  );
+
+  // Stake 5 at 11.0: -50, then +4.90
+  assert.strictEqual(simulation.totalPL, -45.1);
+  assert.strictEqual(simulation.turnover, 10);
+  assert.strictEqual(simulation.totalLiability, 100);
+});
+
+test("percent of bank stakes follow the bank", () => {
+  const simulation = simulateStakingPlan(
+    [race("2026-01-01", "WON", 2), race("2026-01-02", "WON", 2)],
+    plan({ type: "percentBank", percent: 10 }),
+    back
+  );
+
+  // 100 at evens wins 98; the next bet is 10% of 1098
+  assert.strictEqual(simulation.turnover, 209.8);
+  assert.strictEqual(simulation.finalBank, 1205.6);
+});
+
+test("each selection's own bet side is used", () => {
+  const simulation = simulateStakingPlan(
+    [race("2026-01-01", "LOST", 4, "back"), race("2026-01-01", "LOST", 4)],
+    plan({ type: "level" }),
+    lay
+  );
+
+  // Back loses 10, lay wins 9.80
+  assert.strictEqual(simulation.totalPL, -0.2);
+});
+
+test("non-runners and selections without a BSP aren't bet", () => {
+  const simulation = simulateStakingPlan(
+    [
+      race("2026-01-01", "NR", 0),
+      race("2026-01-01", "VOID", 5),
+      race("2026-01-01", "LOST"),
+      race("2026-01-01", "LOST", 3),
+    ],
+    plan({ type: "level" }),
+    lay
+  );
+
+  assert.strictEqual(simulation.betsPlaced, 1);
+  assert.strictEqual(simulation.totalBets, 4);
+  assert.strictEqual(simulation.finalBank, 1009.8);
+});
+
+test("a lay never risks more than the bank and stops once it is gone", () => {
+  const simulation = simulateStakingPlan(
+    [race("2026-01-01", "WON", 101), race("2026-01-02", "LOST", 2)],
+    plan({ type: "fixedLiability", startingBank: 100, liability: 500 }),
+    lay
+  );
+
+  assert.strictEqual(simulation.finalBank, 0);
+  assert.strictEqual(simulation.busted, true);
+  assert.strictEqual(simulation.betsPlaced, 1);
+  assert.strictEqual(simulation.maxDrawdownPercent, 100);
+});
+
+test("Kelly waits for enough results and only bets with an edge", () => {
+  assert.strictEqual(calculateKellyFraction(0.5, 1, "back", 0.02), 0);
+  // Evens with a 40% chance: no edge
+  assert.strictEqual(calculateKellyFraction(0.4, 2, "back", 0), 0);
+  // Evens with a 60% chance and no commission: risk 20%
+  assert.strictEqual(
+    Math.round(calculateKellyFraction(0.6, 2, "back", 0) * 1000) / 1000,
+    0.2
+  );
+  // A lay at 1.5 wins 2 per 1 of liability
+  assert.strictEqual(
+    Math.round(calculateKellyFraction(0.8, 1.5, "lay", 0) * 1000) / 1000,
+    0.7
+  );
+
+  const results = [
+    race("2026-01-01", "LOST", 3),
+    race("2026-01-02", "LOST", 3),
+    race("2026-01-03", "LOST", 3),
+  ];
+  const waiting = simulateStakingPlan(
+    results,
+    plan({ type: "kelly", kellyMinBets: 3 }),
+    lay
+  );
+  assert.strictEqual(waiting.betsPlaced, 0);
+
+  const betting = simulateStakingPlan(
+    results,
+    plan({ type: "kelly", kellyMinBets: 2 }),
+    lay
+  );
+  assert.strictEqual(betting.betsPlaced, 1);
+  assert.ok(betting.finalBank > 1000);
+});
@@ -0,0 +1,154 @@
+// Routes are exercised over HTTP with the database replaced by in-memory
+// fixtures: Query#exec resolves against them after Mongoose has applied the
+// schema's field selection, so select: false behaves as it would in MongoDB
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "sk_test";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const AuditLog = require("../models/AuditLog");
+const userRoutes = require("../routes/userRoutes");
+
+const PRIVATE_FIELDS = ["password", "resetToken", "resetTokenExpiry"];
+
+const billingUser = {
+  _id: new mongoose.Types.ObjectId(),
+  email: "billing@example.com",
+  password: "$2a$10$billinghash",
+  role: "billing",
+};
+const adminUser = {
+  _id: new mongoose.Types.ObjectId(),
+  email: "admin@example.com",
+  password: "$2a$10$adminhash",
+  role: "admin",
+  // A password reset in progress
+  resetToken: "live-reset-token",
+  resetTokenExpiry: new Date(Date.now() + 60 * 60 * 1000),
+};
+const users = [billingUser, adminUser];
+// Updates sent to MongoDB by findOneAndUpdate queries
+const updates = [];
+
+function project(doc, fields) {
+  const excluded = Object.keys(fields || {}).filter((f) => fields[f] === 0);
+  const result = { ...doc };
+  for (const field of excluded) delete result[field];
+  return result;
+}
+
+let server;
+let baseUrl;
+const originalExec = mongoose.Query.prototype.exec;
+const originalExists = Session.exists;
+const originalAuditCreate = AuditLog.create;
+
+before(async () => {
+  mongoose.Query.prototype.exec = async function () {
+    if (this.model !== User)
+      throw new Error(`Unexpected ${this.model.modelName} query`);
+    this._applyPaths();
+    if (this.op === "findOneAndUpdate") updates.push(this.getUpdate());
+    const { _id } = this.getFilter();
+    const matches = users
+      .filter((u) => !_id || String(u._id) === String(_id))
+      .map((u) => User.hydrate(project(u, this._fields)));
+    return this.op === "find" ? matches : matches[0] || null;
+  };
+  Session.exists = async () => ({ _id: new mongoose.Types.ObjectId() });
+  AuditLog.create = async (entry) => entry;
+
+  const app = express();
+  app.use(express.json());
+  app.use("/api/users", userRoutes);
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/users`;
+});
+
+after(() => {
+  mongoose.Query.prototype.exec = originalExec;
+  Session.exists = originalExists;
+  AuditLog.create = originalAuditCreate;
+  server.close();
+});
+
+function tokenFor(user) {
+  return jwt.sign(
+    { userId: user._id, sid: new mongoose.Types.ObjectId().toString() },
+    process.env.JWT_SECRET
+  );
+}
+
+function billingToken() {
+  return tokenFor(billingUser);
+}
+
+test("billing staff can list users without their credentials", async () => {
+  const res = await fetch(baseUrl, {
+    headers: { Authorization: `Bearer ${billingToken()}` },
+  });
+  assert.strictEqual(res.status, 200);
+
+  const body = await res.json();
+  assert.strictEqual(body.data.length, 2);
+  for (const user of body.data) {
+    assert.ok(user.email);
+    for (const field of PRIVATE_FIELDS) {
+      assert.strictEqual(user[field], undefined, `${field} exposed`);
+    }
+  }
+});
+
+test("billing staff can't read an admin's password hash or reset token", async () => {
+  const res = await fetch(`${baseUrl}/${adminUser._id}`, {
+    headers: { Authorization: `Bearer ${billingToken()}` },
+  });
+  assert.strictEqual(res.status, 200);
+
+  const body = await res.json();
+  assert.strictEqual(body.data.email, adminUser.email);
+  for (const field of PRIVATE_FIELDS) {
+    assert.strictEqual(body.data[field], undefined, `${field} exposed`);
+  }
+});
+
+test("credentials are still loaded when explicitly selected", async () => {
+  const user = await User.findById(adminUser._id).select(
+    "+password +resetToken"
+  );
+  assert.strictEqual(user.password, adminUser.password);
+  assert.strictEqual(user.resetToken, adminUser.resetToken);
+  // ...but never serialised
+  assert.strictEqual(JSON.parse(JSON.stringify(user)).password, undefined);
+});
+
+test("updating a user only changes profile fields and the role", async () => {
+  updates.length = 0;
+  const res = await fetch(`${baseUrl}/${billingUser._id}`, {
+    method: "PUT",
+    headers: {
+      Authorization: `Bearer ${tokenFor(adminUser)}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      firstName: "Bill",
+      role: "billing",
+      password: "plaintext",
+      isBlocked: true,
+      systemComps: [{ systemId: new mongoose.Types.ObjectId() }],
+      twoFactor: { enabled: false },
+    }),
+  });
+  assert.strictEqual(res.status, 200);
+
+  assert.strictEqual(updates.length, 1);
+  const update = updates[0].$set || updates[0];
+  assert.deepStrictEqual(Object.keys(update).sort(), ["firstName", "role"]);
+});
@@ -0,0 +1,230 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "sk_test";
+
+const { test, before, after, afterEach } = require("node:test");
+const assert = require("node:assert");
+const dns = require("dns");
+const http = require("http");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const WebhookEndpoint = require("../models/WebhookEndpoint");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const {
+  validateEndpointUrl,
+  deliverWebhookEvent,
+  attemptDelivery,
+  retryDueDeliveries,
+} = require("../services/webhookService");
+
+const originalEnv = process.env.NODE_ENV;
+const originalLookup = dns.lookup;
+const originalUpdateOne = WebhookEndpoint.updateOne;
+
+let receiver;
+let received = 0;
+
+before(async () => {
+  WebhookEndpoint.updateOne = async () => ({ modifiedCount: 1 });
+  receiver = http.createServer((req, res) => {
+    received++;
+    res.end("ok");
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+});
+
+afterEach(() => {
+  process.env.NODE_ENV = originalEnv;
+  dns.lookup = originalLookup;
+});
+
+after(() => {
+  WebhookEndpoint.updateOne = originalUpdateOne;
+  receiver.close();
+});
+
+// Resolve every name to the given address
+function resolveTo(address) {
+  dns.lookup = (hostname, options, callback) => {
+    const family = address.includes(":") ? 6 : 4;
+    if (options.all) return callback(null, [{ address, family }]);
+    callback(null, address, family);
+  };
+}
+
+function newDelivery() {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    event: "selections.published",
+    payload: { test: true },
+    attempts: 0,
+    attemptLog: [],
+    save: async () => {},
+  };
+}
+
+function endpointFor(url) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    url,
+    secret: "whsec_test",
+    isActive: true,
+  };
+}
+
+test("rejects non-public address literals", () => {
+  process.env.NODE_ENV = "production";
+  for (const url of [
+    "https://127.0.0.1/hook",
+    "https://[::ffff:7f00:1]/hook",
+    "https://[::ffff:127.0.0.1]/hook",
+    "https://[::1]/hook",
+    "https://10.1.2.3/hook",
+    "https://100.64.0.1/hook",
+    "https://169.254.169.254/latest/meta-data",
+    "https://2130706433/hook",
+    "https://[fd00::1]/hook",
+    "https://localhost/hook",
+  ]) {
+    assert.strictEqual(
+      validateEndpointUrl(url),
+      "URL must be a public host",
+      url
+    );
+  }
+  assert.strictEqual(validateEndpointUrl("https://hooks.example.com/"), null);
+  assert.strictEqual(validateEndpointUrl("https://8.8.8.8/"), null);
+});
+
+for (const address of [
+  "127.0.0.1",
+  "10.0.0.5",
+  "169.254.169.254",
+  "100.100.1.1",
+  "::ffff:7f00:1",
+]) {
+  test(`doesn't deliver to a name resolving to ${address}`, async () => {
+    process.env.NODE_ENV = "production";
+    resolveTo(address);
+    const before = received;
+
+    const delivery = await attemptDelivery(
+      newDelivery(),
+      endpointFor("https://hooks.example.com/hook"),
+      { retry: false }
+    );
+
+    assert.strictEqual(delivery.status, "failed");
+    assert.match(delivery.error, /non-public address/);
+    assert.strictEqual(received, before);
+  });
+}
+
+test("outside production, delivers to a local receiver", async () => {
+  process.env.NODE_ENV = "development";
+  const { port } = receiver.address();
+
+  const delivery = await attemptDelivery(
+    newDelivery(),
+    endpointFor(`http://localhost:${port}/hook`),
+    { retry: false }
+  );
+
+  assert.strictEqual(delivery.status, "succeeded");
+  assert.strictEqual(delivery.responseBody, "ok");
+});
+
+test("outside production, still refuses public names pointing inside", async () => {
+  process.env.NODE_ENV = "development";
+  resolveTo("127.0.0.1");
+  const { port } = receiver.address();
+
+  const delivery = await attemptDelivery(
+    newDelivery(),
+    endpointFor(`https://hooks.example.com:${port}/hook`),
+    { retry: false }
+  );
+
+  assert.strictEqual(delivery.status, "failed");
+  assert.match(delivery.error, /non-public address/);
+});
+
+// Stand-in for a query chain resolving to value
+function resolved(value) {
+  const query = {
+    select: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return query;
+}
+
+test("the retry job doesn't resend a delivery whose first attempt is in flight", async (t) => {
+  process.env.NODE_ENV = "development";
+
+  // Receiver that holds each request open until released
+  let requests = 0;
+  let release;
+  const released = new Promise((resolve) => {
+    release = resolve;
+  });
+  let firstRequest;
+  const requested = new Promise((resolve) => {
+    firstRequest = resolve;
+  });
+  const slowReceiver = http.createServer(async (req, res) => {
+    requests++;
+    firstRequest();
+    await released;
+    res.end("ok");
+  });
+  await new Promise((resolve) => slowReceiver.listen(0, "127.0.0.1", resolve));
+  t.after(() => slowReceiver.close());
+
+  const user = { _id: new mongoose.Types.ObjectId(), role: "admin" };
+  const endpoint = {
+    ...endpointFor(`http://localhost:${slowReceiver.address().port}/hook`),
+    userId: user._id,
+    events: ["selections.published"],
+  };
+
+  // Deliveries live in memory; the retry job claims them as MongoDB would
+  const stored = [];
+  t.mock.method(WebhookEndpoint, "find", () => resolved([endpoint]));
+  t.mock.method(WebhookEndpoint, "findById", () => resolved(endpoint));
+  t.mock.method(User, "find", () => resolved([user]));
+  t.mock.method(WebhookDelivery, "insertMany", async (docs) => {
+    const created = docs.map((doc) => new WebhookDelivery(doc));
+    stored.push(...created);
+    return created;
+  });
+  t.mock.method(WebhookDelivery.prototype, "save", async function () {
+    return this;
+  });
+  t.mock.method(WebhookDelivery, "findOneAndUpdate", async (filter, update) => {
+    const due = stored.find(
+      (d) =>
+        d.status === filter.status &&
+        d.nextAttemptAt &&
+        d.nextAttemptAt <= filter.nextAttemptAt.$lte
+    );
+    if (due) Object.assign(due, update.$set);
+    return due || null;
+  });
+
+  const delivering = deliverWebhookEvent("selections.published", [
+    {
+      _id: new mongoose.Types.ObjectId(),
+      systemId: { _id: new mongoose.Types.ObjectId(), name: "System 1" },
+      horse: "Blue Sky",
+    },
+  ]);
+
+  await requested;
+  const retry = await retryDueDeliveries();
+  release();
+  const summary = await delivering;
+
+  assert.strictEqual(retry.retried, 0);
+  assert.deepStrictEqual(summary, { deliveries: 1, succeeded: 1 });
+  assert.strictEqual(requests, 1);
+});